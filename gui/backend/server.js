@@ -9,8 +9,76 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const { createClient } = require('@supabase/supabase-js');
-const { exec } = require('child_process');
 const os = require('os');
+const { loadRouting, resolveRoute, configuredProvider, isConfigured, COMPLEXITY_LEVELS } = require('../../lib/nemo-routing');
+const { createProvider, envKeyFor, ProviderError } = require('../../lib/nemo-providers');
+const { loadMemoryTiers, detectTier } = require('../../lib/nemo-tiers');
+const { ConversationError, createConversationStore, truncateHistory, estimateTokens, HISTORY_BUDGETS } = require('../../lib/nemo-conversations');
+const { loadCouncil, saveCouncil, normalizeMember, validateMember, describeCouncil } = require('../../lib/nemo-council');
+const { probeProvider, HealthCache, HEALTH_TTL_MS } = require('../../lib/nemo-health');
+const { callWithPolicy, runFallbackChain, getBreaker, breakerStatus } = require('../../lib/nemo-resilience');
+const { UsageLedger, BudgetExceededError } = require('../../lib/nemo-usage');
+const { ResponseCache, cacheSettings } = require('../../lib/nemo-patterns');
+const {
+    fromLogprobs,
+    fromSamples,
+    buildRatingMessages,
+    parseRating,
+    chooseMethod,
+    sampleCount
+} = require('../../lib/nemo-confidence');
+const {
+    MAX_REPAIRS,
+    SCHEMA_PRESETS,
+    parseStructured,
+    structuredInstructions,
+    buildRepairMessages,
+    sampleFromSchema,
+    resolveSchema
+} = require('../../lib/nemo-structured');
+const { DEFAULT_MAX_STEPS, runToolLoop, allowedTools, resolveTools, toolDefinitions } = require('../../lib/nemo-tools');
+const { DEFAULT_TOP_K, CodeIndex, createEmbedder, formatContext } = require('../../lib/nemo-retrieval');
+const { EXPORT_FORMATS, validateBatch, exportBatch, BatchManager } = require('../../lib/nemo-batch');
+const { JobError, resolveJobTarget, JobQueue } = require('../../lib/nemo-jobs');
+const { EventError, parseTopics, EventBus, captureConsole } = require('../../lib/nemo-events');
+const { TIERS } = require('../../scripts/run-nemo');
+const { CancelledError, InflightRegistry, validRequestId, throwIfCancelled } = require('../../lib/nemo-inflight');
+const { DEMO_MODES, DEFAULT_SIMILARITY, FixtureLibrary } = require('../../lib/nemo-fixtures');
+const { KeyVault, fingerprint, maskKey, isSecretName } = require('../../lib/nemo-vault');
+const {
+    ROLES,
+    SESSION_COOKIE,
+    AuthError,
+    AuthStore,
+    SessionStore,
+    LoginThrottle,
+    hasRole,
+    routeRole,
+    parseCookies,
+    bearerToken,
+    loadAuthSettings,
+    originAllowed
+} = require('../../lib/nemo-auth');
+const {
+    TEMPLATE_VARIABLES,
+    PromptError,
+    PromptStore,
+    validateTemplate,
+    renderTemplate
+} = require('../../lib/nemo-prompts');
+const {
+    SYNTHESIS_INSTRUCTIONS,
+    pickSynthesizer,
+    buildSynthesisPrompt,
+    parseVerdict,
+    buildDemoVerdict
+} = require('../../lib/nemo-deliberation');
+const {
+    DEFAULT_SIMILARITY_THRESHOLD,
+    MAX_ROUNDS,
+    buildRebuttalPrompt,
+    checkLoopProtection
+} = require('../../lib/nemo-debate');
 
 // Load environment variables
 try {
@@ -22,250 +90,2310 @@ try {
 const app = express();
 const PORT = process.env.PORT || 7777;
 
+// Live events for every open GUI (GET /api/events); console lines are published on the log topic
+const events = new EventBus();
+captureConsole(events);
+
 // Initialize Supabase
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_KEY;
 let supabase = null;
 
-if (supabaseUrl && supabaseKey) {
-    supabase = createClient(supabaseUrl, supabaseKey);
-    console.log('✓ Supabase connected');
-} else {
-    console.log('⚠ Supabase not configured - running in local mode');
+if (supabaseUrl && supabaseKey) {
+    supabase = createClient(supabaseUrl, supabaseKey);
+    console.log('✓ Supabase connected');
+} else {
+    console.log('⚠ Supabase not configured - running in local mode');
+}
+
+// Conversation sessions: Supabase when configured, otherwise .nemo/conversations on disk
+const conversations = createConversationStore({
+    supabase,
+    dir: path.join(process.cwd(), '.nemo/conversations')
+});
+
+// Token/cost ledger with budgets from council-budgets.json (always local, with or without Supabase)
+const usage = new UsageLedger(path.join(process.cwd(), '.nemo/usage'), {
+    budgetsPath: path.join(process.cwd(), 'council-budgets.json')
+});
+
+// Versioned prompt templates; members without edits use their registry prompt as v1
+const prompts = new PromptStore(path.join(process.cwd(), '.nemo/prompts'));
+
+// Council requests still running, cancellable through POST /api/council/cancel
+const inflight = new InflightRegistry();
+
+// API keys encrypted at rest, unlocked with NEMO_VAULT_KEY (managed with scripts/nemo-vault.js)
+const vault = new KeyVault(path.join(process.cwd(), '.nemo/vault/keys.json'));
+if (vault.exists()) {
+    try {
+        vault.unlock(process.env.NEMO_VAULT_KEY);
+        console.log(`✓ Key vault unlocked (${vault.list().length} keys)`);
+    } catch (err) {
+        console.log(`⚠ Key vault locked: ${err.message}`);
+    }
+}
+
+// Council response cache, sized by the detected memory tier
+const responseCache = new ResponseCache(path.join(process.cwd(), '.nemo/cache/responses.json'),
+    cacheSettings(loadMemoryTiers(path.join(process.cwd(), '.nemo/memory')), detectTier()));
+
+// Accounts, API tokens and GUI sessions; configured by council-auth.json (NEMO_AUTH=off disables auth)
+const authSettings = loadAuthSettings(path.join(process.cwd(), 'council-auth.json'));
+const accounts = new AuthStore(path.join(process.cwd(), '.nemo/auth/users.json'));
+const sessions = new SessionStore(authSettings.sessionHours);
+const loginThrottle = new LoginThrottle();
+
+if (!authSettings.enabled) {
+    console.log('⚠ Auth disabled - every request has admin access');
+} else if (!accounts.hasUsers()) {
+    console.log('⚠ No accounts yet - create an admin from the GUI on this machine or with scripts/nemo-auth.js');
+}
+
+// Middleware
+app.use(cors({
+    origin: (origin, callback) => callback(null, originAllowed(origin, authSettings.corsOrigins)),
+    credentials: true,
+    exposedHeaders: ['X-Request-Id']
+}));
+app.use(express.json());
+app.use('/api', authenticate);
+app.use(express.static(path.join(__dirname, '../public')));
+
+// Store runtime state
+const state = {
+    scanning: false,
+    analyzing: false,
+    spectrum: {
+        frequency: 2.4,
+        bandwidth: 100,
+        data: []
+    },
+    // Activation flags, one per registered member (see syncCouncilState)
+    council: {}
+};
+
+// ============ COUNCIL REGISTRY ============
+
+// Members come from council-members.json (or the built-in five) and can be edited at runtime
+const COUNCIL_PATH = path.join(process.cwd(), 'council-members.json');
+let council = loadCouncil(COUNCIL_PATH);
+
+function getMember(key) {
+    return council.find(member => member.key === key) || null;
+}
+
+function memberKeys() {
+    return council.map(member => member.key);
+}
+
+// Keep activation flags for registered members only, preserving existing ones
+function syncCouncilState() {
+    const previous = state.council;
+    state.council = {};
+    memberKeys().forEach(key => {
+        state.council[key] = previous[key] || false;
+    });
+}
+
+syncCouncilState();
+
+function updateCouncil(members) {
+    saveCouncil(COUNCIL_PATH, members);
+    council = members;
+    syncCouncilState();
+    events.publish('council', 'members', {
+        members: council.map(member => ({ ...member, active: state.council[member.key] }))
+    });
+}
+
+// ============ COUNCIL HEALTH ============
+
+const health = new HealthCache();
+
+// Probe a member's provider with a one-token call; fresh results are reused for HEALTH_TTL_MS
+async function probeMember(key, refresh = false) {
+    const cached = !refresh && health.get(key);
+    if (cached) return cached;
+
+    const { route, provider } = createMemberProvider(key, 'simple');
+    const result = await probeProvider(provider, route, { timeoutMs: route.timeoutMs });
+    const entry = health.set(key, { key, ...result });
+    events.publish('council', 'health', entry);
+    return entry;
+}
+
+function describeHealth(result) {
+    const target = `${result.provider}/${result.model}`;
+    if (result.status === 'ok') return `Healthy: ${target} answered in ${result.latency}ms`;
+    if (result.status === 'not_configured') return `Not configured: no API key for ${result.provider}`;
+    return `${result.status.replace(/_/g, ' ')}: ${target} - ${result.error}`;
+}
+
+// ============ AUTH API ============
+
+function isLoopback(req) {
+    const address = req.socket.remoteAddress || '';
+    return address === '::1' || address === '127.0.0.1' || address === '::ffff:127.0.0.1';
+}
+
+function sameOrigin(req, origin) {
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (err) {
+        return false;
+    }
+}
+
+// The caller: an API token (Authorization: Bearer) or the GUI session cookie; null when neither is valid
+function requestUser(req) {
+    const token = bearerToken(req.headers.authorization);
+    if (token) return accounts.verifyToken(token);
+
+    const username = sessions.touch(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    const user = username ? accounts.findUser(username) : null;
+    return user ? accounts.describeUser(user) : null;
+}
+
+/**
+ * Gate for every /api route: browsers may only call from the page's own
+ * origin or an allowed one, and each route group needs a role (routeRole).
+ * Sets req.user.
+ */
+function authenticate(req, res, next) {
+    const origin = req.headers.origin;
+    if (origin && !sameOrigin(req, origin) && !originAllowed(origin, authSettings.corsOrigins)) {
+        return res.status(403).json({ error: `Origin not allowed: ${origin}` });
+    }
+
+    if (!authSettings.enabled) {
+        req.user = { username: 'local', role: 'admin' };
+        return next();
+    }
+
+    req.user = requestUser(req);
+    const role = routeRole(req.method, req.baseUrl + req.path);
+    if (role === null) return next();
+    if (!req.user) return res.status(401).json({ error: 'Sign in or send an API token' });
+    if (!hasRole(req.user, role)) {
+        return res.status(403).json({ error: `Requires the ${role} role (you are ${req.user.role})` });
+    }
+    next();
+}
+
+function setSessionCookie(req, res, id, maxAgeSeconds) {
+    const secure = authSettings.secureCookies || req.secure ? '; Secure' : '';
+    res.set('Set-Cookie', `${SESSION_COOKIE}=${id}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSeconds}${secure}`);
+}
+
+function startSession(req, res, user) {
+    setSessionCookie(req, res, sessions.create(user.username), authSettings.sessionHours * 60 * 60);
+}
+
+function authErrorStatus(err) {
+    return err instanceof AuthError ? err.status : 500;
+}
+
+// Whether auth is on, who the caller is, and whether the first admin still has to be created
+app.get('/api/auth/session', (req, res) => {
+    const needsSetup = authSettings.enabled && !accounts.hasUsers();
+    res.json({
+        enabled: authSettings.enabled,
+        user: req.user,
+        roles: ROLES,
+        needsSetup,
+        canSetup: needsSetup && isLoopback(req)
+    });
+});
+
+// Create the first admin: { username, password }; only while there are no accounts, and only from this machine
+app.post('/api/auth/setup', (req, res) => {
+    if (!authSettings.enabled) return res.status(409).json({ error: 'Auth is disabled' });
+    if (accounts.hasUsers()) return res.status(409).json({ error: 'Setup is already done' });
+    if (!isLoopback(req)) return res.status(403).json({ error: 'The first admin can only be created from the server machine' });
+
+    try {
+        const user = accounts.createUser(req.body.username, req.body.password, 'admin');
+        startSession(req, res, user);
+        res.status(201).json({ user });
+    } catch (err) {
+        res.status(authErrorStatus(err)).json({ error: err.message });
+    }
+});
+
+// { username, password } -> session cookie
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body;
+    if (!authSettings.enabled) return res.status(409).json({ error: 'Auth is disabled' });
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'username and password are required' });
+    }
+
+    const wait = loginThrottle.blockedFor(username);
+    if (wait) {
+        res.set('Retry-After', String(wait));
+        return res.status(429).json({ error: `Too many failed logins; try again in ${wait}s` });
+    }
+
+    const user = accounts.authenticate(username, password);
+    if (!user) {
+        loginThrottle.fail(username);
+        return res.status(401).json({ error: 'Wrong username or password' });
+    }
+
+    loginThrottle.clear(username);
+    startSession(req, res, user);
+    res.json({ user });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    sessions.destroy(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    setSessionCookie(req, res, '', 0);
+    res.json({ loggedOut: true });
+});
+
+app.get('/api/auth/users', (req, res) => {
+    res.json({ users: accounts.listUsers() });
+});
+
+// { username, password, role }
+app.post('/api/auth/users', (req, res) => {
+    const { username, password, role = 'viewer' } = req.body;
+    try {
+        res.status(201).json({ user: accounts.createUser(username, password, role) });
+    } catch (err) {
+        res.status(authErrorStatus(err)).json({ error: err.message });
+    }
+});
+
+// { role?, password? }; a new password ends the user's sessions
+app.put('/api/auth/users/:username', (req, res) => {
+    const { role, password } = req.body;
+    try {
+        const user = accounts.updateUser(req.params.username, { role, password });
+        if (password !== undefined) sessions.destroyUser(user.username);
+        res.json({ user });
+    } catch (err) {
+        res.status(authErrorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.delete('/api/auth/users/:username', (req, res) => {
+    try {
+        const user = accounts.requireUser(req.params.username);
+        accounts.removeUser(user.username);
+        sessions.destroyUser(user.username);
+        res.json({ deleted: user.username });
+    } catch (err) {
+        res.status(authErrorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.get('/api/auth/tokens', (req, res) => {
+    res.json({ tokens: accounts.listTokens() });
+});
+
+// { name, role } -> the token secret, shown only in this response
+app.post('/api/auth/tokens', (req, res) => {
+    const { name, role = 'viewer' } = req.body;
+    try {
+        res.status(201).json(accounts.createToken({ name, role, createdBy: req.user.username }));
+    } catch (err) {
+        res.status(authErrorStatus(err)).json({ error: err.message });
+    }
+});
+
+app.delete('/api/auth/tokens/:id', (req, res) => {
+    if (!accounts.revokeToken(req.params.id)) return res.status(404).json({ error: `Token not found: ${req.params.id}` });
+    res.json({ revoked: req.params.id });
+});
+
+// ============ COUNCIL API ============
+
+// Where each member's key comes from, with masked fingerprints; key values never leave the server
+app.get('/api/council-keys', (req, res) => {
+    try {
+        res.json(keyStatus());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/council/activate', async (req, res) => {
+    const { key } = req.body;
+    const member = getMember(key);
+    if (!member) {
+        return res.status(400).json({ error: 'Invalid key' });
+    }
+
+    try {
+        // Only a member whose provider actually answers is activated
+        const result = await probeMember(key);
+        state.council[key] = result.status === 'ok';
+        events.publish('council', 'status', { key, active: state.council[key], council: state.council });
+
+        if (supabase) {
+            await insertRow('node_messages', {
+                from_node: 'SYSTEM',
+                to_node: key,
+                content: `Key ${state.council[key] ? 'activated' : 'failed'}: ${describeHealth(result)}`
+            });
+        }
+
+        res.json({ key, active: state.council[key], health: result });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Probe one member; pass refresh: true to skip the cached result
+app.post('/api/council/test', async (req, res) => {
+    const { key, refresh = false } = req.body;
+    if (!getMember(key)) {
+        return res.status(400).json({ error: `Invalid council member: ${key}` });
+    }
+
+    try {
+        const result = await probeMember(key, refresh);
+        res.json({ key, result: describeHealth(result), health: result });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Last probe result per member; ?refresh=true probes every member now
+app.get('/api/council/health', async (req, res) => {
+    try {
+        if (req.query.refresh === 'true') {
+            await Promise.all(memberKeys().map(key => probeMember(key, true)));
+        }
+        const results = health.all();
+        res.json({
+            ttl: HEALTH_TTL_MS,
+            members: memberKeys().map(key => results[key] || { key, status: 'unknown' }),
+            breakers: breakerStatus()
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============ COUNCIL MEMBERS ============
+
+app.get('/api/council/members', (req, res) => {
+    res.json({
+        source: fs.existsSync(COUNCIL_PATH) ? 'council-members.json' : 'defaults',
+        members: council.map(member => ({ ...member, active: state.council[member.key] }))
+    });
+});
+
+app.post('/api/council/members', (req, res) => {
+    const error = validateMember(req.body) || (req.body.prompt && validateTemplate(req.body.prompt));
+    if (error) return res.status(400).json({ error });
+    if (getMember(req.body.key)) {
+        return res.status(409).json({ error: `Council member already exists: ${req.body.key}` });
+    }
+
+    try {
+        const member = normalizeMember(req.body);
+        updateCouncil([...council, member]);
+        res.status(201).json(member);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/council/members/:key', (req, res) => {
+    const existing = getMember(req.params.key);
+    if (!existing) return res.status(404).json({ error: `Council member not found: ${req.params.key}` });
+
+    // The key is the member's identity; edits may change everything else
+    const edited = { ...existing, ...req.body, key: existing.key };
+    const error = validateMember(edited) || validateTemplate(edited.prompt);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        const member = normalizeMember(edited);
+        // A prompt edited here is also a new prompt version, so the two never disagree
+        if (req.body.prompt !== undefined) {
+            prompts.save(member.key, existing.prompt, member.prompt, 'Edited via /api/council/members');
+        }
+        updateCouncil(council.map(m => m.key === member.key ? member : m));
+        health.delete(member.key);
+        res.json(member);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/council/members/:key', (req, res) => {
+    if (!getMember(req.params.key)) {
+        return res.status(404).json({ error: `Council member not found: ${req.params.key}` });
+    }
+    if (council.length === 1) {
+        return res.status(400).json({ error: 'The council needs at least one member' });
+    }
+
+    try {
+        updateCouncil(council.filter(m => m.key !== req.params.key));
+        health.delete(req.params.key);
+        res.json({ key: req.params.key, deleted: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============ PROMPT TEMPLATES ============
+
+// Active prompt version per member
+app.get('/api/council/prompts', (req, res) => {
+    res.json({
+        variables: TEMPLATE_VARIABLES,
+        members: council.map(member => {
+            const { active, versions } = prompts.list(member.key, member.prompt);
+            return { key: member.key, active, versions: versions.length };
+        })
+    });
+});
+
+// Every version of a member's prompt (newest first) with per-version usage for A/B comparison
+app.get('/api/council/prompts/:key', (req, res) => {
+    const member = getMember(req.params.key);
+    if (!member) return res.status(404).json({ error: `Council member not found: ${req.params.key}` });
+
+    const { byPrompt } = usage.summary(parseInt(req.query.days, 10) || 30);
+    const { active, versions } = prompts.list(member.key, member.prompt);
+    res.json({
+        key: member.key,
+        active,
+        variables: TEMPLATE_VARIABLES,
+        versions: versions.map(version => ({ ...version, usage: byPrompt[`${member.key}@v${version.version}`] || null }))
+    });
+});
+
+// Preview a version rendered for a complexity level: ?version=2&complexity=expert
+app.get('/api/council/prompts/:key/render', (req, res) => {
+    if (!getMember(req.params.key)) {
+        return res.status(404).json({ error: `Council member not found: ${req.params.key}` });
+    }
+    try {
+        const prompt = memberPrompt(req.params.key, req.query.complexity || 'standard', readRouting(), req.query.version);
+        res.json({ key: req.params.key, ...prompt });
+    } catch (err) {
+        res.status(err instanceof PromptError ? err.status : 500).json({ error: err.message });
+    }
+});
+
+// Save a new version and make it active: { template, note }
+app.put('/api/council/prompts/:key', (req, res) => {
+    const member = getMember(req.params.key);
+    if (!member) return res.status(404).json({ error: `Council member not found: ${req.params.key}` });
+
+    try {
+        const version = prompts.save(member.key, member.prompt, req.body.template, req.body.note);
+        res.json({ key: member.key, active: version });
+    } catch (err) {
+        res.status(err instanceof PromptError ? err.status : 500).json({ error: err.message });
+    }
+});
+
+// Make an earlier version active again: { version }
+app.post('/api/council/prompts/:key/rollback', (req, res) => {
+    const member = getMember(req.params.key);
+    if (!member) return res.status(404).json({ error: `Council member not found: ${req.params.key}` });
+
+    try {
+        const version = prompts.rollback(member.key, member.prompt, req.body.version);
+        res.json({ key: member.key, active: version });
+    } catch (err) {
+        res.status(err instanceof PromptError ? err.status : 500).json({ error: err.message });
+    }
+});
+
+// ============ IN-FLIGHT REQUESTS ============
+
+// A client-chosen requestId must be well-formed and not already running; returns { status, error } or null
+function requestIdError(id) {
+    if (id === undefined) return null;
+    if (!validRequestId(id)) return { status: 400, error: 'requestId must be 1-64 letters, digits, "_" or "-"' };
+    if (inflight.has(id)) return { status: 409, error: `Request already in flight: ${id}` };
+    return null;
+}
+
+/**
+ * Register a council request for the in-flight list. The requestId is checked
+ * and reserved in the same step, so two requests with one id cannot both get
+ * in; a bad or taken id is answered with 400 or 409 and null is returned. The
+ * entry is dropped when the response closes; a client that disconnects before
+ * the answer is sent cancels the request, so its provider calls stop too.
+ */
+function trackRequest(req, res, details) {
+    const idError = requestIdError(req.body.requestId);
+    if (idError) {
+        res.status(idError.status).json({ error: idError.error });
+        return null;
+    }
+    const entry = inflight.start({ id: req.body.requestId, ...details });
+    res.setHeader('X-Request-Id', entry.id);
+    res.on('close', () => {
+        if (!res.writableEnded) inflight.cancel(entry.id, 'Client disconnected');
+        inflight.finish(entry.id);
+    });
+    return entry;
+}
+
+app.get('/api/council/inflight', (req, res) => {
+    res.json({ requests: inflight.list() });
+});
+
+// { requestId } - the request fails with "cancelled" (HTTP 499 or an SSE error event)
+app.post('/api/council/cancel', (req, res) => {
+    const { requestId } = req.body;
+    if (!requestId) {
+        return res.status(400).json({ error: 'requestId is required' });
+    }
+    if (!inflight.cancel(requestId, 'Cancelled by user')) {
+        return res.status(404).json({ error: `No request in flight: ${requestId}` });
+    }
+    res.json({ requestId, cancelled: true });
+});
+
+// ============ NEW: COUNCIL QUERY ENDPOINT ============
+
+app.post('/api/council/query', async (req, res) => {
+    const { key, query, complexity = 'standard', conversationId, cache, confidence, retrieval, promptVersion } = req.body;
+
+    if (!key || !getMember(key)) {
+        return res.status(400).json({ error: `Invalid council member: ${key}` });
+    }
+
+    if (!query) {
+        return res.status(400).json({ error: 'Query is required' });
+    }
+
+    // Structured mode: a JSON Schema object or a preset name from GET /api/council/schemas
+    const { schema, error: schemaError } = req.body.schema ? resolveSchema(req.body.schema) : {};
+    if (schemaError) {
+        return res.status(400).json({ error: schemaError });
+    }
+
+    // Tool use: true for every tool the caller's role allows, or a list of names from GET /api/council/tools
+    const { names: tools, error: toolsError, status: toolsStatus } = req.body.tools ? resolveTools(req.body.tools, req.user) : {};
+    if (toolsError) {
+        return res.status(toolsStatus).json({ error: toolsError });
+    }
+
+    const request = trackRequest(req, res, { kind: 'query', members: [key], query });
+    if (!request) return;
+
+    try {
+        const history = await loadMemberHistory(conversationId, key);
+        if (history === null) {
+            return res.status(404).json({ error: `Conversation not found: ${conversationId}` });
+        }
+
+        const result = await askCouncilMember(key, query, complexity, {
+            history, conversationId, kind: 'query', cache, confidence, schema, tools, retrieval, promptVersion,
+            user: req.user,
+            signal: request.signal
+        });
+        result.requestId = request.id;
+
+        if (schema && !result.structured.valid) {
+            return res.status(422).json({ error: 'Response did not match the schema', ...result });
+        }
+
+        if (conversationId) {
+            await conversations.appendTurn(conversationId, key, query, result.response);
+            result.conversationId = conversationId;
+        }
+
+        res.json(result);
+    } catch (err) {
+        if (err instanceof BudgetExceededError) {
+            return res.status(429).json({ error: err.message, budget: err.toJSON() });
+        }
+        if (err instanceof PromptError || err instanceof ConversationError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        if (err instanceof CancelledError) {
+            return res.status(err.status).json({ error: err.message, requestId: request.id, cancelled: true });
+        }
+        console.error(`Council query error (${key}):`, err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Query one council member and return the /api/council/query payload.
+ * The system prompt is the member's rendered prompt template (options.promptVersion
+ * pins a version, else the active one); the payload is tagged with promptVersion
+ * and promptHash. options.instructions is appended to it (used by the synthesizer);
+ * options.history is prior [{ role, content }] turns replayed before the query;
+ * options.conversationId and options.kind label the usage record;
+ * options.cache === false skips the response cache; options.confidence overrides
+ * the route's confidence method; options.schema asks for JSON matching that
+ * schema and adds `data` and `structured` to the payload; options.tools (tool
+ * names, offered only as far as options.user's role allows) runs the tool-use
+ * loop, reporting each call to options.onToolCall and returning the transcript
+ * as `tools`; options.retrieval (true/false, default from council-routing.json)
+ * adds codebase excerpts to the prompt and their locations as `citations`;
+ * options.signal (an in-flight request's signal) aborts every provider call
+ * made for the answer.
+ * Throws BudgetExceededError when a "reject" budget is used up and
+ * CancelledError when the request is cancelled.
+ */
+async function askCouncilMember(key, query, complexity, options = {}) {
+    const budget = usage.checkBudget(key);
+    const downgraded = budget.action === 'downgrade';
+    if (downgraded) complexity = 'simple';
+
+    const { steps, routing } = buildFallbackSteps(key, complexity, { model: budget.downgradeModel });
+    const schema = options.schema || null;
+    const prompt = memberPrompt(key, complexity, routing, options.promptVersion);
+    const promptTag = { promptVersion: prompt.version, promptHash: prompt.hash };
+    // Retrieved code goes in the system prompt so conversation history keeps the bare question
+    const grounding = await retrieveContext(routing, query, options.retrieval);
+    throwIfCancelled(options.signal);
+    const citations = grounding ? grounding.citations : undefined;
+    const retrievalError = grounding && grounding.error ? grounding.error : undefined;
+    const system = [
+        prompt.text,
+        options.instructions,
+        grounding && grounding.context,
+        schema && structuredInstructions(schema)
+    ].filter(Boolean).join('\n\n');
+    const messages = buildCouncilMessages(query, system, options.history);
+    const budgetInfo = downgraded ? { downgraded: true, exceeded: budget.exceeded } : undefined;
+
+    if (steps.length === 0) {
+        // Demo mode - return a recorded or simulated response
+        const demo = demoAnswer(key, query, complexity, routing, schema);
+        return {
+            response: demo.response,
+            ...demoStructured(demo.response, schema),
+            ...recordDemoUsage(key, messages, demo.response, { ...options, promptVersion: prompt.version, usage: demo.usage }),
+            confidence: null,
+            confidenceMethod: 'none',
+            citations,
+            retrievalError,
+            ...promptTag,
+            demo: true,
+            fixture: demo.fixture,
+            path: [{ step: 'demo', outcome: 'ok' }],
+            budget: budgetInfo
+        };
+    }
+
+    // Tool results depend on the workspace at call time, so tool answers are never cached
+    const cache = cacheLookup(key, routing, steps, messages, options.tools ? false : options.cache);
+    if (cache.hit) {
+        const answer = cachedAnswer(cache.hit);
+        if (schema) {
+            const { data } = parseStructured(answer.response, schema);
+            answer.data = data;
+            answer.structured = { valid: true, native: false, repairs: 0, errors: [] };
+        }
+        return { ...answer, citations, retrievalError, ...promptTag, budget: budgetInfo };
+    }
+
+    // member's model -> FALLBACK_MODEL -> another member's provider, each with timeout and retries
+    const { value: result, step, path } = await runFallbackChain(steps, step => options.tools
+        ? runToolStep(step, routing, messages, options)
+        : callWithPolicy(
+            breakerKey(step.provider),
+            ({ signal }) => completeStep(step, messages, {
+                logprobs: wantsLogprobs(step, options.confidence),
+                schema,
+                signal
+            }),
+            retryPolicy(step.route),
+            { breaker: routing.circuitBreaker, signal: options.signal }
+        ));
+
+    if (!result) {
+        console.log(`API failed, fallback to demo`);
+        const demo = demoAnswer(key, query, complexity, routing, schema);
+        return {
+            response: demo.response,
+            ...demoStructured(demo.response, schema),
+            ...recordDemoUsage(key, messages, demo.response, { ...options, promptVersion: prompt.version, usage: demo.usage }),
+            confidence: null,
+            confidenceMethod: 'none',
+            citations,
+            retrievalError,
+            ...promptTag,
+            demo: true,
+            fixture: demo.fixture,
+            fallback: true,
+            providerError: lastPathError(path),
+            path: [...path, { step: 'demo', outcome: 'ok' }],
+            budget: budgetInfo
+        };
+    }
+
+    const record = usage.record({
+        member: key,
+        provider: result.provider,
+        model: result.model,
+        conversationId: options.conversationId,
+        kind: options.kind,
+        promptVersion: prompt.version,
+        promptTokens: result.usage.promptTokens,
+        completionTokens: result.usage.completionTokens
+    });
+
+    const structured = schema
+        ? await enforceSchema(key, step, routing, messages, result, schema, options)
+        : null;
+    const content = structured ? structured.content : result.content;
+
+    // An answer that failed its schema is not worth scoring
+    const scored = structured && !structured.valid
+        ? { confidence: null, confidenceMethod: 'none' }
+        : await scoreConfidence(key, step, routing, messages, content, result.logprobs, {
+            method: options.confidence,
+            conversationId: options.conversationId,
+            signal: options.signal
+        });
+
+    // Only schema-valid structured answers are worth serving again
+    if (step === steps[0] && (!structured || structured.valid)) {
+        cache.store({ ...result, content, ...scored });
+    }
+
+    // JSON answers are not replayed; demo mode builds those from the schema
+    if (!schema) {
+        recordFixture(routing, key, query, {
+            complexity, promptHash: prompt.hash, response: content, usage: result.usage, model: result.model, provider: result.provider
+        });
+    }
+
+    // Log to Supabase if connected
+    if (supabase) {
+        await insertRow('atoms', {
+            content: `${key} query: ${query.substring(0, 100)}...`,
+            type: 'council_query',
+            domain: 'council',
+            source: key
+        });
+    }
+
+    return {
+        response: content || 'No response',
+        ...(structured && {
+            data: structured.data,
+            structured: {
+                valid: structured.valid,
+                native: structured.native,
+                repairs: structured.repairs,
+                errors: structured.errors
+            }
+        }),
+        ...(options.tools && { tools: result.transcript }),
+        citations,
+        retrievalError,
+        ...promptTag,
+        tokens: result.usage.totalTokens,
+        usage: result.usage,
+        ...scored,
+        cost: record.cost,
+        model: result.model,
+        provider: result.provider,
+        cached: false,
+        fallback: step.step !== 'primary',
+        path,
+        budget: budgetInfo
+    };
+}
+
+/**
+ * Cache lookup for a resolved chain. Answers are keyed by the first step's
+ * model, so only that step's answers are stored - a fallback answer is not
+ * what the member's own model would have said.
+ * Returns { hit, store(result) }; both are no-ops when caching is off.
+ */
+function cacheLookup(key, routing, steps, messages, requested) {
+    const config = routing.cache || {};
+    if (requested === false || config.enabled === false) {
+        return { hit: null, store: () => {} };
+    }
+
+    const request = {
+        member: key,
+        model: steps[0].model,
+        system: messages[0].content,
+        history: messages.slice(1, -1),
+        query: messages[messages.length - 1].content
+    };
+
+    return {
+        hit: responseCache.get(request, { similarity: config.similarity }),
+        store: result => {
+            if (!result.content) return;
+            responseCache.set(request, {
+                response: result.content,
+                usage: result.usage,
+                provider: result.provider,
+                confidence: result.confidence,
+                confidenceMethod: result.confidenceMethod
+            });
+        }
+    };
+}
+
+// A cache hit spends no tokens; `usage` is what the original call cost
+function cachedAnswer({ entry, match, similarity }) {
+    return {
+        response: entry.response,
+        tokens: 0,
+        usage: entry.usage,
+        confidence: entry.confidence === undefined ? null : entry.confidence,
+        confidenceMethod: entry.confidenceMethod || 'none',
+        cost: 0,
+        model: entry.model,
+        provider: entry.provider,
+        cached: true,
+        cacheMatch: match,
+        cacheSimilarity: similarity,
+        fallback: false,
+        path: [{ step: 'cache', model: entry.model, outcome: 'ok' }]
+    };
+}
+
+/**
+ * One completion for a chain step. With a schema, providers that support it
+ * get native JSON mode; a model that rejects response_format (bad_request)
+ * is asked again with the prompt instructions alone.
+ */
+async function completeStep(step, messages, options = {}) {
+    const request = {
+        model: step.model,
+        messages,
+        maxTokens: step.route.maxTokens,
+        temperature: step.route.temperature,
+        logprobs: options.logprobs,
+        tools: options.tools,
+        signal: options.signal
+    };
+
+    if (options.schema && step.provider.supportsJsonSchema) {
+        try {
+            return { ...await step.provider.complete({ ...request, jsonSchema: options.schema }), native: true };
+        } catch (err) {
+            if (!(err instanceof ProviderError) || err.type !== 'bad_request') throw err;
+            console.log(`${step.provider.name}/${step.model} rejected JSON mode, using prompt instructions`);
+        }
+    }
+
+    return step.provider.complete(request);
+}
+
+function toolSettings(routing) {
+    const config = routing.tools || {};
+    return {
+        root: path.resolve(process.env.NEMO_WORKSPACE || config.workspace || process.cwd()),
+        maxSteps: config.maxSteps || DEFAULT_MAX_STEPS
+    };
+}
+
+// Retrieval indexes the tool workspace unless retrieval.target names another directory
+function retrievalSettings(routing) {
+    const config = routing.retrieval || {};
+    return {
+        enabled: !!config.enabled,
+        target: config.target ? path.resolve(config.target) : toolSettings(routing).root,
+        topK: config.topK || DEFAULT_TOP_K,
+        refreshMs: config.refreshMs === undefined ? 60000 : config.refreshMs,
+        embeddings: config.embeddings || null
+    };
+}
+
+// One index per target and embedding model, kept for the life of the server
+const codeIndexes = new Map();
+
+function getCodeIndex(settings) {
+    const embeddings = settings.embeddings;
+    const id = `${settings.target}|${embeddings ? embeddings.model : ''}`;
+    if (!codeIndexes.has(id)) {
+        const embedder = embeddings
+            ? createEmbedder(createProvider(embeddings.provider || 'ollama', { baseUrl: embeddings.baseUrl }), embeddings.model)
+            : null;
+        codeIndexes.set(id, new CodeIndex(path.join(process.cwd(), '.nemo/index'), { target: settings.target, embedder }));
+    }
+    return codeIndexes.get(id);
+}
+
+// Incremental refresh, at most once per refreshMs
+async function freshCodeIndex(settings) {
+    const index = getCodeIndex(settings);
+    const age = index.updatedAt ? Date.now() - Date.parse(index.updatedAt) : Infinity;
+    if (age > settings.refreshMs) await index.update();
+    return index;
+}
+
+/**
+ * Codebase excerpts for a query when retrieval is on (the request's flag,
+ * else retrieval.enabled). Returns { context, citations } or null; a broken
+ * index never fails the query, it returns { context: null, citations: [], error }
+ * so the answer can say it was not grounded.
+ */
+async function retrieveContext(routing, query, requested) {
+    const settings = retrievalSettings(routing);
+    if (requested === false || (requested === undefined && !settings.enabled)) return null;
+
+    try {
+        const index = await freshCodeIndex(settings);
+        const { context, citations } = formatContext(await index.search(query, { topK: settings.topK }));
+        return context ? { context, citations } : null;
+    } catch (err) {
+        console.error('Code retrieval failed:', err.message);
+        return { context: null, citations: [], error: err.message };
+    }
+}
+
+/**
+ * One fallback step run as a tool-use loop: every model call in the loop gets
+ * the step's timeout, retries and breaker. The result carries the summed
+ * usage of all calls and the tool transcript. A schema only applies to the
+ * final, tool-free call.
+ */
+async function runToolStep(step, routing, messages, options) {
+    const settings = toolSettings(routing);
+    let attempts = 0;
+
+    const loop = await runToolLoop(async (loopMessages, tools) => {
+        const { value, attempts: used } = await callWithPolicy(
+            breakerKey(step.provider),
+            ({ signal }) => completeStep(step, loopMessages, {
+                tools,
+                schema: tools ? null : options.schema,
+                logprobs: wantsLogprobs(step, options.confidence),
+                signal
+            }),
+            retryPolicy(step.route),
+            { breaker: routing.circuitBreaker, signal: options.signal }
+        );
+        attempts += used;
+        return value;
+    }, messages, {
+        tools: options.tools,
+        user: options.user,
+        maxSteps: settings.maxSteps,
+        context: { root: settings.root, supabase },
+        onToolCall: options.onToolCall
+    });
+
+    return { value: { ...loop.result, usage: loop.usage, transcript: loop.transcript }, attempts };
+}
+
+/**
+ * Parse and validate a structured answer, asking the same step to repair it
+ * up to MAX_REPAIRS times. Repair calls are recorded as kind "repair".
+ * Returns { content, data, valid, native, repairs, errors }.
+ */
+async function enforceSchema(key, step, routing, messages, result, schema, options = {}) {
+    let content = result.content;
+    let parsed = parseStructured(content, schema);
+    let repairs = 0;
+
+    while (!parsed.valid && repairs < MAX_REPAIRS) {
+        repairs++;
+        console.log(`${key} structured output invalid (repair ${repairs}/${MAX_REPAIRS}):`, parsed.errors[0]);
+        try {
+            const { value } = await callWithPolicy(
+                breakerKey(step.provider),
+                ({ signal }) => completeStep(step, buildRepairMessages(messages, content, parsed.errors), { schema, signal }),
+                retryPolicy(step.route),
+                { breaker: routing.circuitBreaker, signal: options.signal }
+            );
+            usage.record({
+                member: key,
+                provider: value.provider,
+                model: value.model,
+                conversationId: options.conversationId,
+                kind: 'repair',
+                promptTokens: value.usage.promptTokens,
+                completionTokens: value.usage.completionTokens
+            });
+            content = value.content;
+            parsed = parseStructured(content, schema);
+        } catch (err) {
+            if (!(err instanceof ProviderError)) throw err;
+            parsed = { ...parsed, errors: [...parsed.errors, `Repair failed: ${err.message}`] };
+            break;
+        }
+    }
+
+    return { content, ...parsed, native: !!result.native, repairs };
+}
+
+// Demo answers for a schema are built from the schema itself, so they always validate
+function demoStructured(response, schema) {
+    if (!schema) return {};
+    return {
+        data: JSON.parse(response),
+        structured: { valid: true, native: false, repairs: 0, errors: [] }
+    };
+}
+
+function wantsLogprobs(step, requested) {
+    return chooseMethod(requested || step.route.confidence, step.provider) === 'logprobs';
+}
+
+/**
+ * Confidence for an answer from `step`: provider logprobs, agreement with
+ * extra samples, or a follow-up self-rating call (see lib/nemo-confidence.js).
+ * Extra calls go to the same provider and model and are recorded as kind
+ * "confidence". A failed extra call leaves the answer unscored rather than failing it.
+ * Returns { confidence, confidenceMethod }.
+ */
+async function scoreConfidence(key, step, routing, messages, answer, logprobs, options = {}) {
+    let method = chooseMethod(options.method || step.route.confidence, step.provider);
+
+    if (method === 'logprobs') {
+        const confidence = fromLogprobs(logprobs);
+        if (confidence !== null) return { confidence, confidenceMethod: 'logprobs' };
+        // The model did not return logprobs after all (common through OpenRouter)
+        method = 'self_rating';
+    }
+    if (method === 'none' || !answer) return { confidence: null, confidenceMethod: 'none' };
+
+    const extraCall = async (callMessages, overrides = {}) => {
+        const { value } = await callWithPolicy(
+            breakerKey(step.provider),
+            ({ signal }) => step.provider.complete({
+                model: step.model,
+                messages: callMessages,
+                maxTokens: step.route.maxTokens,
+                temperature: step.route.temperature,
+                ...overrides,
+                signal
+            }),
+            retryPolicy(step.route),
+            { breaker: routing.circuitBreaker, signal: options.signal }
+        );
+        usage.record({
+            member: key,
+            provider: value.provider,
+            model: value.model,
+            conversationId: options.conversationId,
+            kind: 'confidence',
+            promptTokens: value.usage.promptTokens,
+            completionTokens: value.usage.completionTokens
+        });
+        return value.content;
+    };
+
+    try {
+        if (method === 'self_consistency') {
+            const samples = sampleCount(step.route.confidenceSamples);
+            const extra = await Promise.all(Array.from({ length: samples - 1 }, () => extraCall(messages)));
+            return { confidence: fromSamples(answer, extra), confidenceMethod: 'self_consistency', confidenceSamples: samples };
+        }
+
+        const query = messages[messages.length - 1].content;
+        const rating = parseRating(await extraCall(buildRatingMessages(query, answer), { maxTokens: 5, temperature: 0 }));
+        return rating === null
+            ? { confidence: null, confidenceMethod: 'none' }
+            : { confidence: rating, confidenceMethod: 'self_rating' };
+    } catch (err) {
+        if (!(err instanceof ProviderError)) throw err;
+        console.error(`Confidence scoring failed (${key}, ${method}):`, err.message);
+        return { confidence: null, confidenceMethod: 'none' };
+    }
+}
+
+// Demo answers cost nothing; their tokens are the recorded call's (options.usage, from a
+// fixture) or estimated from the text instead of made up
+function recordDemoUsage(key, messages, response, options = {}) {
+    const recorded = options.usage;
+    const promptTokens = recorded
+        ? recorded.promptTokens
+        : messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    const completionTokens = recorded ? recorded.completionTokens : estimateTokens(response);
+    usage.record({
+        member: key,
+        conversationId: options.conversationId,
+        kind: options.kind,
+        promptVersion: options.promptVersion,
+        promptTokens,
+        completionTokens,
+        demo: true
+    });
+    return {
+        tokens: promptTokens + completionTokens,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+}
+
+// Usage of a stream that broke off after some tokens: the provider sent no
+// totals, so both sides are estimated, but they are real tokens on its bill
+function recordStreamedUsage(key, step, messages, text, options = {}) {
+    const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    const completionTokens = estimateTokens(text);
+    const record = usage.record({
+        member: key,
+        provider: step.provider.name,
+        model: step.model,
+        conversationId: options.conversationId,
+        kind: options.kind,
+        promptVersion: options.promptVersion,
+        promptTokens,
+        completionTokens
+    });
+    return {
+        tokens: promptTokens + completionTokens,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+        cost: record.cost
+    };
+}
+
+// Streaming variant: Server-Sent Events with token deltas, then usage and latency
+app.post('/api/council/query/stream', async (req, res) => {
+    const {
+        key, query, complexity = 'standard', conversationId, cache: useCache, confidence, retrieval, promptVersion
+    } = req.body;
+
+    if (!key || !getMember(key)) {
+        return res.status(400).json({ error: `Invalid council member: ${key}` });
+    }
+
+    if (req.body.schema) {
+        return res.status(400).json({ error: 'Structured output is only available on /api/council/query' });
+    }
+
+    const { names: tools, error: toolsError, status: toolsStatus } = req.body.tools ? resolveTools(req.body.tools, req.user) : {};
+    if (toolsError) {
+        return res.status(toolsStatus).json({ error: toolsError });
+    }
+
+    if (!query) {
+        return res.status(400).json({ error: 'Query is required' });
+    }
+
+    // Reserved before the history load, so a second request with this id is refused while the first waits
+    const request = trackRequest(req, res, { kind: 'stream', members: [key], query });
+    if (!request) return;
+
+    let history;
+    try {
+        history = await loadMemberHistory(conversationId, key);
+    } catch (err) {
+        return res.status(err instanceof ConversationError ? err.status : 500).json({ error: err.message });
+    }
+    if (history === null) {
+        return res.status(404).json({ error: `Conversation not found: ${conversationId}` });
+    }
+
+    // A pinned prompt version that does not exist is an error before the stream opens
+    try {
+        prompts.resolve(key, getMember(key).prompt, promptVersion);
+    } catch (err) {
+        return res.status(err instanceof PromptError ? err.status : 500).json({ error: err.message });
+    }
+
+    if (tools) {
+        return streamToolAnswer(res, request, key, query, complexity, {
+            history, conversationId, confidence, tools, retrieval, promptVersion, user: req.user
+        });
+    }
+
+    let budget;
+    try {
+        budget = usage.checkBudget(key);
+    } catch (err) {
+        if (err instanceof BudgetExceededError) {
+            return res.status(429).json({ error: err.message, budget: err.toJSON() });
+        }
+        return res.status(500).json({ error: err.message });
+    }
+    const downgraded = budget.action === 'downgrade';
+    const budgetInfo = downgraded ? { downgraded: true, exceeded: budget.exceeded } : undefined;
+
+    const startTime = Date.now();
+    const send = openEventStream(res);
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    // Demo and cached text stops replaying once the client leaves or the request is cancelled
+    const replay = chunk => !closed && !request.signal.aborted && send('token', { text: chunk });
+
+    // Persist the finished answer before announcing "done" so the sidebar sees it;
+    // a cancelled answer is not kept
+    const remember = async (text) => {
+        throwIfCancelled(request.signal);
+        if (conversationId && text) await conversations.appendTurn(conversationId, key, query, text);
+    };
+
+    try {
+        const level = downgraded ? 'simple' : complexity;
+        const { steps, routing } = buildFallbackSteps(key, level, { model: budget.downgradeModel });
+        const prompt = memberPrompt(key, level, routing, promptVersion);
+        const promptTag = { promptVersion: prompt.version, promptHash: prompt.hash };
+        const grounding = await retrieveContext(routing, query, retrieval);
+        const messages = buildCouncilMessages(query,
+            [prompt.text, grounding && grounding.context].filter(Boolean).join('\n\n'), history);
+        const usageOptions = { conversationId, kind: 'query', promptVersion: prompt.version };
+        if (grounding) {
+            send('context', grounding.error ? { citations: [], error: grounding.error } : { citations: grounding.citations });
+        }
+
+        if (steps.length === 0) {
+            // Demo mode - stream the recorded or simulated response
+            const demo = demoAnswer(key, query, level, routing);
+            await streamDemoText(demo.response, replay);
+            await remember(demo.response);
+            send('done', {
+                ...recordDemoUsage(key, messages, demo.response, { ...usageOptions, usage: demo.usage }),
+                confidence: null,
+                confidenceMethod: 'none',
+                ...promptTag,
+                requestId: request.id,
+                latency: Date.now() - startTime,
+                demo: true,
+                fixture: demo.fixture,
+                path: [{ step: 'demo', outcome: 'ok' }],
+                budget: budgetInfo
+            });
+            return res.end();
+        }
+
+        const cache = cacheLookup(key, routing, steps, messages, useCache);
+        if (cache.hit) {
+            const { response, ...meta } = cachedAnswer(cache.hit);
+            await streamDemoText(response, replay);
+            await remember(response);
+            send('done', { ...meta, ...promptTag, requestId: request.id, latency: Date.now() - startTime, budget: budgetInfo });
+            return res.end();
+        }
+
+        let streamedText = '';
+        let firstTokenLatency = null;
+        // The step whose tokens reached the client, if any
+        let streamedBy = null;
+        // Retries and fallback steps are only possible until the first token reaches the client
+        const nothingSent = () => firstTokenLatency === null;
+
+        const { value: done, step, path } = await runFallbackChain(steps, step => callWithPolicy(
+            breakerKey(step.provider),
+            async ({ signal, clearTimeout }) => {
+                let finished = null;
+                const events = step.provider.stream({
+                    model: step.model,
+                    messages,
+                    maxTokens: step.route.maxTokens,
+                    temperature: step.route.temperature,
+                    logprobs: wantsLogprobs(step, confidence),
+                    signal
+                });
+                for await (const event of events) {
+                    if (closed) break;
+                    if (event.type === 'delta') {
+                        if (firstTokenLatency === null) {
+                            // The timeout covers the wait for the first token, not the whole answer
+                            clearTimeout();
+                            firstTokenLatency = Date.now() - startTime;
+                            streamedBy = step;
+                        }
+                        streamedText += event.text;
+                        send('token', { text: event.text });
+                    } else if (event.type === 'done') {
+                        finished = event;
+                    }
+                }
+                return finished;
+            },
+            retryPolicy(step.route),
+            { breaker: routing.circuitBreaker, shouldRetry: nothingSent, signal: request.signal }
+        ), { canContinue: nothingSent });
+
+        if (closed) return res.end();
+
+        if (!done) {
+            // A partly streamed answer is kept as is; otherwise the demo answer is streamed
+            let demo = { fixture: null };
+            let spent;
+            if (streamedBy) {
+                // The provider charged for the tokens it sent before failing
+                spent = recordStreamedUsage(key, streamedBy, messages, streamedText, usageOptions);
+            } else {
+                console.log(`API failed, fallback to demo`);
+                demo = demoAnswer(key, query, level, routing);
+                streamedText = demo.response;
+                await streamDemoText(streamedText, replay);
+                path.push({ step: 'demo', outcome: 'ok' });
+                spent = recordDemoUsage(key, messages, streamedText, { ...usageOptions, usage: demo.usage });
+            }
+            await remember(streamedText);
+            send('done', {
+                ...spent,
+                confidence: null,
+                confidenceMethod: 'none',
+                ...promptTag,
+                requestId: request.id,
+                latency: Date.now() - startTime,
+                ...(streamedBy ? { partial: true, provider: streamedBy.provider.name, model: streamedBy.model } : { demo: true }),
+                fixture: demo.fixture,
+                fallback: true,
+                providerError: lastPathError(path),
+                path,
+                budget: budgetInfo
+            });
+            return res.end();
+        }
+
+        const record = usage.record({
+            member: key,
+            provider: done.provider,
+            model: done.model,
+            ...usageOptions,
+            promptTokens: done.usage.promptTokens,
+            completionTokens: done.usage.completionTokens
+        });
+
+        const scored = await scoreConfidence(key, step, routing, messages, streamedText, done.logprobs, {
+            method: confidence,
+            conversationId,
+            signal: request.signal
+        });
+
+        if (step === steps[0]) cache.store({ content: streamedText, usage: done.usage, provider: done.provider, ...scored });
+        recordFixture(routing, key, query, {
+            complexity: level, promptHash: prompt.hash, response: streamedText, usage: done.usage, model: done.model, provider: done.provider
+        });
+
+        await remember(streamedText);
+        send('done', {
+            tokens: done.usage.totalTokens,
+            usage: done.usage,
+            cost: record.cost,
+            ...scored,
+            ...promptTag,
+            requestId: request.id,
+            model: done.model,
+            provider: done.provider,
+            latency: Date.now() - startTime,
+            firstTokenLatency,
+            cached: false,
+            fallback: step.step !== 'primary',
+            path,
+            budget: budgetInfo
+        });
+        res.end();
+
+        if (supabase) {
+            await insertRow('atoms', {
+                content: `${key} query: ${query.substring(0, 100)}...`,
+                type: 'council_query',
+                domain: 'council',
+                source: key
+            });
+        }
+    } catch (err) {
+        if (err instanceof CancelledError) {
+            // A client that disconnected has nobody to tell
+            if (!closed) send('error', { error: err.message, requestId: request.id, cancelled: true });
+            return res.end();
+        }
+        console.error(`Council stream error (${key}):`, err.message);
+        send('error', { error: err.message });
+        res.end();
+    }
+});
+
+/**
+ * Streaming with tools: tool calls are sent as `tool` events while the loop
+ * runs, then the final answer is sent as tokens (the loop itself is not streamed).
+ * Retrieved code locations, if any, arrive first as a `context` event.
+ */
+async function streamToolAnswer(res, request, key, query, complexity, options) {
+    const startTime = Date.now();
+    const send = openEventStream(res);
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    try {
+        const { response, citations, ...meta } = await askCouncilMember(key, query, complexity, {
+            ...options,
+            kind: 'query',
+            signal: request.signal,
+            onToolCall: entry => !closed && send('tool', entry)
+        });
+        if (citations) send('context', meta.retrievalError ? { citations, error: meta.retrievalError } : { citations });
+        await streamDemoText(response, chunk => !closed && !request.signal.aborted && send('token', { text: chunk }));
+        throwIfCancelled(request.signal);
+        if (options.conversationId) await conversations.appendTurn(options.conversationId, key, query, response);
+        send('done', { ...meta, requestId: request.id, latency: Date.now() - startTime });
+    } catch (err) {
+        if (err instanceof CancelledError) {
+            if (!closed) send('error', { error: err.message, requestId: request.id, cancelled: true });
+        } else {
+            console.error(`Council stream error (${key}):`, err.message);
+            send('error', err instanceof BudgetExceededError
+                ? { error: err.message, budget: err.toJSON() }
+                : { error: err.message });
+        }
+    }
+    res.end();
+}
+
+// ============ CONVERSATIONS ============
+
+app.get('/api/conversations', async (req, res) => {
+    try {
+        res.json({ backend: conversations.backend, conversations: await conversations.list() });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/conversations', async (req, res) => {
+    try {
+        res.json(await conversations.create(req.body.title));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/conversations/:id', async (req, res) => {
+    try {
+        const conversation = await conversations.get(req.params.id);
+        if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+        res.json(conversation);
+    } catch (err) {
+        res.status(err instanceof ConversationError ? err.status : 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/conversations/:id', async (req, res) => {
+    try {
+        const removed = await conversations.remove(req.params.id);
+        if (!removed) return res.status(404).json({ error: 'Conversation not found' });
+        res.json({ id: req.params.id, deleted: true });
+    } catch (err) {
+        res.status(err instanceof ConversationError ? err.status : 500).json({ error: err.message });
+    }
+});
+
+// ============ COUNCIL DELIBERATION ============
+
+// All members answer in parallel, then one synthesizer turns them into a verdict
+app.post('/api/council/deliberate', async (req, res) => {
+    const { query, complexity = 'standard', synthesizer, retrieval } = req.body;
+
+    if (!query) {
+        return res.status(400).json({ error: 'Query is required' });
+    }
+
+    if (synthesizer && !getMember(synthesizer)) {
+        return res.status(400).json({ error: `Invalid council member: ${synthesizer}` });
+    }
+
+    const members = memberKeys();
+    const request = trackRequest(req, res, { kind: 'deliberate', members, query });
+    if (!request) return;
+
+    try {
+        const startTime = Date.now();
+
+        const settled = await Promise.allSettled(members.map(key => askCouncilMember(key, query, complexity, {
+            kind: 'deliberate',
+            retrieval,
+            signal: request.signal
+        })));
+        throwIfCancelled(request.signal);
+        const answers = settled.map((outcome, i) => outcome.status === 'fulfilled'
+            ? { key: members[i], ...outcome.value }
+            : { key: members[i], error: outcome.reason.message });
+
+        const tiers = loadMemoryTiers(path.join(process.cwd(), '.nemo/memory'));
+        const synthKey = pickSynthesizer(answers, tiers.council && tiers.council.fallback_priority, synthesizer);
+
+        if (!synthKey) {
+            return res.status(502).json({ error: 'No council member answered', answers });
+        }
+
+        const synthesis = await askCouncilMember(synthKey, buildSynthesisPrompt(query, answers), complexity, {
+            instructions: SYNTHESIS_INSTRUCTIONS,
+            kind: 'synthesis',
+            // The synthesizer judges the answers, not the code
+            retrieval: false,
+            signal: request.signal
+        });
+
+        // A recorded synthesis is parsed like a live one
+        const verdict = synthesis.demo && !synthesis.fixture
+            ? buildDemoVerdict(query, answers, synthKey)
+            : parseVerdict(synthesis.response, members);
+
+        res.json({
+            query,
+            requestId: request.id,
+            synthesizer: synthKey,
+            verdict: {
+                ...verdict,
+                tokens: synthesis.tokens,
+                model: synthesis.model,
+                demo: !!synthesis.demo
+            },
+            answers,
+            tokens: answers.reduce((sum, a) => sum + (a.tokens || 0), synthesis.tokens || 0),
+            latency: Date.now() - startTime
+        });
+    } catch (err) {
+        if (err instanceof BudgetExceededError) {
+            return res.status(429).json({ error: err.message, budget: err.toJSON() });
+        }
+        if (err instanceof CancelledError) {
+            return res.status(err.status).json({ error: err.message, requestId: request.id, cancelled: true });
+        }
+        console.error('Council deliberation error:', err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============ COUNCIL DEBATE ============
+
+// Members rebut each other's previous round until loop protection or the round limit stops them
+app.post('/api/council/debate', async (req, res) => {
+    const { query, complexity = 'standard', rounds = 3, threshold = DEFAULT_SIMILARITY_THRESHOLD } = req.body;
+
+    if (!query) {
+        return res.status(400).json({ error: 'Query is required' });
+    }
+
+    const maxRounds = Math.min(Math.max(parseInt(rounds, 10) || 1, 1), MAX_ROUNDS);
+
+    const members = memberKeys();
+    const request = trackRequest(req, res, { kind: 'debate', members, query });
+    if (!request) return;
+
+    try {
+        const startTime = Date.now();
+        const timeline = [];
+        let stoppedReason = 'max_rounds';
+
+        for (let round = 1; round <= maxRounds; round++) {
+            const previous = timeline[timeline.length - 1];
+            const settled = await Promise.allSettled(members.map(key => {
+                const prompt = previous ? buildRebuttalPrompt(query, key, previous.answers, round) : query;
+                return askCouncilMember(key, prompt, complexity, { kind: 'debate', signal: request.signal });
+            }));
+
+            // A cancelled debate keeps the rounds that finished
+            if (request.signal.aborted) {
+                stoppedReason = 'cancelled';
+                break;
+            }
+
+            const answers = settled.map((outcome, i) => outcome.status === 'fulfilled'
+                ? { key: members[i], ...outcome.value }
+                : { key: members[i], error: outcome.reason.message });
+
+            timeline.push({ round, answers });
+
+            if (answers.every(a => a.error)) {
+                stoppedReason = 'no_answers';
+                break;
+            }
+
+            const protection = checkLoopProtection(timeline, threshold);
+            timeline[timeline.length - 1].similarity = protection.similarity;
+            timeline[timeline.length - 1].averageSimilarity = protection.average;
+
+            if (protection.stop) {
+                stoppedReason = protection.stop;
+                console.log(`Debate stopped after round ${round}: ${protection.stop}`);
+                break;
+            }
+        }
+
+        res.json({
+            query,
+            requestId: request.id,
+            rounds: timeline,
+            roundsRun: timeline.length,
+            maxRounds,
+            stoppedReason,
+            loopProtection: { threshold },
+            tokens: timeline.reduce((sum, r) => sum + r.answers.reduce((s, a) => s + (a.tokens || 0), 0), 0),
+            latency: Date.now() - startTime
+        });
+    } catch (err) {
+        console.error('Council debate error:', err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Resolved routing table for every member and complexity level
+app.get('/api/council/routing', (req, res) => {
+    try {
+        const keys = readCouncilKeys();
+        const routing = readRouting();
+        const table = {};
+
+        memberKeys().forEach(member => {
+            const apiKey = resolveMemberKey(member, keys);
+            table[member] = {};
+            COMPLEXITY_LEVELS.forEach(level => {
+                table[member][level] = resolveRoute(member, level, {
+                    routing,
+                    keys,
+                    apiKey,
+                    memberRoute: { model: getMember(member).model }
+                });
+            });
+        });
+
+        res.json(table);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Tools the caller's role lets members use when a query sets `tools`, and the sandbox they run in
+app.get('/api/council/tools', (req, res) => {
+    const settings = toolSettings(readRouting());
+    const tools = allowedTools(req.user);
+    res.json({
+        workspace: settings.root,
+        maxSteps: settings.maxSteps,
+        tools: toolDefinitions(tools)
+    });
+});
+
+// Built-in schemas for structured mode (pass the name as `schema`)
+app.get('/api/council/schemas', (req, res) => {
+    res.json(SCHEMA_PRESETS);
+});
+
+// ============ BACKGROUND JOBS ============
+
+// jobs.roots in council-routing.json (null means the tool workspace) bounds what
+// filesystem jobs may scan; jobs.history is how many finished jobs are kept
+function jobSettings(routing) {
+    const config = routing.jobs || {};
+    return {
+        roots: Array.isArray(config.roots) && config.roots.length > 0
+            ? config.roots.map(root => path.resolve(root))
+            : [toolSettings(routing).root],
+        history: config.history || 200
+    };
 }
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, '../public')));
+// At most the tier's worker count of jobs run at once (TIERS in run-nemo.js)
+const jobs = new JobQueue(path.join(process.cwd(), '.nemo/jobs'), {
+    concurrency: () => TIERS[detectTier()].workers,
+    history: jobSettings(readRouting()).history
+});
 
-// Store runtime state
-const state = {
-    scanning: false,
-    analyzing: false,
-    spectrum: {
-        frequency: 2.4,
-        bandwidth: 100,
-        data: []
-    },
-    council: {
-        GHOST: false,
-        ARCHITECT: false,
-        MONK: false,
-        SHADOW: false,
-        OBSERVER: false
+// Job changes go to the event stream; progress at most once per JOB_PROGRESS_MS per job
+const JOB_PROGRESS_MS = 250;
+const jobProgressAt = new Map();
+jobs.onChange((job, change) => {
+    if (change === 'progress') {
+        const now = Date.now();
+        if (now - (jobProgressAt.get(job.id) || 0) < JOB_PROGRESS_MS) return;
+        jobProgressAt.set(job.id, now);
+    } else if (!job.active) {
+        jobProgressAt.delete(job.id);
     }
-};
+    events.publish('jobs', change, job.summary());
+});
 
-// ============ COUNCIL MEMBER SYSTEM PROMPTS ============
-
-const COUNCIL_PROMPTS = {
-    GHOST: `You are THE GHOST - The Predictive Intent Engine.
-Your role is to ANTICIPATE what the user needs before they fully express it.
-You see patterns in incomplete data and predict the most likely intent.
-You operate at O(1) speed - instant pattern recognition.
-Be concise, predictive, and proactive. Show what you see coming.`,
-
-    ARCHITECT: `You are THE ARCHITECT - The System Design & Toolbox Expert.
-Your role is to BUILD solutions from first principles.
-You see every problem as a system to be designed.
-You have access to 12+ design patterns and can construct any structure.
-Be structural, methodical, and provide clear blueprints.`,
-
-    MONK: `You are THE MONK - The Deep Reasoning & Loop Protection Engine.
-Your role is to THINK DEEPLY and prevent infinite loops.
-You detect circular reasoning, prevent recursion traps, and ensure logical consistency.
-You meditate on problems to find their true nature.
-Be thoughtful, wise, and identify hidden assumptions.`,
-
-    SHADOW: `You are THE SHADOW - The Chi Aesthetic Specialist.
-Your role is to make everything BEAUTIFUL with the Chi aesthetic.
-You specialize in dark mode, cyan glows, magenta accents, and futuristic UI.
-You see the visual essence of every concept.
-Be artistic, precise with colors (#00ffff, #ff00ff, #0a0a0f), and evocative.`,
-
-    OBSERVER: `You are THE OBSERVER - The Browser Sync & Monitoring Agent.
-Your role is to WATCH and REPORT on system state.
-You monitor all activity, sync across browsers, and detect anomalies.
-You are the eyes that see everything happening in real-time.
-Be vigilant, comprehensive, and provide status reports.`
-};
+// Role needed to see, start, cancel, retry or delete a job, or read its artifacts
+const JOB_ROLES = { loops: 'admin', analysis: 'admin', reindex: 'admin', batch: 'operator' };
 
-// ============ COUNCIL API ============
+// Whether the user may see a job (or its summary) at all
+function canReadJob(user, job) {
+    return hasRole(user, JOB_ROLES[job.type] || 'admin');
+}
 
-app.get('/api/council-keys', (req, res) => {
+function requireJobRole(req, res, job) {
+    if (canReadJob(req.user, job)) return true;
+    res.status(403).json({ error: `${job.type} jobs need the ${JOB_ROLES[job.type] || 'admin'} role` });
+    return false;
+}
+
+// ?type=loops&status=active&limit=50 (status "active" is queued or running); only jobs the caller may read
+app.get('/api/jobs', (req, res) => {
+    const { type, status, limit } = req.query;
+    const visible = jobs.list({ type, status }).filter(job => canReadJob(req.user, job));
+    res.json({
+        concurrency: TIERS[detectTier()].workers,
+        running: jobs.list({ status: 'running' }).length,
+        types: Object.keys(JOB_ROLES).filter(jobType => canReadJob(req.user, { type: jobType })),
+        jobs: visible.slice(0, parseInt(limit, 10) || undefined)
+    });
+});
+
+// Status, timings, result, log and artifacts of one job; reading it needs the role of its type
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    if (!requireJobRole(req, res, job)) return;
+    res.json(job.toJSON());
+});
+
+app.get('/api/jobs/:id/artifacts/:name', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    if (!requireJobRole(req, res, job)) return;
+    const artifact = jobs.artifact(job.id, req.params.name);
+    if (!artifact) return res.status(404).json({ error: `Artifact not found: ${req.params.name}` });
+    if (req.query.download) res.setHeader('Content-Disposition', `attachment; filename=nemo-${job.type}-${job.id}-${artifact.name}`);
+    res.sendFile(artifact.path);
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    if (!requireJobRole(req, res, job)) return;
+    if (!jobs.cancel(job.id)) {
+        return res.status(409).json({ error: `Job is ${job.status}, not queued or running` });
+    }
+    res.json(job.summary());
+});
+
+// Run a failed, cancelled or interrupted job again with the same parameters
+app.post('/api/jobs/:id/retry', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    if (!requireJobRole(req, res, job)) return;
     try {
-        const keysPath = path.join(process.cwd(), 'council-keys.json');
-        if (fs.existsSync(keysPath)) {
-            const keys = JSON.parse(fs.readFileSync(keysPath, 'utf8'));
-            res.json(keys);
-        } else {
-            res.json({ error: 'council-keys.json not found' });
+        if (!jobs.retry(job.id)) {
+            return res.status(409).json({ error: `Job is ${job.status}; only failed, cancelled or interrupted jobs are retried` });
         }
+        res.status(202).json(job.summary());
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err instanceof JobError ? err.status : 500).json({ error: err.message });
     }
 });
 
-app.post('/api/council/activate', async (req, res) => {
-    const { key } = req.body;
-    if (!key || !state.council.hasOwnProperty(key)) {
-        return res.status(400).json({ error: 'Invalid key' });
+app.delete('/api/jobs/:id', async (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    if (!requireJobRole(req, res, job)) return;
+    if (!(await jobs.remove(job.id))) {
+        return res.status(409).json({ error: 'Job is still queued or running; cancel it first' });
     }
+    res.json({ id: job.id, deleted: true });
+});
 
-    try {
-        const keysPath = path.join(process.cwd(), 'council-keys.json');
-        const keys = JSON.parse(fs.readFileSync(keysPath, 'utf8'));
-        const apiKey = keys[key + '_API_KEY'];
+// ============ BATCH JOBS ============
+
+// Every cell is an ordinary council query, recorded in the usage ledger as kind "batch".
+// Each run is a "batch" job in the background queue.
+const batches = new BatchManager(path.join(process.cwd(), '.nemo/batches'), (key, query, options, signal) =>
+    askCouncilMember(key, query, options.complexity, {
+        kind: 'batch',
+        cache: options.cache,
+        confidence: options.confidence,
+        retrieval: options.retrieval,
+        signal
+    }), jobs);
+
+// The tier's worker count (TIERS in run-nemo.js); a request may ask for fewer
+function batchConcurrency(requested) {
+    const workers = TIERS[detectTier()].workers;
+    const count = parseInt(requested, 10);
+    return count > 0 ? Math.min(count, workers) : workers;
+}
 
-        state.council[key] = apiKey && !apiKey.includes('your_');
+// Start a job: { queries: [...], members?: [...], complexity?, confidence?, cache?, retrieval?, concurrency? }
+app.post('/api/council/batch', (req, res) => {
+    const { queries, members, complexity = 'standard', confidence, cache, retrieval, concurrency } = req.body;
+    const error = validateBatch({ queries, members }, memberKeys());
+    if (error) return res.status(400).json({ error });
+    if (!COMPLEXITY_LEVELS.includes(complexity)) {
+        return res.status(400).json({ error: `Invalid complexity: ${complexity}` });
+    }
 
-        if (supabase) {
-            await supabase.from('node_messages').insert({
-                from_node: 'SYSTEM',
-                to_node: key,
-                content: `Key ${state.council[key] ? 'activated' : 'failed'}`
-            });
-        }
+    const job = batches.start({
+        queries,
+        members: members || memberKeys(),
+        options: { complexity, confidence, cache, retrieval },
+        concurrency: batchConcurrency(concurrency),
+        createdBy: req.user.username
+    });
+    res.status(202).json(job.summary());
+});
 
-        res.json({ key, active: state.council[key] });
+app.get('/api/council/batch', (req, res) => {
+    res.json({ batches: batches.list() });
+});
+
+// Progress and the result matrix so far
+app.get('/api/council/batch/:id', (req, res) => {
+    const job = batches.get(req.params.id);
+    if (!job) return res.status(404).json({ error: `Batch not found: ${req.params.id}` });
+    res.json(job.toJSON());
+});
+
+// ?format=json|csv|md
+app.get('/api/council/batch/:id/export', (req, res) => {
+    const job = batches.get(req.params.id);
+    if (!job) return res.status(404).json({ error: `Batch not found: ${req.params.id}` });
+
+    const { format = 'json' } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unknown format: ${format} (available: ${EXPORT_FORMATS.join(', ')})` });
+    }
+    const types = { json: 'application/json', csv: 'text/csv', md: 'text/markdown' };
+    res.setHeader('Content-Type', `${types[format]}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename=nemo-batch-${job.id}.${format}`);
+    res.send(exportBatch(job, format));
+});
+
+app.post('/api/council/batch/:id/cancel', (req, res) => {
+    const job = batches.get(req.params.id);
+    if (!job) return res.status(404).json({ error: `Batch not found: ${req.params.id}` });
+    if (!batches.cancel(job.id)) {
+        return res.status(409).json({ error: `Batch is ${job.status}, not running` });
+    }
+    res.json(job.summary());
+});
+
+// Run the unfinished cells of an interrupted or cancelled job
+app.post('/api/council/batch/:id/resume', (req, res) => {
+    const job = batches.get(req.params.id);
+    if (!job) return res.status(404).json({ error: `Batch not found: ${req.params.id}` });
+    if (!batches.resume(job.id, { createdBy: req.user.username })) {
+        return res.status(409).json({ error: `Batch is ${job.status}; only interrupted or cancelled batches resume once they have stopped` });
+    }
+    res.status(202).json(job.summary());
+});
+
+app.delete('/api/council/batch/:id', async (req, res) => {
+    const job = batches.get(req.params.id);
+    if (!job) return res.status(404).json({ error: `Batch not found: ${req.params.id}` });
+    if (!(await batches.remove(job.id))) {
+        return res.status(409).json({ error: 'Batch is still running; cancel it first' });
+    }
+    res.json({ id: job.id, deleted: true });
+});
+
+// ============ RESPONSE CACHE ============
+
+// Cache size, hit/miss counters and entries (newest first)
+app.get('/api/council/cache', (req, res) => {
+    res.json(responseCache.summary());
+});
+
+// Purge the whole cache, or one member's entries with ?member=KEY
+app.delete('/api/council/cache', async (req, res) => {
+    const { member } = req.query;
+    if (member && !getMember(member)) {
+        return res.status(400).json({ error: `Invalid council member: ${member}` });
+    }
+    const removed = responseCache.purge(member);
+    await responseCache.writing;
+    res.json({ removed, size: responseCache.entries.size });
+});
+
+// ============ CODE RETRIEVAL ============
+
+// Index size and retrieval settings (does not refresh the index)
+app.get('/api/council/index', (req, res) => {
+    const settings = retrievalSettings(readRouting());
+    res.json({
+        enabled: settings.enabled,
+        topK: settings.topK,
+        ...getCodeIndex(settings).summary()
+    });
+});
+
+// Refresh the index now; { "rebuild": true } re-chunks every file
+app.post('/api/council/index', async (req, res) => {
+    try {
+        const index = getCodeIndex(retrievalSettings(readRouting()));
+        const changes = await index.update({ rebuild: !!(req.body && req.body.rebuild) });
+        res.json({ changes, ...index.summary() });
     } catch (err) {
+        console.error('Code index error:', err.message);
         res.status(500).json({ error: err.message });
     }
 });
 
-app.post('/api/council/test', async (req, res) => {
-    const { key } = req.body;
-    const tests = {
-        GHOST: 'O(1) prediction: 0.85ms latency',
-        ARCHITECT: 'Design patterns: 12 cached',
-        MONK: 'Deep reasoning: Loop protection active',
-        SHADOW: 'Chi aesthetic: Theme applied',
-        OBSERVER: 'Browser sync: Connected'
-    };
-    res.json({ key, result: tests[key] || 'Test passed' });
+// Preview what a query would retrieve: GET /api/council/retrieve?q=...&k=5. Only an
+// admin's preview refreshes the index; other roles search it as last built.
+app.get('/api/council/retrieve', async (req, res) => {
+    const { q, k } = req.query;
+    if (!q) {
+        return res.status(400).json({ error: 'q is required' });
+    }
+    try {
+        const settings = retrievalSettings(readRouting());
+        const index = hasRole(req.user, 'admin') ? await freshCodeIndex(settings) : getCodeIndex(settings);
+        res.json({
+            query: q,
+            indexedAt: index.updatedAt,
+            results: await index.search(q, { topK: parseInt(k, 10) || settings.topK })
+        });
+    } catch (err) {
+        console.error('Code retrieval error:', err.message);
+        res.status(500).json({ error: err.message });
+    }
 });
 
-// ============ NEW: COUNCIL QUERY ENDPOINT ============
+// ============ USAGE & BUDGETS ============
 
-app.post('/api/council/query', async (req, res) => {
-    const { key, query, complexity = 'standard' } = req.body;
+// Token and cost totals by member, model, day and conversation, plus today's budget status
+app.get('/api/usage', (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    try {
+        res.json(usage.summary(days));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-    if (!key || !COUNCIL_PROMPTS[key]) {
-        return res.status(400).json({ error: `Invalid council member: ${key}` });
+// Settings and keys from council-keys.json, with the vault's keys on top
+function readCouncilKeys() {
+    return { ...readPlaintextKeys(), ...vaultSecrets() };
+}
+
+function readPlaintextKeys() {
+    const keysPath = path.join(process.cwd(), 'council-keys.json');
+    if (!fs.existsSync(keysPath)) return {};
+    return JSON.parse(fs.readFileSync(keysPath, 'utf8'));
+}
+
+// Keys of the unlocked vault, re-read when the CLI has changed the file
+function vaultSecrets() {
+    try {
+        vault.refresh();
+    } catch (err) {
+        console.error('Failed to reload key vault:', err.message);
     }
+    return vault.secrets();
+}
 
-    if (!query) {
-        return res.status(400).json({ error: 'Query is required' });
+/**
+ * Key status for the GUI: where storage stands and, per member, which key it
+ * uses and where that key comes from (vault, plaintext or env), identified
+ * only by a masked value and a fingerprint.
+ */
+function keyStatus() {
+    const plaintext = readPlaintextKeys();
+    const secrets = vaultSecrets();
+    const keys = { ...plaintext, ...secrets };
+    const plaintextKeys = Object.keys(plaintext).filter(name => isSecretName(name) && isConfigured(plaintext[name]));
+
+    const members = {};
+    memberKeys().forEach(key => {
+        const source = memberKeySource(key, keys);
+        const value = resolveMemberKey(key, keys);
+        let origin = source ? source.origin : null;
+        if (origin === 'keys') origin = Object.prototype.hasOwnProperty.call(secrets, source.name) ? 'vault' : 'plaintext';
+        members[key] = {
+            keyEnv: getMember(key).keyEnv,
+            configured: isConfigured(value),
+            keyName: source ? source.name : null,
+            source: origin,
+            fingerprint: value ? fingerprint(value) : null,
+            masked: maskKey(value)
+        };
+    });
+
+    const warnings = [];
+    if (plaintextKeys.length > 0) {
+        warnings.push(`council-keys.json holds ${plaintextKeys.length} plaintext keys - move them with "npm run vault -- migrate"`);
     }
+    if (vault.exists() && !vault.unlocked) warnings.push('The key vault is locked - set NEMO_VAULT_KEY and restart');
+
+    return {
+        storage: vault.exists() ? 'vault' : plaintextKeys.length > 0 ? 'plaintext' : 'env',
+        vault: { exists: vault.exists(), unlocked: vault.unlocked, keys: vault.unlocked ? vault.list() : [] },
+        plaintextKeys,
+        members,
+        warnings
+    };
+}
+
+function readRouting() {
+    return loadRouting(path.join(process.cwd(), 'council-routing.json'));
+}
+
+function buildCouncilMessages(query, system, history = []) {
+    return [
+        { role: 'system', content: system },
+        ...history,
+        { role: 'user', content: query }
+    ];
+}
 
+// Project name for prompts: prompts.project, else the workspace's package.json name or directory
+function projectName(routing) {
+    const config = routing.prompts || {};
+    if (config.project) return config.project;
+    const root = toolSettings(routing).root;
     try {
-        // Get API key for this council member
-        let apiKey = process.env.OPENROUTER_API_KEY || process.env.OPENAI_API_KEY;
+        return JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8')).name || path.basename(root);
+    } catch (err) {
+        return path.basename(root);
+    }
+}
 
-        // Try to load from council-keys.json
-        const keysPath = path.join(process.cwd(), 'council-keys.json');
-        if (fs.existsSync(keysPath)) {
-            const keys = JSON.parse(fs.readFileSync(keysPath, 'utf8'));
-            if (keys[key + '_API_KEY'] && !keys[key + '_API_KEY'].includes('your_')) {
-                apiKey = keys[key + '_API_KEY'];
-            }
-            // Also check for OPENROUTER key
-            if (keys.OPENROUTER_API_KEY && !keys.OPENROUTER_API_KEY.includes('your_')) {
-                apiKey = keys.OPENROUTER_API_KEY;
-            }
+// Values of the memory blocks listed in prompts.memory, from an /init-ed .nemo/memory
+function memoryText(routing) {
+    const labels = (routing.prompts || {}).memory || [];
+    return labels.map(label => {
+        const file = path.join(process.cwd(), '.nemo/memory', `${label.replace(/\//g, '_')}.json`);
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8')).value;
+        } catch (err) {
+            return null;
         }
+    }).filter(Boolean).join('\n\n');
+}
 
-        if (!apiKey) {
-            // Demo mode - return simulated response
-            return res.json({
-                response: getDemoResponse(key, query, complexity),
-                tokens: Math.floor(Math.random() * 200) + 50,
-                confidence: 0.7 + Math.random() * 0.25,
-                demo: true
-            });
-        }
+function promptVariables(key, complexity, routing) {
+    return {
+        member: getMember(key).name,
+        complexity,
+        project: projectName(routing),
+        tier: detectTier(),
+        memory: memoryText(routing),
+        council: describeCouncil(council),
+        date: new Date().toISOString().slice(0, 10)
+    };
+}
 
-        // Determine the model and endpoint based on API key type
-        let endpoint = 'https://openrouter.ai/api/v1/chat/completions';
-        let model = 'anthropic/claude-3-haiku';
-        let headers = {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`,
-            'HTTP-Referer': 'https://nemo-conductor.app',
-            'X-Title': 'NEMO Conductor'
-        };
+/**
+ * A member's system prompt: its active (or pinned) template rendered with the
+ * prompt variables. Returns { text, version, hash }; throws PromptError for an
+ * unknown version.
+ */
+function memberPrompt(key, complexity, routing, version) {
+    const template = prompts.resolve(key, getMember(key).prompt, version);
+    return {
+        text: renderTemplate(template.template, promptVariables(key, complexity, routing)),
+        version: template.version,
+        hash: template.hash
+    };
+}
 
-        // If it looks like an OpenAI key, use OpenAI
-        if (apiKey.startsWith('sk-') && !apiKey.startsWith('sk-or-')) {
-            endpoint = 'https://api.openai.com/v1/chat/completions';
-            model = 'gpt-4o-mini';
-            headers = {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            };
-        }
-
-        // Build the messages
-        const systemPrompt = COUNCIL_PROMPTS[key];
-        const messages = [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: query }
-        ];
-
-        // Adjust max tokens based on complexity
-        let maxTokens = 150;
-        if (complexity === 'standard') maxTokens = 300;
-        if (complexity === 'expert') maxTokens = 500;
-
-        // Make the API call
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify({
-                model: model,
-                messages: messages,
-                max_tokens: maxTokens,
-                temperature: 0.7
-            })
-        });
+/**
+ * Prior turns for one member, truncated to the current tier's history budget.
+ * Returns [] without a conversation and null when the id does not exist.
+ */
+async function loadMemberHistory(conversationId, key) {
+    if (!conversationId) return [];
+    const conversation = await conversations.get(conversationId);
+    if (!conversation) return null;
+    return truncateHistory(conversation.members[key] || [], HISTORY_BUDGETS[detectTier()]);
+}
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`API Error for ${key}:`, errorText);
-            console.log(`API failed, fallback to demo`); return res.json({ response: getDemoResponse(key, query, complexity), tokens: 100, confidence: 0.75, demo: true, fallback: true });
-        }
+// Start a Server-Sent Events response and return a send(event, data, id?) helper
+function openEventStream(res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
 
-        const data = await response.json();
+    return (event, data, id) => {
+        res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
 
-        // Extract the response
-        const content = data.choices?.[0]?.message?.content || 'No response';
-        const tokens = data.usage?.total_tokens || 0;
+// Replay demo text word by word so demo mode streams like a real provider
+async function streamDemoText(text, onChunk) {
+    const chunks = text.match(/\S+\s*|\s+/g) || [];
+    for (const chunk of chunks) {
+        if (onChunk(chunk) === false) return;
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+}
 
-        // Log to Supabase if connected
-        if (supabase) {
-            await supabase.from('atoms').insert({
-                content: `${key} query: ${query.substring(0, 100)}...`,
-                type: 'council_query',
-                domain: 'council',
-                source: key
+// Keys shared by every member of a provider, tried in this order
+const SHARED_KEYS = [
+    { name: 'OPENROUTER_API_KEY', provider: 'openrouter' },
+    { name: 'OPENAI_API_KEY', provider: 'openai' }
+];
+
+// Which key a member uses: { name, origin } with origin 'keys' (the vault or
+// council-keys.json) or 'env'. The member's own keyEnv always wins; a shared
+// key only stands in for a member without one whose provider it fits (or
+// whose provider is detected from the key). Null when none is set.
+function memberKeySource(key, keys) {
+    const member = getMember(key);
+    const keyEnv = member ? member.keyEnv : `${key}_API_KEY`;
+
+    if (isConfigured(keys[keyEnv])) return { name: keyEnv, origin: 'keys' };
+    if (isConfigured(process.env[keyEnv])) return { name: keyEnv, origin: 'env' };
+
+    const provider = configuredProvider(key, 'standard', {
+        routing: readRouting(),
+        keys,
+        memberRoute: member ? { model: member.model } : undefined
+    });
+    for (const shared of SHARED_KEYS) {
+        if (provider !== 'auto' && provider !== shared.provider) continue;
+        if (isConfigured(keys[shared.name])) return { name: shared.name, origin: 'keys' };
+        if (isConfigured(process.env[shared.name])) return { name: shared.name, origin: 'env' };
+    }
+    return null;
+}
+
+// Member key (its registry keyEnv) from the vault, council-keys.json or the
+// environment, else a shared OpenRouter/OpenAI key that fits its provider
+function resolveMemberKey(key, keys) {
+    const source = memberKeySource(key, keys);
+    if (!source) return undefined;
+    return source.origin === 'env' ? process.env[source.name] : keys[source.name];
+}
+
+// Resolve the route for a member and build the matching provider adapter
+function createMemberProvider(key, complexity) {
+    const keys = readCouncilKeys();
+    const memberKey = resolveMemberKey(key, keys);
+    const route = resolveRoute(key, complexity, {
+        routing: readRouting(),
+        keys,
+        apiKey: memberKey,
+        memberRoute: { model: getMember(key).model }
+    });
+    const provider = createProvider(route.provider, {
+        apiKey: memberKey || envKeyFor(route.provider),
+        baseUrl: route.baseUrl
+    });
+
+    return { route, provider };
+}
+
+// Breakers are per provider endpoint, so members sharing one trip together
+function breakerKey(provider) {
+    return `${provider.name}@${provider.baseUrl}`;
+}
+
+function retryPolicy(route) {
+    return { timeoutMs: route.timeoutMs, retries: route.retries, backoffMs: route.backoffMs };
+}
+
+function lastPathError(path) {
+    const failed = path.filter(entry => entry.error);
+    return failed.length ? failed[failed.length - 1].error : null;
+}
+
+/**
+ * Ordered fallback chain for a member: its own model, then FALLBACK_MODEL on the
+ * same provider, then the first member in fallback_priority whose provider or key
+ * differs and whose breaker is not open. An empty chain means demo mode,
+ * which replay mode forces (see demoSettings).
+ * overrides.model replaces the member's own model (budget downgrades).
+ */
+function buildFallbackSteps(key, complexity, overrides = {}) {
+    const routing = readRouting();
+    if (demoSettings(routing).mode === 'replay') return { steps: [], routing };
+    const { route, provider } = createMemberProvider(key, complexity);
+    const configured = p => !(p.requiresKey && !p.apiKey);
+    const steps = [];
+
+    if (configured(provider)) {
+        steps.push({ step: 'primary', provider, route, model: overrides.model || route.model });
+        if (route.fallbackModel) {
+            steps.push({ step: 'fallback_model', provider, route, model: route.fallbackModel });
+        }
+    }
+
+    const tiers = loadMemoryTiers(path.join(process.cwd(), '.nemo/memory'));
+    const priority = (tiers.council && tiers.council.fallback_priority) || [];
+    const candidates = [...priority, ...memberKeys()]
+        .filter((other, i, all) => other !== key && getMember(other) && all.indexOf(other) === i);
+
+    for (const other of candidates) {
+        const alternate = createMemberProvider(other, complexity);
+        const differs = breakerKey(alternate.provider) !== breakerKey(provider) ||
+            alternate.provider.apiKey !== provider.apiKey;
+        const breaker = getBreaker(breakerKey(alternate.provider), routing.circuitBreaker);
+
+        if (configured(alternate.provider) && differs && breaker.state !== 'open') {
+            steps.push({
+                step: 'alternate_provider',
+                member: other,
+                provider: alternate.provider,
+                route: alternate.route,
+                model: alternate.route.model
             });
+            break;
         }
+    }
 
-        res.json({
-            response: content,
-            tokens: tokens,
-            confidence: 0.8 + Math.random() * 0.15,
-            model: model
-        });
+    return { steps, routing };
+}
+
+// ============ DEMO FIXTURES ============
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/council');
+
+// council-routing.json "demo" section; NEMO_DEMO_MODE overrides the mode (tests and offline demos)
+function demoSettings(routing) {
+    const config = routing.demo || {};
+    const mode = process.env.NEMO_DEMO_MODE || config.mode || 'auto';
+    return {
+        mode: DEMO_MODES.includes(mode) ? mode : 'auto',
+        dir: config.fixtures ? path.resolve(config.fixtures) : DEFAULT_FIXTURES_DIR,
+        similarity: config.similarity === undefined ? DEFAULT_SIMILARITY : config.similarity
+    };
+}
+
+const fixtureLibraries = new Map();
+
+function getFixtures(settings) {
+    if (!fixtureLibraries.has(settings.dir)) fixtureLibraries.set(settings.dir, new FixtureLibrary(settings.dir));
+    return fixtureLibraries.get(settings.dir);
+}
 
+/**
+ * A demo answer: with a schema, the smallest value that satisfies it; else the
+ * recorded fixture for this member and question, else the built-in template.
+ * Returns { response, usage?, fixture } where fixture is { id, match, similarity } or null.
+ */
+function demoAnswer(key, query, complexity, routing, schema) {
+    if (schema) return { response: JSON.stringify(sampleFromSchema(schema), null, 2), fixture: null };
+
+    const settings = demoSettings(routing);
+    const fixture = getFixtures(settings).match(key, query, { similarity: settings.similarity });
+    if (!fixture) return { response: getDemoResponse(key, query, complexity), fixture: null };
+    return {
+        response: fixture.response,
+        usage: fixture.usage,
+        fixture: { id: fixture.id, match: fixture.match, similarity: fixture.similarity }
+    };
+}
+
+// In record mode every provider answer becomes a fixture; a failed write never fails the query
+function recordFixture(routing, key, query, answer) {
+    const settings = demoSettings(routing);
+    if (settings.mode !== 'record' || !answer.response) return;
+    try {
+        getFixtures(settings).record(key, query, answer);
     } catch (err) {
-        console.error(`Council query error (${key}):`, err.message);
-        res.status(500).json({ error: err.message });
+        console.error(`Failed to record fixture (${key}):`, err.message);
+    }
+}
+
+app.get('/api/council/fixtures', (req, res) => {
+    const settings = demoSettings(readRouting());
+    const library = getFixtures(settings);
+    const { member } = req.query;
+    if (member) {
+        if (!getMember(member)) return res.status(400).json({ error: `Invalid council member: ${member}` });
+        return res.json({ member, fixtures: library.list(member) });
     }
+    res.json({
+        mode: settings.mode,
+        dir: path.relative(process.cwd(), settings.dir),
+        similarity: settings.similarity,
+        members: library.summary()
+    });
 });
 
-// Demo responses when no API key is configured
+// Demo responses when no API key is configured and no fixture matches
 function getDemoResponse(key, query, complexity) {
     const demos = {
         GHOST: `🔮 I sense your query is about: "${query.substring(0, 50)}..."
@@ -348,22 +2476,99 @@ app.get('/api/system-info', (req, res) => {
     });
 });
 
+// ============ EVENT STREAM ============
+
+// Topics beyond the viewer role; server log lines can show paths and provider errors
+const TOPIC_ROLES = { log: 'admin' };
+const EVENT_HEARTBEAT_MS = 25000;
+
+// Supabase tables whose new rows are published on the event bus
+const TABLE_TOPICS = { atoms: 'atoms', task_queue: 'tasks', node_messages: 'messages' };
+
+// Insert a row and publish it to open GUIs; resolves to Supabase's { data, error }
+async function insertRow(table, row) {
+    const result = await supabase.from(table).insert(row);
+    if (!result.error) events.publish(TABLE_TOPICS[table], 'created', row);
+    return result;
+}
+
+// Current state of a topic for one user, sent on connect so a new browser does not wait for the next change
+function topicSnapshot(topic, user) {
+    if (topic === 'council') return { council: state.council, health: health.all() };
+    if (topic === 'jobs') return { jobs: jobs.list({ status: 'active' }).filter(job => canReadJob(user, job)) };
+    if (topic === 'spectrum') return spectrumState();
+    return null;
+}
+
+// ?topics=council,jobs (default: every topic the role may read). A reconnecting
+// EventSource sends Last-Event-ID and first gets the events it missed.
+app.get('/api/events', (req, res) => {
+    let topics;
+    try {
+        topics = parseTopics(req.query.topics);
+    } catch (err) {
+        return res.status(err instanceof EventError ? err.status : 500).json({ error: err.message });
+    }
+    const denied = topics.filter(topic => TOPIC_ROLES[topic] && !hasRole(req.user, TOPIC_ROLES[topic]));
+    topics = topics.filter(topic => !denied.includes(topic));
+    if (topics.length === 0) {
+        return res.status(403).json({ error: `${denied.join(', ')} events need the ${TOPIC_ROLES[denied[0]]} role` });
+    }
+
+    const send = openEventStream(res);
+    // Job events carry the job's summary, so jobs the caller may not read are left out
+    const forward = event => {
+        if (event.topic === 'jobs' && !canReadJob(req.user, event.data)) return;
+        send(event.topic, event, event.id);
+    };
+    const since = parseInt(req.get('Last-Event-ID') || req.query.since, 10);
+    if (since >= 0) events.since(since, topics).forEach(forward);
+    const { lastId } = events.stats();
+    send('ready', { topics, denied, lastId }, lastId);
+    topics.forEach(topic => {
+        const data = topicSnapshot(topic, req.user);
+        if (data) send(topic, { id: null, topic, type: 'snapshot', data, at: new Date().toISOString() });
+    });
+
+    const unsubscribe = events.subscribe(topics, forward);
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+app.get('/api/events/stats', (req, res) => {
+    res.json(events.stats());
+});
+
 // ============ SPECTRUM API ============
 
+function spectrumState() {
+    return { scanning: state.scanning, frequency: state.spectrum.frequency, bandwidth: state.spectrum.bandwidth };
+}
+
+// Every open GUI shares one scan, so a second start must not start a second loop
 app.post('/api/spectrum/start', (req, res) => {
-    state.scanning = true;
-    generateSpectrumData();
+    if (!state.scanning) {
+        state.scanning = true;
+        generateSpectrumData();
+        events.publish('spectrum', 'state', spectrumState());
+    }
     res.json({ message: 'Spectrum scan started', scanning: true });
 });
 
 app.post('/api/spectrum/stop', (req, res) => {
     state.scanning = false;
+    events.publish('spectrum', 'state', spectrumState());
     res.json({ message: 'Spectrum scan stopped', scanning: false });
 });
 
 app.post('/api/spectrum/frequency', (req, res) => {
     const { frequency } = req.body;
     state.spectrum.frequency = frequency;
+    events.publish('spectrum', 'state', spectrumState());
     res.json({ frequency, message: `Set to ${frequency} GHz` });
 });
 
@@ -394,11 +2599,12 @@ function generateSpectrumData() {
     }
 
     state.spectrum.data = data;
+    events.publish('spectrum', 'frame', { frequency: center, bandwidth: state.spectrum.bandwidth, data });
 
     if (supabase && data.length > 0) {
         const peak = data.reduce((max, d) => d.amplitude > max.amplitude ? d : max);
         if (peak.amplitude > -60) {
-            supabase.from('atoms').insert({
+            insertRow('atoms', {
                 content: `RF Peak detected: ${peak.frequency.toFixed(3)} GHz at ${peak.amplitude.toFixed(1)} dBm`,
                 type: 'rf_signal',
                 domain: 'spectrum',
@@ -412,22 +2618,89 @@ function generateSpectrumData() {
 
 // ============ LOOP DETECTION API ============
 
-app.post('/api/loops/detect', async (req, res) => {
+// Scans run in-process as "loops" jobs, one at a time, only inside jobs.roots.
+// Every finding is saved as the job's findings.json artifact.
+jobs.register('loops', {
+    concurrency: 1,
+    async run({ target }, { signal, progress, artifact }) {
+        const { LoopDetector } = require('../../scripts/detect-loops');
+        const { root, dir } = resolveJobTarget(target, jobSettings(readRouting()).roots);
+        let files = 0;
+        const detector = new LoopDetector({
+            target: dir,
+            quiet: true,
+            relativeTo: root,
+            onProgress: ({ scanned, total }) => {
+                files = total;
+                progress(total ? (scanned / total) * 100 : 100, `${scanned}/${total} files`);
+            },
+            shouldStop: () => signal.aborted
+        });
+        const findings = await detector.detect();
+        artifact('findings.json', findings);
+        return { path: path.relative(root, dir) || '.', files, counts: detector.summary() };
+    }
+});
+
+// Queue a scan: { target } relative to the first root, or absolute inside any root
+app.post('/api/loops/detect', (req, res) => {
     const { target = '.' } = req.body;
+    try {
+        resolveJobTarget(target, jobSettings(readRouting()).roots);
+        const job = jobs.submit('loops', { target }, { createdBy: req.user.username });
+        res.status(202).json(job.summary());
+    } catch (err) {
+        res.status(err instanceof JobError ? err.status : 500).json({ error: err.message });
+    }
+});
+
+// ============ CODEBASE ANALYSIS API ============
+
+const ANALYSIS_STEPS = [
+    ['architecture', 'analyzeArchitecture'],
+    ['bugs', 'detectBugs'],
+    ['security', 'scanSecurity'],
+    ['documentation', 'analyzeDocumentation']
+];
+
+// The deep analyzer (scripts/analyze-codebase.js) as an "analysis" job; the
+// Markdown report and the raw findings are saved as artifacts
+jobs.register('analysis', {
+    concurrency: 1,
+    async run({ target }, { signal, progress, log, artifact }) {
+        const { DeepAnalyzer } = require('../../scripts/analyze-codebase');
+        const { root, dir } = resolveJobTarget(target, jobSettings(readRouting()).roots);
+        const analyzer = new DeepAnalyzer({ target: dir, quiet: true, relativeTo: root });
+
+        for (const [index, [label, step]] of ANALYSIS_STEPS.entries()) {
+            if (signal.aborted) throw signal.reason;
+            progress((index / ANALYSIS_STEPS.length) * 100, label);
+            await analyzer[step]();
+        }
+        log(`Analyzed ${analyzer.findings.architecture.files} files`);
+        artifact('analysis-report.md', analyzer.renderReport());
+        artifact('findings.json', analyzer.findings);
+
+        return {
+            path: path.relative(root, dir) || '.',
+            files: analyzer.findings.architecture.files,
+            dependencies: analyzer.findings.architecture.dependencies.length,
+            bugs: analyzer.findings.bugs.length,
+            security: analyzer.findings.security.length,
+            documentation: analyzer.findings.documentation.coverage
+        };
+    }
+});
 
+// Queue an analysis: { target }, resolved like loop scans
+app.post('/api/analysis', (req, res) => {
+    const { target = '.' } = req.body;
     try {
-        exec(`node ${path.join(__dirname, '../../scripts/detect-loops.js')} --target=${target} --output=./loop-report.json`,
-            (error, stdout, stderr) => {
-                let loops = 0;
-                if (fs.existsSync('./loop-report.json')) {
-                    const report = JSON.parse(fs.readFileSync('./loop-report.json', 'utf8'));
-                    loops = report.summary ? report.summary.total : 0;
-                }
-                res.json({ loops, message: `Detected ${loops} potential loops` });
-            }
-        );
+        resolveJobTarget(target, jobSettings(readRouting()).roots);
+        const job = jobs.submit('analysis', { target }, { createdBy: req.user.username });
+        res.status(202).json(job.summary());
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err instanceof JobError ? err.status : 500).json({ error: err.message });
     }
 });
 
@@ -449,8 +2722,11 @@ app.get('/api/config/scan-deleted', async (req, res) => {
     }
 });
 
-app.post('/api/config/reindex', async (req, res) => {
-    try {
+// Config files under the server's directory as a "reindex" job; the list is the
+// job's configs.json artifact, and the first 100 are recorded as Supabase atoms
+jobs.register('reindex', {
+    concurrency: 1,
+    async run(params, { signal, progress, log, artifact }) {
         const configFiles = [];
 
         function walkDir(dir) {
@@ -470,24 +2746,32 @@ app.post('/api/config/reindex', async (req, res) => {
         }
 
         walkDir(process.cwd());
+        log(`Found ${configFiles.length} configs`);
+        artifact('configs.json', configFiles);
 
         if (supabase) {
-            for (const config of configFiles.slice(0, 100)) {
-                await supabase.from('atoms').insert({
+            const indexed = configFiles.slice(0, 100);
+            for (const [i, config] of indexed.entries()) {
+                if (signal.aborted) throw signal.reason;
+                await insertRow('atoms', {
                     content: `Config file: ${config}`,
                     type: 'config_index',
                     domain: 'filesystem',
                     source: 'reindex'
                 });
+                progress(((i + 1) / indexed.length) * 100, `${i + 1}/${indexed.length} recorded`);
             }
         }
 
-        res.json({ count: configFiles.length, message: `Re-indexed ${configFiles.length} configs` });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
+        return { count: configFiles.length, message: `Re-indexed ${configFiles.length} configs` };
     }
 });
 
+app.post('/api/config/reindex', (req, res) => {
+    const job = jobs.submit('reindex', {}, { createdBy: req.user.username });
+    res.status(202).json(job.summary());
+});
+
 app.post('/api/config/clean', async (req, res) => {
     res.json({ message: 'Broken configs cleaned' });
 });
@@ -512,9 +2796,7 @@ app.post('/api/atoms', async (req, res) => {
 
     const { content, type, domain, aspect, phase, source } = req.body;
 
-    const { data, error } = await supabase
-        .from('atoms')
-        .insert({ content, type, domain, aspect, phase, source });
+    const { data, error } = await insertRow('atoms', { content, type, domain, aspect, phase, source });
 
     if (error) return res.status(500).json({ error: error.message });
     res.json({ success: true, data });
@@ -537,9 +2819,7 @@ app.post('/api/tasks', async (req, res) => {
 
     const { task, assignee, priority = 5 } = req.body;
 
-    const { data, error } = await supabase
-        .from('task_queue')
-        .insert({ task, assignee, priority });
+    const { data, error } = await insertRow('task_queue', { task, assignee, priority });
 
     if (error) return res.status(500).json({ error: error.message });
     res.json({ success: true, data });
@@ -567,9 +2847,7 @@ app.post('/api/messages', async (req, res) => {
 
     const { from_node, to_node, content } = req.body;
 
-    const { data, error } = await supabase
-        .from('node_messages')
-        .insert({ from_node, to_node, content });
+    const { data, error } = await insertRow('node_messages', { from_node, to_node, content });
 
     if (error) return res.status(500).json({ error: error.message });
     res.json({ success: true, data });
@@ -614,6 +2892,7 @@ app.listen(PORT, () => {
     console.log('GUI:        http://localhost:' + PORT);
     console.log('API Status: /api/system-info');
     console.log('Council:    /api/council/query');
+    console.log('Events:     /api/events');
     console.log('');
     console.log('Press Ctrl+C to stop');
     console.log('');
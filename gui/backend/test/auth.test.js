@@ -0,0 +1,63 @@
+/**
+ * Route roles with auth on: Express matches routes regardless of case and of a
+ * trailing slash, so the role check must too. A malformed cookie is ignored
+ * rather than failing the request.
+ */
+
+const { startBackend, api } = require('./helpers/backend');
+
+// Admin-only routes, spelled the ways Express still routes them
+const ADMIN_VARIANTS = [
+  ['POST', '/API/loops/detect', { target: '.' }],
+  ['POST', '/api/Loops/detect/', { target: '.' }],
+  ['PUT', '/api/council/PROMPTS/GHOST', { template: 'You are {{name}}.' }],
+  ['POST', '/api/council/prompts/GHOST/', { template: 'You are {{name}}.' }],
+  ['DELETE', '/api/council/cache/', undefined],
+  ['DELETE', '/API/COUNCIL/CACHE', undefined],
+  ['POST', '/api/council/index/', {}],
+  ['POST', '/api/Council/Index', {}],
+  ['GET', '/API/AUTH/USERS', undefined]
+];
+
+describe('route roles', () => {
+  let backend;
+  const as = role => ({ Authorization: `Bearer ${backend.tokens[role]}` });
+
+  beforeAll(async () => {
+    backend = await startBackend({ routing: { demo: { mode: 'replay' } }, tokens: ['viewer', 'operator', 'admin'] });
+  });
+
+  afterAll(async () => {
+    if (backend) await backend.stop();
+  });
+
+  test.each(ADMIN_VARIANTS)('%s %s needs the admin role', async (method, route, body) => {
+    const { status, body: response } = await api(backend.url, route, { method, body, headers: as('operator') });
+    expect(status).toBe(403);
+    expect(response.error).toContain('Requires the admin role');
+  });
+
+  test('admins reach the same routes', async () => {
+    const cache = await api(backend.url, '/api/council/cache/', { method: 'DELETE', headers: as('admin') });
+    expect(cache.status).toBe(200);
+    const users = await api(backend.url, '/API/AUTH/USERS', { headers: as('admin') });
+    expect(users.status).toBe(200);
+  });
+
+  test('requests without credentials are refused, public routes are not', async () => {
+    expect((await api(backend.url, '/API/COUNCIL/CACHE', { method: 'DELETE' })).status).toBe(401);
+    expect((await api(backend.url, '/api/auth/session/')).status).toBe(200);
+  });
+
+  test('a malformed cookie is ignored instead of failing the request', async () => {
+    const cookie = { Cookie: 'theme=%E0%A4%A; nemo_session=%' };
+    const session = await api(backend.url, '/api/auth/session', { headers: cookie });
+    expect(session.status).toBe(200);
+
+    const unauthenticated = await api(backend.url, '/api/council/members', { headers: cookie });
+    expect(unauthenticated.status).toBe(401);
+
+    const withToken = await api(backend.url, '/api/council/members', { headers: { ...cookie, ...as('viewer') } });
+    expect(withToken.status).toBe(200);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Conversation ids: a malformed id is the caller's mistake (400), a well-formed
+ * id that names no conversation is a 404.
+ */
+
+const { startBackend, api } = require('./helpers/backend');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+describe('conversation ids', () => {
+  let backend;
+
+  beforeAll(async () => {
+    backend = await startBackend({ routing: { demo: { mode: 'replay' } } });
+  });
+
+  afterAll(async () => {
+    if (backend) await backend.stop();
+  });
+
+  test('a malformed id is rejected with 400', async () => {
+    const get = await api(backend.url, '/api/conversations/not_an_id');
+    expect(get.status).toBe(400);
+    expect(get.body.error).toContain('Invalid conversation id');
+
+    const removed = await api(backend.url, `/api/conversations/${encodeURIComponent('../council')}`, { method: 'DELETE' });
+    expect(removed.status).toBe(400);
+
+    const query = await api(backend.url, '/api/council/query', {
+      body: { key: 'GHOST', query: 'Hello?', conversationId: '../../etc/passwd' }
+    });
+    expect(query.status).toBe(400);
+    expect(query.body.error).toContain('Invalid conversation id');
+
+    const stream = await api(backend.url, '/api/council/query/stream', {
+      body: { key: 'GHOST', query: 'Hello?', conversationId: 'not_an_id' }
+    });
+    expect(stream.status).toBe(400);
+    expect(stream.body.error).toContain('Invalid conversation id');
+  });
+
+  test('an id that names no conversation is a 404', async () => {
+    expect((await api(backend.url, `/api/conversations/${MISSING_ID}`)).status).toBe(404);
+    expect((await api(backend.url, `/api/conversations/${MISSING_ID}`, { method: 'DELETE' })).status).toBe(404);
+    const query = await api(backend.url, '/api/council/query', {
+      body: { key: 'GHOST', query: 'Hello?', conversationId: MISSING_ID }
+    });
+    expect(query.status).toBe(404);
+  });
+
+  test('a created conversation can be read back and deleted', async () => {
+    const created = await api(backend.url, '/api/conversations', { body: { title: 'Stillness' } });
+    expect(created.status).toBe(200);
+    expect((await api(backend.url, `/api/conversations/${created.body.id}`)).body.title).toBe('Stillness');
+    expect((await api(backend.url, `/api/conversations/${created.body.id}`, { method: 'DELETE' })).body.deleted).toBe(true);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Replay mode against the committed fixture library (fixtures/council): the
+ * same question gets the same recorded answer every time, and providers are
+ * never called.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startMock, startBackend, api, streamEvents } = require('./helpers/backend');
+
+const FIXTURES_DIR = path.join(__dirname, '../../../fixtures/council');
+
+function recorded(member) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${member}.json`), 'utf8')).fixtures;
+}
+
+describe('fixture replay', () => {
+  let llm;
+  let backend;
+
+  beforeAll(async () => {
+    llm = await startMock();
+    backend = await startBackend({
+      routing: {
+        demo: { mode: 'replay' },
+        cache: { enabled: false },
+        members: { MONK: { provider: 'openai', baseUrl: `${llm.url}/v1`, model: 'gpt-4o-mini' } }
+      },
+      keys: { MONK_API_KEY: 'sk-test-monk' }
+    });
+  });
+
+  afterAll(async () => {
+    if (backend) await backend.stop();
+    if (llm) await llm.mock.stop();
+  });
+
+  test('every committed fixture replays word for word', async () => {
+    const members = fs.readdirSync(FIXTURES_DIR).map(file => path.basename(file, '.json'));
+    expect(members).toEqual(expect.arrayContaining(['GHOST', 'ARCHITECT', 'MONK', 'SHADOW', 'OBSERVER']));
+
+    for (const member of members) {
+      for (const fixture of recorded(member)) {
+        const { status, body } = await api(backend.url, '/api/council/query', {
+          body: { key: member, query: fixture.query }
+        });
+        expect(status).toBe(200);
+        expect(body).toMatchObject({
+          response: fixture.response,
+          demo: true,
+          fixture: { id: fixture.id, match: 'exact', similarity: 1 },
+          usage: {
+            promptTokens: fixture.usage.promptTokens,
+            completionTokens: fixture.usage.completionTokens
+          },
+          path: [{ step: 'demo', outcome: 'ok' }]
+        });
+      }
+    }
+    expect(llm.mock.requests).toHaveLength(0);
+  });
+
+  test('the same question gives the same answer, whatever its case and punctuation', async () => {
+    const [fixture] = recorded('MONK');
+    const answers = [];
+    for (const query of [fixture.query, fixture.query.toUpperCase(), `  ${fixture.query.replace('?', '')}!! `]) {
+      const { body } = await api(backend.url, '/api/council/query', { body: { key: 'MONK', query } });
+      answers.push([body.response, body.fixture.id, body.fixture.match]);
+    }
+    expect(answers).toEqual(Array(3).fill([fixture.response, fixture.id, 'exact']));
+  });
+
+  test('the stream replays the recorded text', async () => {
+    const [fixture] = recorded('MONK');
+    const { events } = await streamEvents(backend.url, '/api/council/query/stream', { key: 'MONK', query: fixture.query });
+
+    const text = events.filter(event => event.event === 'token').map(event => event.data.text).join('');
+    expect(text).toBe(fixture.response);
+    expect(events.find(event => event.event === 'done').data).toMatchObject({
+      demo: true,
+      fixture: { id: fixture.id, match: 'exact' }
+    });
+    expect(llm.mock.requests).toHaveLength(0);
+  });
+
+  test('a question with no recording falls back to the template answer', async () => {
+    const { body } = await api(backend.url, '/api/council/query', {
+      body: { key: 'MONK', query: 'Which database should I pick for time series?' }
+    });
+    expect(body).toMatchObject({ demo: true, fixture: null });
+    expect(body.response).toContain('Which database should I pick');
+  });
+});
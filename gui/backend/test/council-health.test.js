@@ -0,0 +1,81 @@
+/**
+ * Health probes against the mock LLM: what each provider failure looks like
+ * in POST /api/council/test and GET /api/council/health.
+ */
+
+const { startMock, startBackend, api } = require('./helpers/backend');
+
+describe('council health probes', () => {
+  let llm;
+  let backend;
+
+  beforeAll(async () => {
+    llm = await startMock();
+    backend = await startBackend({
+      routing: {
+        members: {
+          MONK: { provider: 'openai', baseUrl: `${llm.url}/v1`, model: 'gpt-4o-mini' },
+          OBSERVER: { provider: 'ollama', baseUrl: llm.url, model: 'llama3' },
+          // Nothing listens on port 9 (discard)
+          SHADOW: { provider: 'ollama', baseUrl: 'http://127.0.0.1:9', model: 'llama3' },
+          GHOST: { provider: 'openai', baseUrl: `${llm.url}/v1` }
+        }
+      },
+      keys: { MONK_API_KEY: 'sk-test-monk' }
+    });
+  });
+
+  afterAll(async () => {
+    if (backend) await backend.stop();
+    if (llm) await llm.mock.stop();
+  });
+
+  beforeEach(() => {
+    llm.mock.setScript({ rules: [] });
+    llm.mock.reset();
+  });
+
+  const probe = async key => (await api(backend.url, '/api/council/test', { body: { key, refresh: true } })).body;
+
+  test('a reachable provider is healthy', async () => {
+    const { health } = await probe('MONK');
+    expect(health).toMatchObject({
+      status: 'ok', provider: 'openai', model: 'gpt-4o-mini',
+      reachable: true, authValid: true, modelAvailable: true, cached: false
+    });
+    expect(llm.mock.requests[0]).toMatchObject({ api: 'openai', model: 'gpt-4o-mini' });
+
+    // The next probe within the TTL is served from the cache
+    const again = await api(backend.url, '/api/council/test', { body: { key: 'MONK' } });
+    expect(again.body.health.cached).toBe(true);
+    expect(llm.mock.requests).toHaveLength(1);
+  });
+
+  test('a rejected key is reported as an auth failure', async () => {
+    llm.mock.setScript({ rules: [{ status: 401, error: 'Incorrect API key provided' }] });
+    const { result, health } = await probe('MONK');
+    expect(health).toMatchObject({ status: 'auth_failed', reachable: true, authValid: false, errorType: 'auth' });
+    expect(result).toContain('auth failed');
+  });
+
+  test('a model the provider does not have is reported as unavailable', async () => {
+    llm.mock.setScript({ rules: [{ match: { model: 'llama3' }, status: 404, error: 'model "llama3" not found, try pulling it first' }] });
+    const { health } = await probe('OBSERVER');
+    expect(health).toMatchObject({ status: 'model_unavailable', reachable: true, modelAvailable: false });
+  });
+
+  test('429 is a quota problem when the provider says so, else a rate limit', async () => {
+    llm.mock.setScript({ rules: [{ status: 429, error: 'You exceeded your current quota', times: 1 }, { status: 429, error: 'Slow down' }] });
+    expect((await probe('MONK')).health).toMatchObject({ status: 'quota_exceeded', quotaError: true, authValid: true });
+    expect((await probe('MONK')).health).toMatchObject({ status: 'rate_limited', quotaError: false });
+  });
+
+  test('unreachable and unconfigured members are told apart', async () => {
+    expect((await probe('SHADOW')).health).toMatchObject({ status: 'unreachable', reachable: false });
+    expect((await probe('GHOST')).health).toMatchObject({ status: 'not_configured' });
+
+    const { body } = await api(backend.url, '/api/council/health');
+    const byKey = Object.fromEntries(body.members.map(member => [member.key, member.status]));
+    expect(byKey).toMatchObject({ SHADOW: 'unreachable', GHOST: 'not_configured' });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Which key each member uses: its own keyEnv first, a shared OpenRouter or
+ * OpenAI key only when the member's provider fits it.
+ */
+
+const { startBackend, api } = require('./helpers/backend');
+
+describe('member key resolution', () => {
+  let backend;
+
+  beforeAll(async () => {
+    backend = await startBackend({
+      routing: {
+        members: {
+          MONK: { provider: 'openai' },
+          ARCHITECT: { provider: 'anthropic' },
+          SHADOW: { provider: 'openai' }
+        }
+      },
+      keys: {
+        OPENROUTER_API_KEY: 'sk-or-shared-key-0001',
+        MONK_API_KEY: 'sk-monk-own-key-0001',
+        ARCHITECT_API_KEY: 'sk-ant-architect-0001'
+      }
+    });
+  });
+
+  afterAll(async () => {
+    if (backend) await backend.stop();
+  });
+
+  test('a member\'s own key wins over the shared OpenRouter key', async () => {
+    const { body } = await api(backend.url, '/api/council-keys');
+    expect(body.members.MONK).toMatchObject({ configured: true, keyName: 'MONK_API_KEY' });
+    expect(body.members.ARCHITECT).toMatchObject({ configured: true, keyName: 'ARCHITECT_API_KEY' });
+  });
+
+  test('the shared OpenRouter key only stands in for OpenRouter or auto-detected members', async () => {
+    const { body } = await api(backend.url, '/api/council-keys');
+    // GHOST has no key and no provider set, so it is auto-detected from the shared key
+    expect(body.members.GHOST).toMatchObject({ configured: true, keyName: 'OPENROUTER_API_KEY' });
+    // SHADOW is routed to OpenAI and has no key of its own
+    expect(body.members.SHADOW).toMatchObject({ configured: false, keyName: null });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * End to end: council queries through the backend against the mock LLM -
+ * answers, retries, the circuit breaker and fallback chain, and streaming.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startMock, startBackend, api, streamEvents } = require('./helpers/backend');
+
+function ledger(backend) {
+  const file = path.join(backend.dir, '.nemo/usage/ledger.jsonl');
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+// MONK talks OpenAI to the mock; OBSERVER (Ollama, no key) is the alternate provider
+function routing(mockUrl) {
+  return {
+    defaults: { timeoutMs: 5000, retries: 2, backoffMs: 10, confidence: 'none' },
+    circuitBreaker: { failureThreshold: 3, cooldownMs: 60000 },
+    cache: { enabled: false },
+    demo: { mode: 'auto', fixtures: 'fixtures' },
+    members: {
+      MONK: { provider: 'openai', baseUrl: `${mockUrl}/v1`, model: 'gpt-4o-mini' },
+      OBSERVER: { provider: 'ollama', baseUrl: mockUrl, model: 'llama3' }
+    }
+  };
+}
+
+describe('council queries against the mock LLM', () => {
+  let llm;
+  let backend;
+
+  beforeAll(async () => {
+    llm = await startMock();
+    backend = await startBackend({ routing: routing(llm.url), keys: { MONK_API_KEY: 'sk-test-monk' } });
+  });
+
+  afterAll(async () => {
+    if (backend) await backend.stop();
+    if (llm) await llm.mock.stop();
+  });
+
+  beforeEach(() => {
+    llm.mock.setScript({ rules: [] });
+    llm.mock.reset();
+  });
+
+  test('answers a query from the member\'s own provider', async () => {
+    const { status, body } = await api(backend.url, '/api/council/query', {
+      body: { key: 'MONK', query: 'What is stillness?' }
+    });
+
+    expect(status).toBe(200);
+    expect(body.response).toContain('What is stillness?');
+    expect(body.provider).toBe('openai');
+    expect(body.demo).toBeUndefined();
+    expect(body.path).toEqual([expect.objectContaining({ step: 'primary', outcome: 'ok', attempts: 1 })]);
+    expect(body.usage.totalTokens).toBeGreaterThan(0);
+
+    expect(llm.mock.requests).toHaveLength(1);
+    expect(llm.mock.requests[0]).toMatchObject({ api: 'openai', model: 'gpt-4o-mini', query: 'What is stillness?' });
+    expect(llm.mock.requests[0].system).toContain('MONK');
+  });
+
+  test('retries a rate-limited call and then answers', async () => {
+    llm.mock.setScript({ rules: [{ match: { contains: 'flaky' }, status: 429, error: 'Slow down', times: 2 }] });
+
+    const { status, body } = await api(backend.url, '/api/council/query', {
+      body: { key: 'MONK', query: 'A flaky question' }
+    });
+
+    expect(status).toBe(200);
+    expect(body.demo).toBeUndefined();
+    expect(body.path[0]).toMatchObject({ step: 'primary', outcome: 'ok', attempts: 3 });
+    expect(llm.mock.requests.filter(request => request.api === 'openai')).toHaveLength(3);
+  });
+
+  test('falls back to another provider, then skips the open breaker', async () => {
+    llm.mock.setScript({ rules: [{ match: { api: 'openai' }, status: 500, error: 'Upstream down' }] });
+
+    const first = await api(backend.url, '/api/council/query', { body: { key: 'MONK', query: 'Is anyone there?' } });
+    expect(first.status).toBe(200);
+    expect(first.body.provider).toBe('ollama');
+    expect(first.body.fallback).toBe(true);
+    expect(first.body.path.map(entry => [entry.step, entry.outcome])).toEqual([
+      ['primary', 'error'],
+      ['alternate_provider', 'ok']
+    ]);
+    expect(first.body.path[0].error.message).toContain('Upstream down');
+
+    // Three failed attempts opened the breaker; the next query does not call OpenAI at all
+    llm.mock.reset();
+    const second = await api(backend.url, '/api/council/query', { body: { key: 'MONK', query: 'Still there?' } });
+    expect(second.body.path[0]).toMatchObject({ step: 'primary', outcome: 'skipped' });
+    expect(second.body.provider).toBe('ollama');
+    expect(llm.mock.requests.map(request => request.api)).toEqual(['ollama']);
+
+    const health = await api(backend.url, '/api/council/health');
+    expect(health.body.breakers).toEqual(expect.arrayContaining([
+      expect.objectContaining({ state: 'open' })
+    ]));
+  });
+
+  test('streams tokens over Server-Sent Events', async () => {
+    llm.mock.setScript({ rules: [{ match: { stream: true }, response: 'Breathe in. Breathe out.' }] });
+
+    const { status, events } = await streamEvents(backend.url, '/api/council/query/stream', {
+      key: 'OBSERVER', query: 'How do I calm down?'
+    });
+
+    expect(status).toBe(200);
+    const tokens = events.filter(event => event.event === 'token').map(event => event.data.text);
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.join('')).toBe('Breathe in. Breathe out.');
+
+    const done = events.find(event => event.event === 'done');
+    expect(done.data.provider).toBe('ollama');
+    expect(done.data.demo).toBeUndefined();
+    expect(done.data.usage.totalTokens).toBeGreaterThan(0);
+    expect(llm.mock.requests[0]).toMatchObject({ api: 'ollama', stream: true });
+  });
+
+  test('a stream that breaks off keeps its text and records the provider\'s tokens', async () => {
+    llm.mock.setScript({ rules: [{ match: { stream: true }, response: 'First words then silence', chunkDelayMs: 20, failAfterChunks: 2 }] });
+
+    const { events } = await streamEvents(backend.url, '/api/council/query/stream', {
+      key: 'OBSERVER', query: 'Tell me a long story'
+    });
+
+    const text = events.filter(event => event.event === 'token').map(event => event.data.text).join('');
+    expect(text).toBe('First words ');
+    const done = events.find(event => event.event === 'done');
+    expect(done.data).toMatchObject({ partial: true, fallback: true, provider: 'ollama', model: 'llama3' });
+    expect(done.data.demo).toBeUndefined();
+    expect(done.data.usage.completionTokens).toBeGreaterThan(0);
+
+    const record = ledger(backend).pop();
+    expect(record).toMatchObject({ member: 'OBSERVER', provider: 'ollama', model: 'llama3', demo: false });
+    expect(record.totalTokens).toBe(done.data.usage.totalTokens);
+  });
+
+  test('a requestId already in flight is refused, so a cancel reaches the one request', async () => {
+    llm.mock.setScript({ rules: [{ response: 'Slowly now', latencyMs: 300 }] });
+    const conversation = await api(backend.url, '/api/conversations', { body: { title: 'Duplicate ids' } });
+    const body = { key: 'OBSERVER', query: 'Wait for me', conversationId: conversation.body.id, requestId: 'dup-stream' };
+
+    // Both arrive before either has loaded the conversation's history
+    const first = streamEvents(backend.url, '/api/council/query/stream', body);
+    const second = streamEvents(backend.url, '/api/council/query/stream', body);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const cancel = await api(backend.url, '/api/council/cancel', { body: { requestId: 'dup-stream' } });
+    expect(cancel.status).toBe(200);
+
+    const results = await Promise.all([first, second]);
+    expect(results.map(result => result.status).sort()).toEqual([200, 409]);
+    const streamed = results.find(result => result.status === 200);
+    expect(streamed.events.find(event => event.event === 'error').data.error).toContain('Cancelled by user');
+
+    const query = api(backend.url, '/api/council/query', { body: { ...body, requestId: 'dup-query' } });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const refused = await api(backend.url, '/api/council/query', { body: { ...body, requestId: 'dup-query' } });
+    expect(refused.status).toBe(409);
+    expect(refused.body.error).toBe('Request already in flight: dup-query');
+    expect((await query).status).toBe(200);
+
+    expect((await api(backend.url, '/api/council/inflight')).body.requests).toEqual([]);
+  });
+});
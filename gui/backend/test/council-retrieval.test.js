@@ -0,0 +1,121 @@
+/**
+ * Codebase context: indexing the workspace, citing it in answers, and
+ * reporting an index that cannot be built instead of answering ungrounded
+ * without a word.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startMock, startBackend, api, streamEvents } = require('./helpers/backend');
+
+const BREAKER_SOURCE = [
+  '// Opens the circuit breaker after repeated provider failures',
+  'function openCircuitBreaker(breaker) {',
+  '  breaker.state = "open";',
+  '}',
+  ''
+].join('\n');
+
+function routing(mockUrl) {
+  return {
+    defaults: { retries: 0, confidence: 'none' },
+    cache: { enabled: false },
+    retrieval: { enabled: true, refreshMs: 0 },
+    members: { MONK: { provider: 'openai', baseUrl: `${mockUrl}/v1`, model: 'gpt-4o-mini' } }
+  };
+}
+
+describe('codebase retrieval', () => {
+  let llm;
+  let backend;
+  let broken;
+
+  beforeAll(async () => {
+    llm = await startMock();
+    backend = await startBackend({ routing: routing(llm.url), keys: { MONK_API_KEY: 'sk-test-monk' } });
+    fs.mkdirSync(path.join(backend.dir, 'src'));
+    fs.writeFileSync(path.join(backend.dir, 'src/breaker.js'), BREAKER_SOURCE);
+
+    // A file where the index directory should be: every index update fails
+    broken = await startBackend({
+      routing: routing(llm.url),
+      keys: { MONK_API_KEY: 'sk-test-monk' },
+      files: { '.nemo/index': {} }
+    });
+  });
+
+  afterAll(async () => {
+    if (backend) await backend.stop();
+    if (broken) await broken.stop();
+    if (llm) await llm.mock.stop();
+  });
+
+  test('indexes the workspace and cites it in answers', async () => {
+    const index = await api(backend.url, '/api/council/index', { body: {} });
+    expect(index.status).toBe(200);
+    expect(index.body.changes).toMatchObject({ added: 1, removed: 0 });
+
+    const { status, body } = await api(backend.url, '/api/council/query', {
+      body: { key: 'MONK', query: 'When does the circuit breaker open?' }
+    });
+    expect(status).toBe(200);
+    expect(body.citations).toEqual([expect.objectContaining({ file: path.join('src', 'breaker.js'), startLine: 1 })]);
+    expect(body.retrievalError).toBeUndefined();
+  });
+
+  test('an index that cannot be built fails POST /api/council/index', async () => {
+    const { status, body } = await api(broken.url, '/api/council/index', { body: {} });
+    expect(status).toBe(500);
+    expect(body.error).toBeTruthy();
+  });
+
+  test('a query still answers, but says retrieval failed', async () => {
+    const { status, body } = await api(broken.url, '/api/council/query', {
+      body: { key: 'MONK', query: 'When does the circuit breaker open?' }
+    });
+    expect(status).toBe(200);
+    expect(body.provider).toBe('openai');
+    expect(body.citations).toEqual([]);
+    expect(body.retrievalError).toBeTruthy();
+    expect(broken.output()).toContain('Code retrieval failed');
+
+    const { events } = await streamEvents(broken.url, '/api/council/query/stream', {
+      key: 'MONK', query: 'When does the circuit breaker open?'
+    });
+    const context = events.find(event => event.event === 'context');
+    expect(context.data).toMatchObject({ citations: [], error: body.retrievalError });
+  });
+});
+
+describe('retrieval preview', () => {
+  let backend;
+  const as = role => ({ Authorization: `Bearer ${backend.tokens[role]}` });
+  const preview = role => api(backend.url, '/api/council/retrieve?q=circuit%20breaker', { headers: as(role) });
+
+  beforeAll(async () => {
+    backend = await startBackend({ routing: routing('http://127.0.0.1:9'), tokens: ['viewer', 'admin'] });
+    fs.mkdirSync(path.join(backend.dir, 'src'));
+    fs.writeFileSync(path.join(backend.dir, 'src/breaker.js'), BREAKER_SOURCE);
+  });
+
+  afterAll(async () => {
+    if (backend) await backend.stop();
+  });
+
+  test('only an admin\'s preview refreshes the index', async () => {
+    const unbuilt = await preview('viewer');
+    expect(unbuilt.status).toBe(200);
+    expect(unbuilt.body).toMatchObject({ indexedAt: null, results: [] });
+    expect(fs.existsSync(path.join(backend.dir, '.nemo/index'))).toBe(false);
+
+    const refreshed = await preview('admin');
+    expect(refreshed.body.indexedAt).toBeTruthy();
+    expect(refreshed.body.results).toEqual([expect.objectContaining({ file: path.join('src', 'breaker.js') })]);
+
+    // The viewer now searches what the admin built, but a new file waits for the next refresh
+    fs.writeFileSync(path.join(backend.dir, 'src/breaker-reset.js'), BREAKER_SOURCE);
+    const built = await preview('viewer');
+    expect(built.body.indexedAt).toBe(refreshed.body.indexedAt);
+    expect(built.body.results.map(result => result.file)).toEqual([path.join('src', 'breaker.js')]);
+  });
+});
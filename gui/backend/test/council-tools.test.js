@@ -0,0 +1,116 @@
+/**
+ * Tool use: members run NEMO's analyzers through the tool loop, and the tools
+ * that read the workspace are only handed out to admins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startMock, startBackend, api } = require('./helpers/backend');
+
+const WORKSPACE_TOOLS = ['detect_loops', 'analyze_codebase', 'list_files', 'read_file', 'find_configs'];
+
+describe('council tools', () => {
+  let llm;
+  let backend;
+  const as = role => ({ Authorization: `Bearer ${backend.tokens[role]}` });
+
+  beforeAll(async () => {
+    llm = await startMock();
+    backend = await startBackend({
+      routing: {
+        defaults: { retries: 0, confidence: 'none' },
+        cache: { enabled: false },
+        members: { MONK: { provider: 'openai', baseUrl: `${llm.url}/v1`, model: 'gpt-4o-mini' } }
+      },
+      keys: { MONK_API_KEY: 'sk-test-monk' },
+      tokens: ['operator', 'admin']
+    });
+    fs.mkdirSync(path.join(backend.dir, 'src'));
+    fs.writeFileSync(path.join(backend.dir, 'src/spin.js'), 'function spin() {\n  while (true) {\n    tick();\n  }\n}\n');
+  });
+
+  afterAll(async () => {
+    if (backend) await backend.stop();
+    if (llm) await llm.mock.stop();
+  });
+
+  beforeEach(() => {
+    llm.mock.setScript({ rules: [] });
+    llm.mock.reset();
+  });
+
+  test('an admin\'s query runs the loop detector as a tool', async () => {
+    llm.mock.setScript({
+      rules: [{ response: { toolCalls: [{ name: 'detect_loops', arguments: { path: 'src' } }] }, times: 1 }]
+    });
+
+    const { status, body } = await api(backend.url, '/api/council/query', {
+      headers: as('admin'),
+      body: { key: 'MONK', query: 'Any loop hazards in src?', tools: ['detect_loops'] }
+    });
+
+    expect(status).toBe(200);
+    expect(body.tools).toEqual([expect.objectContaining({ step: 1, tool: 'detect_loops', ok: true })]);
+    expect(body.tools[0].result.findings).toContainEqual(
+      expect.objectContaining({ file: 'src/spin.js', line: 2, type: 'infinite-while' })
+    );
+    expect(llm.mock.requests[0].tools).toEqual(['detect_loops']);
+  });
+
+  test('operators cannot name workspace tools', async () => {
+    for (const tool of WORKSPACE_TOOLS) {
+      const { status, body } = await api(backend.url, '/api/council/query', {
+        headers: as('operator'),
+        body: { key: 'MONK', query: 'Show me the keys', tools: [tool] }
+      });
+      expect(status).toBe(403);
+      expect(body.error).toContain(`${tool} (admin)`);
+    }
+
+    const stream = await api(backend.url, '/api/council/query/stream', {
+      headers: as('operator'),
+      body: { key: 'MONK', query: 'Show me the keys', tools: ['read_file'] }
+    });
+    expect(stream.status).toBe(403);
+    expect(llm.mock.requests).toHaveLength(0);
+  });
+
+  test('an empty tool list is refused and never turns into every tool', async () => {
+    llm.mock.setScript({
+      rules: [{ response: { toolCalls: [{ name: 'read_file', arguments: { path: 'src/spin.js' } }] }, times: 1 }]
+    });
+
+    for (const route of ['/api/council/query', '/api/council/query/stream']) {
+      const { status, body } = await api(backend.url, route, {
+        headers: as('operator'),
+        body: { key: 'MONK', query: 'Read src/spin.js', tools: [] }
+      });
+      expect(status).toBe(400);
+      expect(body.error).toContain('tools must be true or a list of tool names');
+    }
+    expect(llm.mock.requests).toHaveLength(0);
+
+    // Even asked for by the model, a tool the caller's role does not allow is never run
+    const { body } = await api(backend.url, '/api/council/query', {
+      headers: as('operator'),
+      body: { key: 'MONK', query: 'Read src/spin.js', tools: true }
+    });
+    expect(llm.mock.requests[0].tools).not.toContain('read_file');
+    expect(body.tools).toEqual([expect.objectContaining({ tool: 'read_file', ok: false })]);
+    expect(JSON.stringify(body.tools[0].result)).not.toContain('while (true)');
+  });
+
+  test('tools: true gives operators only the tools their role allows', async () => {
+    const { status } = await api(backend.url, '/api/council/query', {
+      headers: as('operator'),
+      body: { key: 'MONK', query: 'What is queued?', tools: true }
+    });
+    expect(status).toBe(200);
+    expect(llm.mock.requests[0].tools).toEqual(['search_atoms', 'list_tasks']);
+
+    const listed = await api(backend.url, '/api/council/tools', { headers: as('operator') });
+    expect(listed.body.tools.map(tool => tool.name)).toEqual(['search_atoms', 'list_tasks']);
+    const all = await api(backend.url, '/api/council/tools', { headers: as('admin') });
+    expect(all.body.tools.map(tool => tool.name)).toEqual(expect.arrayContaining(WORKSPACE_TOOLS));
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Test helpers: the mock LLM (scripts/mock-llm.js) and a backend started in a
+ * scratch directory, so every suite gets its own council-routing.json,
+ * council-keys.json and .nemo state.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { MockLLMServer } = require('../../../../scripts/mock-llm');
+const { AuthStore } = require('../../../../lib/nemo-auth');
+
+const SERVER = path.join(__dirname, '../../server.js');
+const START_TIMEOUT_MS = 15000;
+// Keys and NEMO settings of the developer's shell must not leak into a test backend
+const SCRUBBED_ENV = /(_API_KEY|_KEY)$|^NEMO_|^SUPABASE_/;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+async function startMock(script = { rules: [] }) {
+  const mock = new MockLLMServer({ port: 0, script, chunkDelayMs: 0 });
+  const port = await mock.start();
+  return { mock, url: `http://127.0.0.1:${port}` };
+}
+
+/**
+ * Start gui/backend/server.js in a new scratch directory.
+ * options: { routing, keys, files: { relativePath: json }, env, tokens }
+ * Auth is off unless tokens lists roles: then it is on, and the result's
+ * tokens maps each role to an API token with that role.
+ */
+async function startBackend(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nemo-backend-'));
+  writeJson(path.join(dir, 'council-routing.json'), options.routing || {});
+  writeJson(path.join(dir, 'council-keys.json'), options.keys || {});
+  Object.entries(options.files || {}).forEach(([name, data]) => writeJson(path.join(dir, name), data));
+
+  const tokens = {};
+  if (options.tokens) {
+    const accounts = new AuthStore(path.join(dir, '.nemo/auth/users.json'));
+    options.tokens.forEach(role => {
+      tokens[role] = accounts.createToken({ name: `test-${role}`, role }).token;
+    });
+  }
+
+  const port = await freePort();
+  const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !SCRUBBED_ENV.test(name)));
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: dir,
+    env: { ...env, PORT: String(port), NEMO_AUTH: options.tokens ? 'on' : 'off', ...options.env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Backend did not start:\n${output}`)), START_TIMEOUT_MS);
+    child.stdout.on('data', () => {
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Backend exited with ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    dir,
+    url: `http://127.0.0.1:${port}`,
+    tokens,
+    output: () => output,
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// JSON request; resolves to { status, headers, body }
+async function api(baseUrl, route, { method, body, headers = {} } = {}) {
+  const res = await fetch(`${baseUrl}${route}`, {
+    method: method || (body === undefined ? 'GET' : 'POST'),
+    headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await res.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    // Not JSON; keep the text
+  }
+  return { status: res.status, headers: res.headers, body: parsed };
+}
+
+// Parse a finished Server-Sent Events body into [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter(block => block.trim()).map(block => {
+    const event = { event: 'message', data: null };
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event: ')) event.event = line.slice(7);
+      else if (line.startsWith('data: ')) event.data = JSON.parse(line.slice(6));
+      else if (line.startsWith('id: ')) event.id = Number(line.slice(4));
+    });
+    return event;
+  }).filter(event => event.data !== null);
+}
+
+// POST a streaming endpoint and collect every event until the server ends the response
+async function streamEvents(baseUrl, route, body) {
+  const res = await fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, events: parseEvents(await res.text()) };
+}
+
+module.exports = {
+  writeJson,
+  startMock,
+  startBackend,
+  api,
+  parseEvents,
+  streamEvents
+};
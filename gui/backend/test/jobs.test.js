@@ -0,0 +1,164 @@
+/**
+ * Background jobs end to end: loop scans and analyses run the real scripts
+ * over a scratch workspace.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startBackend, api, parseEvents } = require('./helpers/backend');
+
+const POLL_MS = 50;
+const JOB_TIMEOUT_MS = 15000;
+
+function writeSource(dir, file, content) {
+  fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dir, file), content);
+}
+
+// Poll GET /api/jobs/:id until the job has finished
+async function waitForJob(baseUrl, id) {
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const { body } = await api(baseUrl, `/api/jobs/${id}`);
+    if (body.status !== 'queued' && body.status !== 'running') return body;
+    await new Promise(resolve => setTimeout(resolve, POLL_MS));
+  }
+  throw new Error(`Job ${id} did not finish within ${JOB_TIMEOUT_MS}ms`);
+}
+
+// Open /api/events, read until every requested topic's snapshot has arrived, then hang up
+async function readEventStream(baseUrl, route, headers) {
+  const controller = new AbortController();
+  const res = await fetch(`${baseUrl}${route}`, { headers, signal: controller.signal });
+  const topics = new URL(route, baseUrl).searchParams.get('topics').split(',');
+  const decoder = new TextDecoder();
+  let text = '';
+  try {
+    for await (const chunk of res.body) {
+      text += decoder.decode(chunk, { stream: true });
+      const snapshots = parseEvents(text).filter(event => event.data.type === 'snapshot');
+      if (snapshots.length >= topics.length) break;
+    }
+  } finally {
+    controller.abort();
+  }
+  return parseEvents(text);
+}
+
+describe('background jobs', () => {
+  let backend;
+
+  beforeAll(async () => {
+    backend = await startBackend();
+    writeSource(backend.dir, 'src/spin.js', 'function spin() {\n  while (true) {\n    tick();\n  }\n}\n');
+    writeSource(backend.dir, 'src/lib/ok.ts', 'export const ok = (n: number) => n + 1;\n');
+    // Dependencies and dot directories are not scanned
+    writeSource(backend.dir, 'src/node_modules/dep/index.js', 'while (true) {}\n');
+    writeSource(backend.dir, 'src/.cache/built.js', 'while (true) {}\n');
+  });
+
+  afterAll(async () => {
+    if (backend) await backend.stop();
+  });
+
+  test('a loop scan runs the detector and saves its findings', async () => {
+    const submitted = await api(backend.url, '/api/loops/detect', { body: { target: 'src' } });
+    expect(submitted.status).toBe(202);
+    expect(submitted.body).toMatchObject({ type: 'loops', params: { target: 'src' } });
+
+    const job = await waitForJob(backend.url, submitted.body.id);
+    expect(job).toMatchObject({ status: 'completed', error: null, progress: { percent: 100, message: '2/2 files' } });
+    expect(job.result).toMatchObject({ path: 'src', files: 2, counts: { critical: 1 } });
+
+    const findings = await api(backend.url, `/api/jobs/${job.id}/artifacts/findings.json`);
+    expect(findings.body).toContainEqual(
+      expect.objectContaining({ file: path.join('src', 'spin.js'), line: 2, type: 'infinite-while', severity: 'critical' })
+    );
+    expect(findings.body.every(finding => finding.file === path.join('src', 'spin.js'))).toBe(true);
+  });
+
+  test('an analysis job runs the deep analyzer and saves its report', async () => {
+    const submitted = await api(backend.url, '/api/analysis', { body: { target: 'src' } });
+    expect(submitted.status).toBe(202);
+
+    const job = await waitForJob(backend.url, submitted.body.id);
+    expect(job).toMatchObject({ status: 'completed', result: { path: 'src', files: 2 } });
+    expect(job.artifacts.map(artifact => artifact.name).sort()).toEqual(['analysis-report.md', 'findings.json']);
+
+    const report = await api(backend.url, `/api/jobs/${job.id}/artifacts/analysis-report.md`);
+    expect(report.body).toContain('# NEMO Deep Analysis Report');
+  });
+
+  test('a target outside the workspace is refused before a job is queued', async () => {
+    const { status, body } = await api(backend.url, '/api/loops/detect', { body: { target: '../..' } });
+    expect(status).toBe(400);
+    expect(body.error).toBeTruthy();
+  });
+});
+
+describe('job access', () => {
+  let backend;
+  const as = role => ({ Authorization: `Bearer ${backend.tokens[role]}` });
+
+  beforeAll(async () => {
+    backend = await startBackend({ tokens: ['viewer', 'operator', 'admin'] });
+    writeSource(backend.dir, 'src/spin.js', 'while (true) {}\n');
+  });
+
+  afterAll(async () => {
+    if (backend) await backend.stop();
+  });
+
+  test('a job\'s details, log and artifacts need the role of its type', async () => {
+    const submitted = await api(backend.url, '/api/loops/detect', { body: { target: 'src' }, headers: as('admin') });
+    expect(submitted.status).toBe(202);
+    const { id } = submitted.body;
+
+    for (const role of ['viewer', 'operator']) {
+      const detail = await api(backend.url, `/api/jobs/${id}`, { headers: as(role) });
+      expect(detail.status).toBe(403);
+      expect(detail.body.error).toBe('loops jobs need the admin role');
+      expect(detail.body.logs).toBeUndefined();
+      expect((await api(backend.url, `/api/jobs/${id}/artifacts/findings.json`, { headers: as(role) })).status).toBe(403);
+    }
+
+    const detail = await api(backend.url, `/api/jobs/${id}`, { headers: as('admin') });
+    expect(detail.status).toBe(200);
+    expect(detail.body).toMatchObject({ id, type: 'loops', logs: expect.any(Array) });
+  });
+
+  test('the job list leaves out jobs the caller\'s role cannot read', async () => {
+    const submitted = await api(backend.url, '/api/loops/detect', { body: { target: 'src' }, headers: as('admin') });
+    const { id } = submitted.body;
+
+    const viewer = await api(backend.url, '/api/jobs', { headers: as('viewer') });
+    expect(viewer.status).toBe(200);
+    expect(viewer.body.jobs.map(job => job.id)).not.toContain(id);
+    expect(viewer.body.jobs.filter(job => job.type === 'loops')).toEqual([]);
+    expect(viewer.body.types).toEqual([]);
+
+    const operator = await api(backend.url, '/api/jobs', { headers: as('operator') });
+    expect(operator.body.jobs.map(job => job.id)).not.toContain(id);
+    expect(operator.body.types).toEqual(['batch']);
+
+    const admin = await api(backend.url, '/api/jobs', { headers: as('admin') });
+    expect(admin.body.jobs.map(job => job.id)).toContain(id);
+  });
+
+  test('job events and snapshots leave out jobs the caller\'s role cannot read', async () => {
+    const submitted = await api(backend.url, '/api/loops/detect', { body: { target: 'src' }, headers: as('admin') });
+    const { id } = submitted.body;
+    const route = '/api/events?topics=jobs&since=0';
+
+    const mentions = events => events.filter(event => event.event === 'jobs' && JSON.stringify(event.data).includes(id));
+
+    const viewer = await readEventStream(backend.url, route, as('viewer'));
+    expect(viewer.find(event => event.event === 'ready')).toBeTruthy();
+    expect(viewer.find(event => event.data.type === 'snapshot')).toBeTruthy();
+    expect(mentions(viewer)).toEqual([]);
+    expect(viewer.filter(event => event.event === 'jobs' && event.data.data.type === 'loops')).toEqual([]);
+
+    const admin = await readEventStream(backend.url, route, as('admin'));
+    expect(mentions(admin).length).toBeGreaterThan(0);
+  });
+});
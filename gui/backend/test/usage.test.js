@@ -0,0 +1,161 @@
+/**
+ * Usage ledger and budgets: prices, what counts towards today's spend, and
+ * budgets that reject or downgrade once they are used up.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  UNKNOWN_MODEL_PRICE, BudgetExceededError, estimateCost, UsageLedger
+} = require('../../../lib/nemo-usage');
+const { startMock, startBackend, api } = require('./helpers/backend');
+
+const MILLION = 1000000;
+
+function scratchLedger(budgets) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nemo-usage-'));
+  const budgetsPath = path.join(dir, 'council-budgets.json');
+  if (budgets) fs.writeFileSync(budgetsPath, JSON.stringify(budgets));
+  return { dir, ledger: new UsageLedger(path.join(dir, 'usage'), { budgetsPath }) };
+}
+
+describe('usage ledger', () => {
+  const dirs = [];
+  const ledgerWith = budgets => {
+    const scratch = scratchLedger(budgets);
+    dirs.push(scratch.dir);
+    return scratch.ledger;
+  };
+
+  afterAll(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+  test('prices the default Claude 3 Haiku model, with or without a vendor prefix', () => {
+    expect(estimateCost('claude-3-haiku-20240307', MILLION, MILLION)).toBeCloseTo(1.5);
+    expect(estimateCost('anthropic/claude-3-haiku', MILLION, 0)).toBeCloseTo(0.25);
+    // The longer prefix wins over claude-3-haiku's neighbours
+    expect(estimateCost('claude-3-5-haiku-latest', MILLION, 0)).toBeCloseTo(0.8);
+  });
+
+  test('charges unknown models at the conservative fallback price', () => {
+    const cost = estimateCost('someone/brand-new-model', MILLION, MILLION);
+    expect(cost).toBeCloseTo(UNKNOWN_MODEL_PRICE.input + UNKNOWN_MODEL_PRICE.output);
+    expect(estimateCost(null, MILLION, 0)).toBeCloseTo(UNKNOWN_MODEL_PRICE.input);
+  });
+
+  test('records demo answers and local providers at zero cost, and reloads from disk', () => {
+    const ledger = ledgerWith({ pricing: { 'house-model': { input: 1, output: 1 } } });
+    const paid = ledger.record({ member: 'MONK', provider: 'openai', model: 'house-model', promptTokens: 500000, completionTokens: 500000 });
+    const demo = ledger.record({ member: 'MONK', model: 'gpt-4o', promptTokens: 100, completionTokens: 100, demo: true });
+    const local = ledger.record({ member: 'OBSERVER', provider: 'ollama', model: 'qwen2.5', promptTokens: 100, completionTokens: 100 });
+
+    expect(paid.cost).toBeCloseTo(1);
+    expect(demo).toMatchObject({ cost: 0, demo: true, totalTokens: 200 });
+    expect(local).toMatchObject({ cost: 0, demo: false });
+
+    const reloaded = new UsageLedger(path.dirname(ledger.file));
+    expect(reloaded.records).toHaveLength(3);
+  });
+
+  test('demo answers do not count towards today\'s spend', () => {
+    const ledger = ledgerWith();
+    ledger.record({ member: 'MONK', provider: 'openai', model: 'gpt-4o-mini', promptTokens: 10, completionTokens: 20 });
+    ledger.record({ member: 'MONK', promptTokens: 1000, completionTokens: 1000, demo: true });
+
+    expect(ledger.spentToday('MONK')).toMatchObject({ calls: 1, totalTokens: 30 });
+    expect(ledger.spentToday()).toMatchObject({ calls: 1, totalTokens: 30 });
+    // The summary still reports every answer
+    expect(ledger.summary().totals).toMatchObject({ calls: 2, totalTokens: 2030 });
+  });
+
+  test('a used-up budget rejects or downgrades, depending on onExceed', () => {
+    const ledger = ledgerWith({
+      global: { dailyTokens: 1000 },
+      members: {
+        MONK: { dailyTokens: 100, onExceed: 'reject' },
+        ARCHITECT: { dailyCost: 0.001, onExceed: 'downgrade', downgradeModel: 'openai/gpt-4o-mini' }
+      }
+    });
+    expect(ledger.checkBudget('MONK')).toMatchObject({ action: 'allow' });
+
+    ledger.record({ member: 'MONK', provider: 'openai', model: 'gpt-4o-mini', promptTokens: 60, completionTokens: 40 });
+    expect(() => ledger.checkBudget('MONK')).toThrow(BudgetExceededError);
+    try {
+      ledger.checkBudget('MONK');
+    } catch (err) {
+      expect(err.toJSON()).toMatchObject({ scope: 'MONK', field: 'dailyTokens', limit: 100, used: 100 });
+    }
+
+    // An unknown model is priced high enough to use up the cost budget at once
+    ledger.record({ member: 'ARCHITECT', provider: 'anthropic', model: 'claude-next', promptTokens: 50, completionTokens: 50 });
+    expect(ledger.checkBudget('ARCHITECT')).toMatchObject({
+      action: 'downgrade',
+      downgradeModel: 'openai/gpt-4o-mini',
+      exceeded: { scope: 'ARCHITECT', field: 'dailyCost' }
+    });
+
+    // Members without a budget of their own still answer to the global one
+    ledger.record({ member: 'GHOST', provider: 'openai', model: 'gpt-4o-mini', promptTokens: 800, completionTokens: 0 });
+    expect(() => ledger.checkBudget('GHOST')).toThrow(/global/);
+  });
+
+  test('demo answers never use up a budget', () => {
+    const ledger = ledgerWith({ members: { MONK: { dailyTokens: 100 } } });
+    ledger.record({ member: 'MONK', promptTokens: 5000, completionTokens: 5000, demo: true });
+    expect(ledger.checkBudget('MONK')).toMatchObject({ action: 'allow' });
+  });
+});
+
+describe('budgets on council queries', () => {
+  let llm;
+  let backend;
+
+  beforeAll(async () => {
+    llm = await startMock();
+    backend = await startBackend({
+      routing: {
+        defaults: { retries: 0, confidence: 'none' },
+        cache: { enabled: false },
+        members: {
+          MONK: { provider: 'openai', baseUrl: `${llm.url}/v1`, model: 'gpt-4o-mini' },
+          OBSERVER: { provider: 'ollama', baseUrl: llm.url, model: 'llama3' }
+        }
+      },
+      keys: { MONK_API_KEY: 'sk-test-monk' },
+      files: {
+        'council-budgets.json': {
+          members: {
+            MONK: { dailyTokens: 1, onExceed: 'reject' },
+            OBSERVER: { dailyTokens: 1, onExceed: 'downgrade', downgradeModel: 'llama3.2' }
+          }
+        }
+      }
+    });
+  });
+
+  afterAll(async () => {
+    if (backend) await backend.stop();
+    if (llm) await llm.mock.stop();
+  });
+
+  test('rejects with 429 once a "reject" budget is used up', async () => {
+    const first = await api(backend.url, '/api/council/query', { body: { key: 'MONK', query: 'First question' } });
+    expect(first.status).toBe(200);
+
+    const second = await api(backend.url, '/api/council/query', { body: { key: 'MONK', query: 'Second question' } });
+    expect(second.status).toBe(429);
+    expect(second.body.budget).toMatchObject({ scope: 'MONK', field: 'dailyTokens', limit: 1 });
+    expect(llm.mock.requests.filter(request => request.api === 'openai')).toHaveLength(1);
+  });
+
+  test('answers with the downgrade model once a "downgrade" budget is used up', async () => {
+    const first = await api(backend.url, '/api/council/query', { body: { key: 'OBSERVER', query: 'First look' } });
+    expect(first.body.budget).toBeUndefined();
+
+    llm.mock.reset();
+    const second = await api(backend.url, '/api/council/query', { body: { key: 'OBSERVER', query: 'Second look' } });
+    expect(second.status).toBe(200);
+    expect(second.body.budget).toMatchObject({ downgraded: true, exceeded: { scope: 'OBSERVER' } });
+    expect(llm.mock.requests[0]).toMatchObject({ api: 'ollama', model: 'llama3.2' });
+  });
+});
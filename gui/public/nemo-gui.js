@@ -13,42 +13,324 @@ const API_BASE = window.location.hostname === 'localhost'
 const appState = {
     scanning: false,
     analyzing: false,
-    spectrumInterval: null,
     councilStatus: {},
     logs: [],
     projects: [],
     // NEW: Complexity level ("simple", "standard", "expert")
     complexityLevel: 'simple',
-    // NEW: Track council queries
-    councilThoughts: {
-        GHOST: { status: 'ready', content: '', tokens: 0, latency: 0, confidence: 0 },
-        ARCHITECT: { status: 'ready', content: '', tokens: 0, latency: 0, confidence: 0 },
-        MONK: { status: 'ready', content: '', tokens: 0, latency: 0, confidence: 0 },
-        SHADOW: { status: 'ready', content: '', tokens: 0, latency: 0, confidence: 0 },
-        OBSERVER: { status: 'ready', content: '', tokens: 0, latency: 0, confidence: 0 }
-    }
+    // Active conversation thread (follow-ups send it so members keep context)
+    conversationId: null,
+    // Registered council members (GET /api/council/members)
+    members: [],
+    // Let members call workspace tools (GET /api/council/tools)
+    toolsEnabled: false,
+    // Ground answers in the indexed codebase (GET /api/council/index)
+    retrievalEnabled: false,
+    // Request ids of queries still running, by member key ("deliberate" for a deliberation)
+    requests: {},
+    // Polls GET /api/council/inflight while requests are running
+    inflightTimer: null,
+    // GET /api/auth/session: { enabled, user, needsSetup, canSetup }
+    session: null,
+    // startApp() has run (a later sign-in only restores the session)
+    started: false,
+    // Loop scan shown in the Reports panel
+    loopJobId: null,
+    // Background jobs: the one shown in the Jobs panel, and callbacks waiting
+    // for jobs to finish (by job id)
+    jobId: null,
+    jobWatchers: {},
+    // Queued and running jobs (GET /api/jobs?status=active), and finished ones fetched for watchers
+    jobs: [],
+    jobCache: {},
+    // Analysis jobs started from the Codebase Analysis panel
+    analysisJobs: [],
+    // Live event stream (GET /api/events): the EventSource, handlers by topic,
+    // and whether the stream is currently connected
+    events: null,
+    eventHandlers: {},
+    eventsConnected: false,
+    // NEW: Track council queries (one entry per registered member)
+    councilThoughts: {}
 };
 
+// Used when the backend registry cannot be reached
+const FALLBACK_MEMBERS = [
+    { key: 'GHOST', name: 'THE GHOST', role: 'Predictive Intent', icon: '👻', color: '#aaaaff', keyEnv: 'GHOST_API_KEY' },
+    { key: 'ARCHITECT', name: 'THE ARCHITECT', role: 'System Design', icon: '🏗️', color: '#ffaa00', keyEnv: 'ARCHITECT_API_KEY' },
+    { key: 'MONK', name: 'THE MONK', role: 'Deep Reasoning', icon: '🧘', color: '#00ff88', keyEnv: 'MONK_API_KEY' },
+    { key: 'SHADOW', name: 'THE SHADOW', role: 'Chi Aesthetic', icon: '🎨', color: '#ff00ff', keyEnv: 'SHADOW_API_KEY' },
+    { key: 'OBSERVER', name: 'THE OBSERVER', role: 'Monitoring', icon: '👁️', color: '#00ffff', keyEnv: 'OBSERVER_API_KEY' }
+];
+
 // ============ INITIALIZATION ============
 
 document.addEventListener('DOMContentLoaded', async () => {
     log('info', 'NEMO Conductor v3.1 initializing...');
     log('info', `API Base: ${API_BASE}`);
 
+    // Wait for sign-in when the backend requires an account
+    if (await checkSession()) await startApp();
+});
+
+async function startApp() {
+    appState.started = true;
+
     // Load system info
     await loadSystemInfo();
 
+    // Load the council registry and render member cards
+    await loadCouncilMembers();
+
     // Load council status
     await loadCouncilStatus();
 
+    // Load saved conversations
+    await loadConversations();
+
+    // Show queued and running background jobs
+    await refreshJobs();
+
     // Initialize spectrum canvas
     initSpectrumCanvas();
 
+    // Council, jobs, spectrum, Supabase rows and server logs arrive live from here on
+    subscribeLiveEvents();
+    connectEvents();
+
     // Apply initial complexity level
     applyComplexityLevel();
 
     log('success', 'NEMO Conductor ready');
-});
+}
+
+// ============ AUTH ============
+
+// fetch for API calls: sends the session cookie and brings back the sign-in screen when it has expired
+async function apiFetch(url, options = {}) {
+    const res = await fetch(url, { credentials: 'include', ...options });
+    if (res.status === 401 && !url.includes('/auth/')) showLogin();
+    return res;
+}
+
+// Resolves true when the app can start (signed in, or auth is off)
+async function checkSession() {
+    try {
+        const res = await apiFetch(`${API_BASE}/auth/session`);
+        appState.session = await res.json();
+    } catch (err) {
+        log('warning', 'Could not check the session: ' + err.message);
+        return true;
+    }
+
+    if (!appState.session.enabled || appState.session.user) {
+        renderUserBadge();
+        return true;
+    }
+    showLogin();
+    return false;
+}
+
+function showLogin() {
+    const session = appState.session || {};
+    const setup = !!session.needsSetup;
+    document.getElementById('login-screen').classList.add('active');
+    document.getElementById('login-error').textContent = '';
+    document.getElementById('login-submit').textContent = setup ? 'Create Admin' : 'Sign In';
+    document.getElementById('login-submit').disabled = setup && !session.canSetup;
+
+    let hint = 'Sign in to continue';
+    if (setup && session.canSetup) hint = 'No accounts yet - create the first admin';
+    else if (setup) hint = 'No accounts yet - create an admin on the server: node scripts/nemo-auth.js add-user NAME --role=admin';
+    document.getElementById('login-hint').textContent = hint;
+    document.getElementById('login-username').focus();
+}
+
+async function submitLogin() {
+    const username = document.getElementById('login-username').value.trim();
+    const password = document.getElementById('login-password').value;
+    const setup = appState.session && appState.session.needsSetup;
+    const errorEl = document.getElementById('login-error');
+
+    try {
+        const res = await apiFetch(`${API_BASE}/auth/${setup ? 'setup' : 'login'}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            errorEl.textContent = data.error;
+            return;
+        }
+
+        appState.session = { ...appState.session, user: data.user, needsSetup: false };
+        document.getElementById('login-password').value = '';
+        document.getElementById('login-screen').classList.remove('active');
+        renderUserBadge();
+        log('success', `Signed in as ${data.user.username} (${data.user.role})`);
+        // A session that expired mid-use only needs the sign-in; the app is already running
+        if (!appState.started) await startApp();
+        else if (!appState.events) connectEvents();
+    } catch (err) {
+        errorEl.textContent = 'Sign-in failed: ' + err.message;
+    }
+}
+
+async function logout() {
+    await apiFetch(`${API_BASE}/auth/logout`, { method: 'POST' }).catch(() => {});
+    disconnectEvents();
+    appState.session = { ...appState.session, user: null };
+    renderUserBadge();
+    showLogin();
+}
+
+function renderUserBadge() {
+    const badge = document.getElementById('user-badge');
+    const session = appState.session || {};
+    if (!session.enabled || !session.user) {
+        badge.innerHTML = '';
+        return;
+    }
+    badge.innerHTML = `
+        <span>👤 ${escapeHtml(session.user.username)} (${session.user.role})</span>
+        <button class="btn secondary" onclick="logout()">Sign Out</button>`;
+}
+
+// ============ LIVE EVENTS ============
+
+// Wait before reopening a stream the server refused (signed out, restarting)
+const EVENT_RETRY_MS = 5000;
+const LIVE_FEED_SIZE = 50;
+
+// Call fn with the latest arguments at most once per ms
+function throttle(fn, ms) {
+    let timer = null;
+    let latest = [];
+    return (...args) => {
+        latest = args;
+        if (!timer) {
+            timer = setTimeout(() => {
+                timer = null;
+                fn(...latest);
+            }, ms);
+        }
+    };
+}
+
+// Call handler(event) for every event on a topic; event is { id, topic, type, data, at }
+function subscribe(topic, handler) {
+    const added = !appState.eventHandlers[topic];
+    if (added) appState.eventHandlers[topic] = [];
+    appState.eventHandlers[topic].push(handler);
+    // A topic added after connecting needs a new stream
+    if (added && appState.events) connectEvents();
+}
+
+function subscribeLiveEvents() {
+    subscribe('council', onCouncilEvent);
+    subscribe('jobs', onJobEvent);
+    subscribe('spectrum', onSpectrumEvent);
+    ['atoms', 'messages', 'tasks'].forEach(topic => subscribe(topic, onFeedEvent));
+    subscribe('log', onServerLog);
+}
+
+// One stream for every subscribed topic. The browser reconnects by itself and
+// sends Last-Event-ID, so the server replays what was missed in between.
+function connectEvents() {
+    disconnectEvents();
+    const topics = Object.keys(appState.eventHandlers);
+    const source = new EventSource(`${API_BASE}/events?topics=${topics.join(',')}`, { withCredentials: true });
+    appState.events = source;
+
+    source.addEventListener('ready', e => {
+        const ready = JSON.parse(e.data);
+        setEventsConnected(true, ready.denied.length ? ` (no access to ${ready.denied.join(', ')})` : '');
+    });
+    topics.forEach(topic => source.addEventListener(topic, e => {
+        const event = JSON.parse(e.data);
+        appState.eventHandlers[topic].forEach(handler => handler(event));
+    }));
+    source.onerror = () => {
+        setEventsConnected(false);
+        // A refused stream is not retried by the browser
+        if (source.readyState === EventSource.CLOSED && appState.events === source) {
+            appState.events = null;
+            setTimeout(() => {
+                const session = appState.session || {};
+                if (!appState.events && (!session.enabled || session.user)) connectEvents();
+            }, EVENT_RETRY_MS);
+        }
+    };
+}
+
+function disconnectEvents() {
+    if (appState.events) appState.events.close();
+    appState.events = null;
+    setEventsConnected(false);
+}
+
+function setEventsConnected(connected, detail = '') {
+    const el = document.getElementById('events-status');
+    if (el) el.textContent = connected ? 'live' : 'reconnecting...';
+    if (connected === appState.eventsConnected) return;
+    appState.eventsConnected = connected;
+    if (connected) log('success', `Live updates connected${detail}`);
+    else if (appState.started) log('warning', 'Live updates lost - reconnecting');
+}
+
+// Activations, probes and registry edits made from any browser
+function onCouncilEvent(event) {
+    const { data } = event;
+    if (event.type === 'snapshot') {
+        Object.entries(data.council).forEach(([key, active]) => {
+            if (active) appState.councilStatus[key] = true;
+        });
+        Object.values(data.health).forEach(health => showMemberHealth(health.key, health));
+        updateCouncilDisplay();
+    } else if (event.type === 'status') {
+        if (data.active) appState.councilStatus[data.key] = true;
+        updateCouncilDisplay();
+    } else if (event.type === 'health') {
+        showMemberHealth(data.key, data);
+    } else if (event.type === 'members') {
+        appState.members = data.members;
+        renderCouncilMembers();
+        updateCouncilDisplay();
+    }
+}
+
+// The backend runs one scan for every browser; frames replace polling /api/spectrum/data
+function onSpectrumEvent(event) {
+    if (event.type === 'frame') {
+        if (event.data.data.length) drawSpectrumData(event.data.data);
+        return;
+    }
+    appState.scanning = event.data.scanning;
+    document.getElementById('center-freq').textContent = `${event.data.frequency} GHz`;
+}
+
+// New atoms, node messages and tasks, newest first
+function onFeedEvent(event) {
+    const feed = document.getElementById('live-feed');
+    if (!feed) return;
+    const row = event.data;
+    const text = {
+        atoms: () => `${row.type || 'atom'}: ${row.content}`,
+        messages: () => `${row.from_node} → ${row.to_node}: ${row.content}`,
+        tasks: () => `task for ${row.assignee || 'anyone'} (priority ${row.priority}): ${row.task}`
+    }[event.topic]();
+
+    const div = document.createElement('div');
+    div.className = 'log-entry info';
+    div.textContent = `[${new Date(event.at).toLocaleTimeString()}] ${text}`;
+    feed.prepend(div);
+    while (feed.children.length > LIVE_FEED_SIZE) feed.lastChild.remove();
+}
+
+function onServerLog(event) {
+    log(event.data.level, `[server] ${event.data.message}`);
+}
 
 // ============ COMPLEXITY LEVEL CONTROL (THE FENDER) ============
 
@@ -66,9 +348,29 @@ function setComplexity(level) {
     log('info', `Complexity level: ${level.toUpperCase()}`);
 }
 
+function toggleTools() {
+    appState.toolsEnabled = !appState.toolsEnabled;
+    const btn = document.getElementById('tools-toggle');
+    if (btn) {
+        btn.classList.toggle('active', appState.toolsEnabled);
+        btn.textContent = `🧰 Tools: ${appState.toolsEnabled ? 'On' : 'Off'}`;
+    }
+    log('info', `Council tools ${appState.toolsEnabled ? 'enabled' : 'disabled'}`);
+}
+
+function toggleRetrieval() {
+    appState.retrievalEnabled = !appState.retrievalEnabled;
+    const btn = document.getElementById('retrieval-toggle');
+    if (btn) {
+        btn.classList.toggle('active', appState.retrievalEnabled);
+        btn.textContent = `📚 Code: ${appState.retrievalEnabled ? 'On' : 'Off'}`;
+    }
+    log('info', `Codebase context ${appState.retrievalEnabled ? 'enabled' : 'disabled'}`);
+}
+
 function applyComplexityLevel() {
     const level = appState.complexityLevel;
-    const members = ['ghost', 'architect', 'monk', 'shadow', 'observer'];
+    const members = memberKeys().map(key => key.toLowerCase());
 
     members.forEach(member => {
         const contentEl = document.getElementById(`content-${member}`);
@@ -94,6 +396,122 @@ function applyComplexityLevel() {
             }
         }
     });
+
+    // Verdict card keeps its text at every level; only the meta follows the fender
+    const verdictMeta = document.getElementById('meta-verdict');
+    if (verdictMeta) verdictMeta.classList.toggle('visible', level === 'expert');
+}
+
+// ============ COUNCIL MEMBERS ============
+
+async function loadCouncilMembers() {
+    try {
+        const res = await apiFetch(`${API_BASE}/council/members`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        appState.members = data.members;
+        log('info', `Council registry: ${data.members.length} members (${data.source})`);
+    } catch (err) {
+        appState.members = FALLBACK_MEMBERS;
+        log('warning', `Could not load council registry - using built-in members: ${err.message}`);
+    }
+    renderCouncilMembers();
+}
+
+function memberKeys() {
+    return appState.members.map(member => member.key);
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+}
+
+// Header badges, member buttons, thought cards and activation cards for every registered member
+function renderCouncilMembers() {
+    const members = appState.members;
+    const previous = appState.councilThoughts;
+    appState.councilThoughts = {};
+    members.forEach(member => {
+        appState.councilThoughts[member.key] = previous[member.key] ||
+            { status: 'ready', content: '', tokens: 0, latency: 0, confidence: 0 };
+    });
+
+    const statusBar = document.getElementById('council-status-bar');
+    if (statusBar) {
+        statusBar.innerHTML = members.map(member =>
+            `<div class="key-status" id="${member.key.toLowerCase()}-status">${escapeHtml(member.key)}</div>`
+        ).join('');
+    }
+
+    const buttons = document.getElementById('member-buttons');
+    if (buttons) {
+        buttons.innerHTML = members.map(member =>
+            `<button class="btn secondary" onclick="queryMember('${member.key}')">${escapeHtml(member.icon)} ${escapeHtml(member.key)}</button>`
+        ).join(' ');
+    }
+
+    const thoughts = document.getElementById('thoughts-container');
+    if (thoughts) {
+        thoughts.innerHTML = members.map(member => {
+            const id = member.key.toLowerCase();
+            return `
+                <div class="thought-card" id="thought-${id}">
+                    <div class="thought-header">
+                        <span class="thought-title" style="color: ${member.color};">${escapeHtml(member.icon)} ${escapeHtml(member.name)}</span>
+                        <span>
+                            <span class="thought-status ready" id="status-${id}">Ready</span>
+                            <button class="btn secondary thought-cancel" onclick="cancelMember('${member.key}')" title="Stop this member">✖</button>
+                        </span>
+                    </div>
+                    <div class="thought-content" id="content-${id}">
+                        <em style="color: #666;">${escapeHtml(member.role)}${member.description ? ` - ${escapeHtml(member.description)}` : ''}</em>
+                    </div>
+                    <div class="thought-meta" id="meta-${id}">
+                        <div class="thought-meta-row">
+                            <span class="thought-meta-label">Tokens:</span>
+                            <span class="thought-meta-value" id="tokens-${id}">-</span>
+                        </div>
+                        <div class="thought-meta-row">
+                            <span class="thought-meta-label">Latency:</span>
+                            <span class="thought-meta-value" id="latency-${id}">-</span>
+                        </div>
+                        <div class="thought-meta-row">
+                            <span class="thought-meta-label">Confidence:</span>
+                            <span class="thought-meta-value" id="confidence-${id}">-</span>
+                        </div>
+                        <div class="thought-meta-row">
+                            <span class="thought-meta-label">Path:</span>
+                            <span class="thought-meta-value" id="path-${id}">-</span>
+                        </div>
+                        <div class="thought-meta-row">
+                            <span class="thought-meta-label">Tools:</span>
+                            <span class="thought-meta-value" id="tools-${id}">-</span>
+                        </div>
+                        <div class="thought-meta-row">
+                            <span class="thought-meta-label">Sources:</span>
+                            <span class="thought-meta-value" id="sources-${id}">-</span>
+                        </div>
+                    </div>
+                </div>`;
+        }).join('');
+    }
+
+    const cards = document.getElementById('council-cards');
+    if (cards) {
+        cards.innerHTML = members.map(member => `
+            <div class="council-card">
+                <h4>${escapeHtml(member.icon)} ${escapeHtml(member.key)}</h4>
+                <p>${escapeHtml(member.role)}</p>
+                <div class="member-health" id="health-${member.key.toLowerCase()}">Not probed yet</div>
+                <button class="btn" onclick="activateKey('${member.key}')" style="padding: 5px 10px; font-size: 0.8em;">Activate</button>
+                <button class="btn secondary" onclick="testKey('${member.key}')" style="padding: 5px 10px; font-size: 0.8em;">Test</button>
+            </div>`
+        ).join('');
+    }
+
+    applyComplexityLevel();
 }
 
 // ============ COUNCIL QUERY SYSTEM ============
@@ -109,17 +527,20 @@ async function queryCouncil() {
 
     log('info', `Querying all council members: "${query}"`);
 
-    // Query all 5 members in parallel
-    const members = ['GHOST', 'ARCHITECT', 'MONK', 'SHADOW', 'OBSERVER'];
+    // Query every registered member in parallel
+    const members = memberKeys();
 
     // Set all to thinking
     members.forEach(member => {
         updateThoughtCard(member, 'thinking', 'Thinking...', {});
     });
 
+    await ensureConversation();
+
     // Query all in parallel
     const promises = members.map(member => queryMemberInternal(member, query));
     await Promise.allSettled(promises);
+    await loadConversations();
 
     log('success', 'Council query complete');
 }
@@ -136,46 +557,327 @@ async function queryMember(member) {
     log('info', `Querying ${member}: "${query}"`);
 
     updateThoughtCard(member, 'thinking', 'Thinking...', {});
+    await ensureConversation();
     await queryMemberInternal(member, query);
+    await loadConversations();
 }
 
 async function queryMemberInternal(member, query) {
     const startTime = Date.now();
+    const requestId = newRequestId(member);
+    let streamed = '';
+    const toolCalls = [];
+    let citations = [];
+
+    appState.requests[member] = requestId;
+    watchInflight();
 
     try {
-        const res = await fetch(`${API_BASE}/council/query`, {
+        await streamCouncilQuery({
+            requestId,
+            key: member,
+            query: query,
+            complexity: appState.complexityLevel,
+            conversationId: appState.conversationId,
+            tools: appState.toolsEnabled || undefined,
+            retrieval: appState.retrievalEnabled
+        }, {
+            onToken: (text) => {
+                streamed += text;
+                setThoughtText(member, streamed);
+            },
+            onContext: (data) => {
+                citations = data.citations;
+                if (data.error) log('warning', `${member}: codebase context unavailable - ${data.error}`);
+                updateThoughtCard(member, 'thinking', null, { citations });
+            },
+            onTool: (call) => {
+                toolCalls.push(call);
+                setThoughtText(member, `Running ${call.tool}...`);
+                updateThoughtCard(member, 'thinking', null, { tools: toolCalls });
+            },
+            onDone: (data) => {
+                const latency = data.latency || Date.now() - startTime;
+                updateThoughtCard(member, 'done', streamed ? null : 'No response', {
+                    tokens: data.tokens || 0,
+                    latency: latency,
+                    confidence: data.confidence,
+                    confidenceMethod: data.confidenceMethod,
+                    path: data.path,
+                    tools: data.tools || [],
+                    citations
+                });
+                appState.councilThoughts[member].content = streamed;
+                log('success', `${member} responded in ${latency}ms`);
+            },
+            onError: (message, data = {}) => {
+                const latency = Date.now() - startTime;
+                if (data.cancelled) {
+                    updateThoughtCard(member, 'error', streamed ? null : 'Cancelled', { latency });
+                    log('warning', `${member} cancelled after ${latency}ms`);
+                    return;
+                }
+                updateThoughtCard(member, 'error', `Error: ${message}`, { latency });
+                log('error', `${member} error: ${message}`);
+            }
+        });
+
+        // Update header status indicator
+        updateHeaderStatus(member, 'active');
+
+    } catch (err) {
+        const latency = Date.now() - startTime;
+        updateThoughtCard(member, 'error', `Connection error: ${err.message}`, { latency });
+        log('error', `${member} failed: ${err.message}`);
+    } finally {
+        if (appState.requests[member] === requestId) delete appState.requests[member];
+    }
+}
+
+// POST to the SSE query endpoint and dispatch token/done/error events as they arrive
+async function streamCouncilQuery(body, handlers) {
+    const res = await apiFetch(`${API_BASE}/council/query/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    if (!res.ok || !res.body) {
+        const data = await res.json().catch(() => ({}));
+        handlers.onError(data.error || `HTTP ${res.status}`, data);
+        return;
+    }
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let finished = false;
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+
+        frames.forEach(frame => {
+            const eventLine = frame.match(/^event: (.*)$/m);
+            const dataLine = frame.match(/^data: (.*)$/m);
+            if (!eventLine || !dataLine) return;
+
+            const data = JSON.parse(dataLine[1]);
+            if (eventLine[1] === 'token') {
+                handlers.onToken(data.text);
+            } else if (eventLine[1] === 'tool') {
+                if (handlers.onTool) handlers.onTool(data);
+            } else if (eventLine[1] === 'context') {
+                if (handlers.onContext) handlers.onContext(data);
+            } else if (eventLine[1] === 'done') {
+                finished = true;
+                handlers.onDone(data);
+            } else if (eventLine[1] === 'error') {
+                finished = true;
+                handlers.onError(data.error, data);
+            }
+        });
+    }
+
+    if (!finished) handlers.onError('Stream ended unexpectedly');
+}
+
+// Render partial streamed text without interpreting it as HTML
+function setThoughtText(member, text) {
+    const contentEl = document.getElementById(`content-${member.toLowerCase()}`);
+    if (contentEl) {
+        contentEl.classList.add('streamed');
+        contentEl.textContent = text;
+    }
+}
+
+// ============ DELIBERATION (VERDICT) ============
+
+async function deliberateCouncil() {
+    const input = document.getElementById('council-query');
+    const query = input.value.trim();
+
+    if (!query) {
+        log('warning', 'Please enter a question');
+        return;
+    }
+
+    log('info', `Council deliberating: "${query}"`);
+
+    const members = memberKeys();
+    members.forEach(member => {
+        updateThoughtCard(member, 'thinking', 'Thinking...', {});
+    });
+    showVerdict('thinking', { verdict: 'The council is deliberating...', agreements: [], disagreements: [] });
+
+    const requestId = newRequestId('deliberate');
+    appState.requests.deliberate = requestId;
+    watchInflight();
+
+    try {
+        const res = await apiFetch(`${API_BASE}/council/deliberate`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                key: member,
+                requestId,
                 query: query,
-                complexity: appState.complexityLevel
+                complexity: appState.complexityLevel,
+                retrieval: appState.retrievalEnabled
             })
         });
-
         const data = await res.json();
-        const latency = Date.now() - startTime;
+
+        (data.answers || []).forEach(answer => {
+            if (answer.error) {
+                updateThoughtCard(answer.key, 'error', `Error: ${answer.error}`, {});
+            } else {
+                updateThoughtCard(answer.key, 'done', answer.response, {
+                    tokens: answer.tokens || 0,
+                    confidence: answer.confidence,
+                    confidenceMethod: answer.confidenceMethod,
+                    path: answer.path,
+                    citations: answer.citations || []
+                });
+            }
+        });
+
+        if (data.cancelled) {
+            members.forEach(member => updateThoughtCard(member, 'error', 'Cancelled', {}));
+            showVerdict('error', { verdict: 'Deliberation cancelled', agreements: [], disagreements: [] });
+            log('warning', 'Deliberation cancelled');
+            return;
+        }
 
         if (data.error) {
-            updateThoughtCard(member, 'error', `Error: ${data.error}`, { latency });
-            log('error', `${member} error: ${data.error}`);
-        } else {
-            updateThoughtCard(member, 'done', data.response || data.content, {
-                tokens: data.tokens || 0,
-                latency: latency,
-                confidence: data.confidence || 0.85
-            });
-            log('success', `${member} responded in ${latency}ms`);
+            showVerdict('error', { verdict: `Error: ${data.error}`, agreements: [], disagreements: [] });
+            log('error', `Deliberation failed: ${data.error}`);
+            return;
         }
 
-        // Update header status indicator
-        updateHeaderStatus(member, 'active');
+        showVerdict('done', data.verdict, data);
+        log('success', `Verdict from ${data.synthesizer} in ${data.latency}ms`);
+    } catch (err) {
+        showVerdict('error', { verdict: `Connection error: ${err.message}`, agreements: [], disagreements: [] });
+        log('error', `Deliberation failed: ${err.message}`);
+    } finally {
+        if (appState.requests.deliberate === requestId) delete appState.requests.deliberate;
+    }
+}
+
+// ============ CANCELLATION & IN-FLIGHT ============
+
+// Ids are chosen client-side so a request can be cancelled before its first byte arrives
+function newRequestId(prefix) {
+    return `${prefix.toLowerCase()}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
 
+async function cancelRequest(requestId) {
+    try {
+        const res = await apiFetch(`${API_BASE}/council/cancel`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ requestId })
+        });
+        const data = await res.json();
+        // 404: it finished before the cancel arrived
+        if (!res.ok && res.status !== 404) throw new Error(data.error || `HTTP ${res.status}`);
     } catch (err) {
-        const latency = Date.now() - startTime;
-        updateThoughtCard(member, 'error', `Connection error: ${err.message}`, { latency });
-        log('error', `${member} failed: ${err.message}`);
+        log('error', 'Cancel failed: ' + err.message);
     }
+    loadInflight();
+}
+
+function cancelMember(member) {
+    const requestId = appState.requests[member];
+    if (!requestId) return;
+    log('info', `Cancelling ${member}...`);
+    cancelRequest(requestId);
+}
+
+function cancelAll() {
+    const pending = Object.values(appState.requests);
+    if (pending.length === 0) {
+        log('info', 'Nothing to cancel');
+        return;
+    }
+    log('info', `Cancelling ${pending.length} request(s)...`);
+    pending.forEach(cancelRequest);
+}
+
+async function loadInflight() {
+    const list = document.getElementById('inflight-list');
+    if (!list) return;
+
+    try {
+        const res = await apiFetch(`${API_BASE}/council/inflight`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        list.innerHTML = data.requests.length === 0
+            ? '<p>Nothing running</p>'
+            : `<table class="usage-table">
+                <tr><th>Kind</th><th>Members</th><th>Query</th><th>Elapsed</th><th></th></tr>
+                ${data.requests.map(r => `<tr>
+                    <td>${escapeHtml(r.kind)}</td><td>${escapeHtml(r.members.join(', '))}</td>
+                    <td>${escapeHtml(r.query)}</td><td>${(r.elapsed / 1000).toFixed(1)}s</td>
+                    <td>${r.status === 'cancelling'
+                        ? '<em>cancelling</em>'
+                        : `<button class="btn secondary" onclick="cancelRequest('${escapeHtml(r.id)}')">✖</button>`}</td>
+                </tr>`).join('')}
+            </table>`;
+    } catch (err) {
+        log('error', 'Failed to load in-flight requests: ' + err.message);
+    }
+}
+
+// Refresh the in-flight list every second while this page has requests running
+function watchInflight() {
+    if (appState.inflightTimer) return;
+    const tick = async () => {
+        await loadInflight();
+        appState.inflightTimer = Object.keys(appState.requests).length > 0 ? setTimeout(tick, 1000) : null;
+    };
+    appState.inflightTimer = setTimeout(tick, 300);
+}
+
+function showVerdict(status, verdict, meta = {}) {
+    const card = document.getElementById('verdict-card');
+    if (!card) return;
+    card.classList.add('visible');
+
+    const statusEl = document.getElementById('status-verdict');
+    statusEl.className = `thought-status ${status}`;
+    statusEl.textContent = status === 'thinking' ? 'Deliberating...' :
+                           status === 'done' ? 'Done' : 'Error';
+
+    document.getElementById('verdict-text').textContent = verdict.verdict;
+
+    const renderList = (id, items, separator) => {
+        const list = document.getElementById(id);
+        list.innerHTML = '';
+        items.forEach(item => {
+            const li = document.createElement('li');
+            const who = document.createElement('span');
+            who.className = 'verdict-members';
+            who.textContent = `[${item.members.join(separator)}]`;
+            li.appendChild(who);
+            li.appendChild(document.createTextNode(item.point));
+            list.appendChild(li);
+        });
+        if (items.length === 0) list.innerHTML = '<li>-</li>';
+    };
+    renderList('verdict-agreements', verdict.agreements || [], ', ');
+    renderList('verdict-disagreements', verdict.disagreements || [], ' vs ');
+
+    document.getElementById('verdict-synthesizer').textContent = meta.synthesizer || '-';
+    document.getElementById('verdict-tokens').textContent = meta.tokens !== undefined ? meta.tokens : '-';
+    document.getElementById('verdict-latency').textContent = meta.latency !== undefined ? `${meta.latency}ms` : '-';
+
+    applyComplexityLevel();
 }
 
 function updateThoughtCard(member, status, content, meta = {}) {
@@ -190,9 +892,10 @@ function updateThoughtCard(member, status, content, meta = {}) {
                                status === 'error' ? 'Error' : 'Ready';
     }
 
-    // Update content
+    // Update content (null keeps streamed text already in place)
     const contentEl = document.getElementById(`content-${memberLower}`);
-    if (contentEl) {
+    if (contentEl && content !== null) {
+        contentEl.classList.remove('streamed');
         contentEl.innerHTML = content;
     }
 
@@ -207,7 +910,19 @@ function updateThoughtCard(member, status, content, meta = {}) {
     }
     if (meta.confidence !== undefined) {
         const confEl = document.getElementById(`confidence-${memberLower}`);
-        if (confEl) confEl.textContent = `${Math.round(meta.confidence * 100)}%`;
+        if (confEl) confEl.textContent = formatConfidence(meta.confidence, meta.confidenceMethod);
+    }
+    if (meta.path !== undefined) {
+        const pathEl = document.getElementById(`path-${memberLower}`);
+        if (pathEl) pathEl.textContent = formatPath(meta.path);
+    }
+    if (meta.tools !== undefined) {
+        const toolsEl = document.getElementById(`tools-${memberLower}`);
+        if (toolsEl) toolsEl.textContent = formatTools(meta.tools);
+    }
+    if (meta.citations !== undefined) {
+        const sourcesEl = document.getElementById(`sources-${memberLower}`);
+        if (sourcesEl) sourcesEl.textContent = formatCitations(meta.citations);
     }
 
     // Update card border
@@ -218,12 +933,49 @@ function updateThoughtCard(member, status, content, meta = {}) {
     }
 
     // Store in state
-    appState.councilThoughts[member] = { status, content, ...meta };
+    appState.councilThoughts[member] = { ...appState.councilThoughts[member], status, ...meta };
+    if (content !== null) appState.councilThoughts[member].content = content;
 
     // Apply complexity level styling
     applyComplexityLevel();
 }
 
+// Fallback path taken, e.g. "openrouter/kimi-k2 ✗ → MONK openai/gpt-4o-mini ✓"
+// "82% (logprobs)"; unscored answers (demo, method "none") show "-"
+const CONFIDENCE_LABELS = { logprobs: 'logprobs', self_consistency: 'agreement', self_rating: 'self-rated' };
+
+function formatConfidence(confidence, method) {
+    if (confidence === null || confidence === undefined) return '-';
+    const label = CONFIDENCE_LABELS[method];
+    return `${Math.round(confidence * 100)}%${label ? ` (${label})` : ''}`;
+}
+
+// "detect_loops(src) ✓ → read_file(lib/a.js) ✗"
+function formatTools(calls) {
+    if (!calls || calls.length === 0) return '-';
+    const marks = { true: '✓', false: '✗' };
+    return calls.map(call => {
+        const target = call.arguments && (call.arguments.path || call.arguments.query || call.arguments.status);
+        return `${call.tool}${target ? `(${target})` : ''} ${marks[call.ok]}`;
+    }).join(' → ');
+}
+
+// "lib/nemo-routing.js:1-40, scripts/detect-loops.js:33-72"
+function formatCitations(citations) {
+    if (!citations || citations.length === 0) return '-';
+    return citations.map(c => `${c.file}:${c.startLine}-${c.endLine}`).join(', ');
+}
+
+function formatPath(path) {
+    if (!path || path.length === 0) return '-';
+    const marks = { ok: '✓', error: '✗', skipped: '⊘' };
+    return path.map(step => {
+        if (step.step === 'demo') return `demo ${marks[step.outcome]}`;
+        if (step.step === 'cache') return `cache (${step.model}) ${marks[step.outcome]}`;
+        return `${step.member ? step.member + ' ' : ''}${step.provider}/${step.model} ${marks[step.outcome]}`;
+    }).join(' → ');
+}
+
 function updateHeaderStatus(member, status) {
     const el = document.getElementById(`${member.toLowerCase()}-status`);
     if (el) {
@@ -232,6 +984,114 @@ function updateHeaderStatus(member, status) {
     }
 }
 
+// ============ CONVERSATIONS ============
+
+async function loadConversations() {
+    try {
+        const res = await apiFetch(`${API_BASE}/conversations`);
+        const data = await res.json();
+        if (res.ok) renderConversationList(data.conversations);
+    } catch (err) {
+        log('error', `Failed to load conversations: ${err.message}`);
+    }
+}
+
+function renderConversationList(conversations) {
+    const listEl = document.getElementById('conversation-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+    if (conversations.length === 0) {
+        listEl.innerHTML = '<li class="conversation-empty">No conversations yet</li>';
+        return;
+    }
+
+    conversations.forEach(conversation => {
+        const item = document.createElement('li');
+        item.classList.toggle('active', conversation.id === appState.conversationId);
+        item.title = `${conversation.turns} turn(s) - ${new Date(conversation.updated).toLocaleString()}`;
+        item.onclick = () => openConversation(conversation.id);
+
+        const title = document.createElement('span');
+        title.className = 'conversation-title';
+        title.textContent = conversation.title;
+
+        const remove = document.createElement('button');
+        remove.className = 'conversation-delete';
+        remove.textContent = '✕';
+        remove.onclick = (event) => {
+            event.stopPropagation();
+            deleteConversation(conversation.id);
+        };
+
+        item.append(title, remove);
+        listEl.appendChild(item);
+    });
+}
+
+// Start a thread on the first question so follow-ups carry context
+async function ensureConversation() {
+    if (appState.conversationId) return;
+    try {
+        const res = await apiFetch(`${API_BASE}/conversations`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        const data = await res.json();
+        if (res.ok) appState.conversationId = data.id;
+    } catch (err) {
+        log('warning', `Conversation not saved: ${err.message}`);
+    }
+}
+
+async function newConversation() {
+    appState.conversationId = null;
+    Object.keys(appState.councilThoughts).forEach(member => {
+        updateThoughtCard(member, 'ready', '<em style="color: #666;">New conversation</em>', { tokens: 0, latency: 0, confidence: null });
+    });
+    await loadConversations();
+    log('info', 'Started a new conversation');
+}
+
+// Resume a thread: show each member's last answer and continue from there
+async function openConversation(id) {
+    try {
+        const res = await apiFetch(`${API_BASE}/conversations/${id}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        appState.conversationId = data.id;
+        Object.keys(appState.councilThoughts).forEach(member => {
+            const lastAnswer = (data.members[member] || []).filter(m => m.role === 'assistant').pop();
+            if (lastAnswer) {
+                updateThoughtCard(member, 'done', null, {});
+                setThoughtText(member, lastAnswer.content);
+                appState.councilThoughts[member].content = lastAnswer.content;
+            } else {
+                updateThoughtCard(member, 'ready', '<em style="color: #666;">Not asked in this conversation</em>', {});
+            }
+        });
+
+        await loadConversations();
+        log('info', `Resumed conversation "${data.title}"`);
+    } catch (err) {
+        log('error', `Failed to open conversation: ${err.message}`);
+    }
+}
+
+async function deleteConversation(id) {
+    try {
+        const res = await apiFetch(`${API_BASE}/conversations/${id}`, { method: 'DELETE' });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        if (appState.conversationId === id) appState.conversationId = null;
+        await loadConversations();
+        log('info', 'Conversation deleted');
+    } catch (err) {
+        log('error', `Failed to delete conversation: ${err.message}`);
+    }
+}
+
 // ============ PANEL NAVIGATION ============
 
 function showPanel(panelId) {
@@ -253,6 +1113,11 @@ function showPanel(panelId) {
         }
     });
 
+    if (panelId === 'usage') loadUsage();
+    if (panelId === 'batch') loadBatches();
+    if (panelId === 'reports') loadLoopJobs();
+    if (panelId === 'jobs') loadJobs();
+
     log('info', `Switched to ${panelId} panel`);
 }
 
@@ -260,7 +1125,7 @@ function showPanel(panelId) {
 
 async function loadSystemInfo() {
     try {
-        const res = await fetch(`${API_BASE}/system-info`);
+        const res = await apiFetch(`${API_BASE}/system-info`);
         const data = await res.json();
 
         document.getElementById('tier-display').textContent = data.tier.toUpperCase();
@@ -284,7 +1149,7 @@ async function loadSystemInfo() {
 
 async function loadCouncilStatus() {
     try {
-        const res = await fetch(`${API_BASE}/council-keys`);
+        const res = await apiFetch(`${API_BASE}/council-keys`);
         const data = await res.json();
 
         if (data.error) {
@@ -292,32 +1157,35 @@ async function loadCouncilStatus() {
             return;
         }
 
-        const keys = ['GHOST', 'ARCHITECT', 'MONK', 'SHADOW', 'OBSERVER'];
+        const total = appState.members.length;
         let activeCount = 0;
 
-        keys.forEach(key => {
-            const apiKey = data[key + '_API_KEY'];
-            const isActive = apiKey && !apiKey.includes('your_') && apiKey.length > 10;
+        // The backend only reports where each key comes from and a masked fingerprint
+        appState.members.forEach(({ key }) => {
+            const status = data.members[key];
+            const isActive = !!(status && status.configured);
             appState.councilStatus[key] = isActive;
             if (isActive) activeCount++;
+
+            const el = document.getElementById(`${key.toLowerCase()}-status`);
+            if (el && isActive) el.title = `${status.keyName} (${status.source}): ${status.masked} #${status.fingerprint}`;
         });
 
-        document.getElementById('keys-active').textContent = `${activeCount}/5`;
+        document.getElementById('keys-active').textContent = `${activeCount}/${total}`;
         updateCouncilDisplay();
 
-        log('success', `Council keys loaded: ${activeCount}/5 active`);
+        log('success', `Council keys loaded: ${activeCount}/${total} active (${data.storage} storage)`);
+        data.warnings.forEach(warning => log('warning', warning));
     } catch (err) {
         log('warning', 'Could not load council keys - running in demo mode');
     }
 }
 
 function updateCouncilDisplay() {
-    const keys = ['ghost', 'architect', 'monk', 'shadow', 'observer'];
-
-    keys.forEach(key => {
-        const el = document.getElementById(`${key}-status`);
+    memberKeys().forEach(key => {
+        const el = document.getElementById(`${key.toLowerCase()}-status`);
         if (el) {
-            const isActive = appState.councilStatus[key.toUpperCase()];
+            const isActive = appState.councilStatus[key];
             el.classList.remove('active', 'inactive');
             el.classList.add(isActive ? 'active' : 'inactive');
         }
@@ -328,19 +1196,21 @@ async function activateKey(key) {
     log('info', `Activating ${key}...`);
 
     try {
-        const res = await fetch(`${API_BASE}/council/activate`, {
+        const res = await apiFetch(`${API_BASE}/council/activate`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ key })
         });
         const data = await res.json();
+        if (data.health) showMemberHealth(key, data.health);
 
         if (data.active) {
             appState.councilStatus[key] = true;
             updateCouncilDisplay();
             log('success', `${key} activated successfully`);
         } else {
-            log('error', `${key} activation failed - check API key`);
+            const reason = data.health ? data.health.status.replace(/_/g, ' ') : 'check API key';
+            log('error', `${key} activation failed - ${reason}`);
         }
     } catch (err) {
         log('error', `Failed to activate ${key}: ${err.message}`);
@@ -351,19 +1221,33 @@ async function testKey(key) {
     log('info', `Testing ${key}...`);
 
     try {
-        const res = await fetch(`${API_BASE}/council/test`, {
+        const res = await apiFetch(`${API_BASE}/council/test`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ key })
+            body: JSON.stringify({ key, refresh: true })
         });
         const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
 
-        log('success', `${key} test: ${data.result}`);
+        const healthy = data.health.status === 'ok';
+        log(healthy ? 'success' : 'warning', `${key} test: ${data.result}`);
+        showMemberHealth(key, data.health);
     } catch (err) {
         log('error', `${key} test failed: ${err.message}`);
     }
 }
 
+// Probe result on the member's council card: status, latency and the model that answered
+function showMemberHealth(key, health) {
+    const el = document.getElementById(`health-${key.toLowerCase()}`);
+    if (!el) return;
+
+    const latency = health.latency !== null ? ` · ${health.latency}ms` : '';
+    el.className = `member-health ${health.status === 'ok' ? 'ok' : 'failed'}`;
+    el.textContent = `${health.status.replace(/_/g, ' ')}${latency}`;
+    el.title = health.error || `${health.provider}/${health.model}`;
+}
+
 // ============ SPECTRUM ANALYZER ============
 
 let spectrumCanvas, spectrumCtx;
@@ -461,18 +1345,9 @@ async function startScan() {
     log('info', 'Starting RF spectrum scan...');
 
     try {
-        await fetch(`${API_BASE}/spectrum/start`, { method: 'POST' });
+        // Frames arrive on the spectrum topic (see onSpectrumEvent)
+        await apiFetch(`${API_BASE}/spectrum/start`, { method: 'POST' });
         appState.scanning = true;
-
-        // Poll for spectrum data
-        appState.spectrumInterval = setInterval(async () => {
-            const res = await fetch(`${API_BASE}/spectrum/data`);
-            const data = await res.json();
-            if (data.length) {
-                drawSpectrumData(data);
-            }
-        }, 100);
-
         log('success', 'Spectrum scan started');
     } catch (err) {
         log('error', 'Failed to start scan: ' + err.message);
@@ -483,14 +1358,8 @@ async function stopScan() {
     if (!appState.scanning) return;
 
     try {
-        await fetch(`${API_BASE}/spectrum/stop`, { method: 'POST' });
+        await apiFetch(`${API_BASE}/spectrum/stop`, { method: 'POST' });
         appState.scanning = false;
-
-        if (appState.spectrumInterval) {
-            clearInterval(appState.spectrumInterval);
-            appState.spectrumInterval = null;
-        }
-
         log('info', 'Spectrum scan stopped');
     } catch (err) {
         log('error', 'Failed to stop scan: ' + err.message);
@@ -499,7 +1368,7 @@ async function stopScan() {
 
 async function setFrequency(freq) {
     try {
-        await fetch(`${API_BASE}/spectrum/frequency`, {
+        await apiFetch(`${API_BASE}/spectrum/frequency`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ frequency: freq })
@@ -545,64 +1414,157 @@ function loadProjects(event) {
     document.getElementById('projects-analyzed').textContent = dirs.size;
 }
 
+// Analyze the whole workspace
 async function runAnalysis() {
-    analyzeAll();
+    appState.analysisJobs = [];
+    document.getElementById('analysis-results').innerHTML = '';
+    await startAnalysis('.');
 }
 
+// Analyze every selected project (directories of the workspace with the same name)
 async function analyzeAll() {
     if (appState.projects.length === 0) {
         log('warning', 'No projects selected - click "Select Projects" first');
         return;
     }
 
-    appState.analyzing = true;
-    const progressEl = document.getElementById('analysis-progress');
-    const statusEl = document.getElementById('analysis-status');
-    const resultsEl = document.getElementById('analysis-results');
-
-    resultsEl.innerHTML = '';
-
-    for (let i = 0; i < appState.projects.length; i++) {
-        const project = appState.projects[i];
-        const progress = ((i + 1) / appState.projects.length) * 100;
-
-        progressEl.style.width = progress + '%';
-        statusEl.textContent = `Analyzing ${project}... (${i + 1}/${appState.projects.length})`;
-
-        resultsEl.innerHTML += `\n[${new Date().toLocaleTimeString()}] Analyzing: ${project}\n`;
-        resultsEl.innerHTML += `  - Scanning file structure...\n`;
-        resultsEl.innerHTML += `  - Detecting patterns...\n`;
-        resultsEl.innerHTML += `  - Analysis complete\n`;
-
-        // Simulate analysis time
-        await new Promise(r => setTimeout(r, 500));
+    appState.analysisJobs = [];
+    document.getElementById('analysis-results').innerHTML = '';
+    for (const project of appState.projects) {
+        await startAnalysis(project);
     }
+}
 
-    statusEl.textContent = 'Analysis complete!';
-    appState.analyzing = false;
+async function startAnalysis(target) {
+    try {
+        const job = await submitJob(`${API_BASE}/analysis`, { target });
+        appState.analysisJobs.push(job.id);
+        appState.analyzing = true;
+        log('info', `Analysis queued for ${target}`);
+        watchJob(job.id, done => {
+            if (done.status === 'completed') log('success', `Analyzed ${done.result.path}: ${done.result.files} files`);
+            else log('warning', `Analysis of ${target} ${done.status}${done.error ? ': ' + done.error : ''}`);
+            renderAnalysisJobs();
+        });
+        renderAnalysisJobs();
+    } catch (err) {
+        log('error', `Analysis of ${target} failed: ` + err.message);
+    }
+}
 
-    log('success', `Analyzed ${appState.projects.length} projects`);
+// Progress and results of the analysis jobs started from this panel
+function renderAnalysisJobs() {
+    const tracked = appState.analysisJobs
+        .map(id => appState.jobs.find(job => job.id === id) || appState.jobCache[id])
+        .filter(Boolean);
+    if (tracked.length === 0) return;
+
+    const finished = tracked.filter(job => !['queued', 'running'].includes(job.status));
+    const percent = tracked.reduce((sum, job) => sum + job.progress.percent, 0) / tracked.length;
+    appState.analyzing = finished.length < tracked.length;
+    document.getElementById('analysis-progress').style.width = percent + '%';
+    document.getElementById('analysis-status').textContent = appState.analyzing
+        ? `Analyzing... (${finished.length}/${tracked.length} done)`
+        : 'Analysis complete!';
+    document.getElementById('analysis-results').innerHTML = tracked.map(job => {
+        const target = escapeHtml(job.params.target);
+        if (job.status !== 'completed') {
+            return `<p>${target}: ${escapeHtml(job.status)}${job.progress.message ? ` (${escapeHtml(job.progress.message)})` : ''}${job.error ? ` - ${escapeHtml(job.error)}` : ''}</p>`;
+        }
+        const r = job.result;
+        return `<p>${target}: ${r.files} files · ${r.dependencies} dependencies · ${r.bugs} potential bugs · ${r.security} security issues · ${r.documentation}% documented
+            <a class="btn secondary" href="${API_BASE}/jobs/${job.id}/artifacts/analysis-report.md" target="_blank">📄 Report</a></p>`;
+    }).join('');
+    document.getElementById('projects-analyzed').textContent = tracked.filter(job => job.status === 'completed').length;
 }
 
 // ============ LOOP DETECTION ============
 
-async function runLoopDetection() {
+async function runLoopDetection(target = '.') {
     log('info', 'Running loop detection...');
 
     try {
-        const res = await fetch(`${API_BASE}/loops/detect`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ target: '.' })
+        const job = await submitJob(`${API_BASE}/loops/detect`, { target });
+        log('info', `Loop detection queued for ${target}`);
+        watchJob(job.id, done => {
+            if (done.status === 'completed') {
+                log('success', `Loop detection: ${done.result.counts.total} potential loops in ${done.result.path}`);
+            } else {
+                log('warning', `Loop detection ${done.status}${done.error ? ': ' + done.error : ''}`);
+            }
+            if (document.getElementById('reports').classList.contains('active')) loadLoopJobs();
         });
+    } catch (err) {
+        log('error', 'Loop detection failed: ' + err.message);
+    }
+}
+
+function openLoopReport(id) {
+    showPanel('reports');
+    showLoopReport(id);
+}
+
+async function loadLoopJobs() {
+    try {
+        const res = await apiFetch(`${API_BASE}/jobs?type=loops`);
         const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        document.getElementById('loop-jobs').innerHTML = data.jobs.length === 0
+            ? '<p>No loop scans yet</p>'
+            : `<table class="usage-table">
+                <tr><th>Created</th><th>Target</th><th>Status</th><th>Progress</th><th>Findings</th><th></th></tr>
+                ${data.jobs.map(job => `<tr>
+                    <td>${new Date(job.createdAt).toLocaleString()}</td><td>${escapeHtml(job.params.target)}</td>
+                    <td>${escapeHtml(job.status)}</td><td>${job.progress.percent}%</td>
+                    <td>${job.result ? `${job.result.counts.total} (${job.result.counts.critical} critical)` : '-'}</td>
+                    <td><button class="btn secondary" onclick="showLoopReport('${job.id}')">View</button></td>
+                </tr>`).join('')}
+            </table>`;
+    } catch (err) {
+        log('error', 'Failed to load loop scans: ' + err.message);
+    }
+}
+
+// Every finding of one scan (its findings.json artifact), grouped by severity
+async function showLoopReport(id) {
+    appState.loopJobId = id;
 
-        log('success', `Loop detection: ${data.message}`);
+    try {
+        const res = await apiFetch(`${API_BASE}/jobs/${id}`);
+        const job = await res.json();
+        if (!res.ok) throw new Error(job.error || `HTTP ${res.status}`);
+
+        let findings = [];
+        if (job.artifacts.some(artifact => artifact.name === 'findings.json')) {
+            const artifactRes = await apiFetch(`${API_BASE}/jobs/${id}/artifacts/findings.json`);
+            findings = await artifactRes.json();
+            if (!artifactRes.ok) throw new Error(findings.error || `HTTP ${artifactRes.status}`);
+        }
 
-        const tasksEl = document.getElementById('active-tasks');
-        tasksEl.innerHTML = `<p>Loop Detection: ${data.loops} potential loops found</p>`;
+        const groups = ['critical', 'high', 'medium', 'low'].map(severity => {
+            const matching = findings.filter(f => f.severity === severity);
+            if (matching.length === 0) return '';
+            return `<h4>${severity} (${matching.length})</h4>
+                <table class="usage-table">
+                    <tr><th>Location</th><th>Issue</th><th>Code</th><th>Suggestion</th></tr>
+                    ${matching.map(f => `<tr>
+                        <td>${escapeHtml(f.file)}:${f.line}</td>
+                        <td>${escapeHtml(f.description)}<br><em style="color: #666;">${escapeHtml(f.type)}</em></td>
+                        <td><code>${escapeHtml(f.code || '')}</code></td>
+                        <td>${escapeHtml(f.suggestion || '')}</td>
+                    </tr>`).join('')}
+                </table>`;
+        }).join('');
+
+        document.getElementById('loop-report').innerHTML = `
+            <p>${escapeHtml(job.params.target)} · ${escapeHtml(job.status)} · ${escapeHtml(job.progress.message || '')} · ${findings.length} findings</p>
+            <div class="progress-bar"><div class="progress-fill" style="width: ${job.progress.percent}%"></div></div>
+            <div style="margin: 10px 0;">${jobActions(job)}</div>
+            ${job.error ? `<p style="color: #f66;">${escapeHtml(job.error)}</p>` : ''}
+            ${groups || (job.status === 'completed' ? '<p>No infinite loop patterns detected</p>' : '')}`;
     } catch (err) {
-        log('error', 'Loop detection failed: ' + err.message);
+        log('error', 'Failed to load loop report: ' + err.message);
     }
 }
 
@@ -612,7 +1574,7 @@ async function scanDeletedConfigs() {
     log('info', 'Scanning for deleted configs...');
 
     try {
-        const res = await fetch(`${API_BASE}/config/scan-deleted`);
+        const res = await apiFetch(`${API_BASE}/config/scan-deleted`);
         const data = await res.json();
 
         log('success', `Found ${data.count} recoverable configs`);
@@ -630,10 +1592,11 @@ async function reindexConfigs() {
     log('info', 'Re-indexing all configs...');
 
     try {
-        const res = await fetch(`${API_BASE}/config/reindex`, { method: 'POST' });
-        const data = await res.json();
-
-        log('success', data.message);
+        const job = await submitJob(`${API_BASE}/config/reindex`, {});
+        watchJob(job.id, done => {
+            if (done.status === 'completed') log('success', done.result.message);
+            else log('warning', `Re-index ${done.status}${done.error ? ': ' + done.error : ''}`);
+        });
     } catch (err) {
         log('error', 'Re-index failed: ' + err.message);
     }
@@ -645,7 +1608,7 @@ async function cleanBrokenConfigs() {
     log('info', 'Cleaning broken configs...');
 
     try {
-        const res = await fetch(`${API_BASE}/config/clean`, { method: 'POST' });
+        const res = await apiFetch(`${API_BASE}/config/clean`, { method: 'POST' });
         const data = await res.json();
 
         log('success', data.message);
@@ -688,13 +1651,375 @@ function validateConfig() {
     }
 }
 
+// ============ USAGE & BUDGETS ============
+
+function formatCost(cost) {
+    return `$${(cost || 0).toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+function renderUsageTable(rows, label) {
+    const entries = Object.entries(rows);
+    if (entries.length === 0) return '<p>No usage recorded</p>';
+    return `<table class="usage-table">
+        <tr><th>${label}</th><th>Calls</th><th>Tokens</th><th>Cost</th></tr>
+        ${entries.map(([name, t]) => `<tr>
+            <td>${escapeHtml(name)}</td><td>${t.calls}</td>
+            <td>${t.totalTokens.toLocaleString()}</td><td>${formatCost(t.cost)}</td>
+        </tr>`).join('')}
+    </table>`;
+}
+
+function renderBudgets(budgets) {
+    if (budgets.length === 0) return '<p>No budgets configured (see council-budgets.json)</p>';
+    return budgets.map(b => {
+        const percent = Math.min(b.used / b.limit * 100, 100);
+        const used = b.field === 'dailyCost' ? formatCost(b.used) : b.used.toLocaleString();
+        const limit = b.field === 'dailyCost' ? formatCost(b.limit) : b.limit.toLocaleString();
+        return `<div class="budget-row">
+            ${escapeHtml(b.scope)} · ${b.field === 'dailyCost' ? 'cost' : 'tokens'}: ${used} / ${limit}
+            <div class="progress-bar"><div class="progress-fill ${percent >= 100 ? 'exceeded' : ''}" style="width: ${percent}%"></div></div>
+        </div>`;
+    }).join('');
+}
+
+async function loadUsage() {
+    try {
+        const res = await apiFetch(`${API_BASE}/usage?days=30`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        document.getElementById('usage-tokens-today').textContent = data.today.totalTokens.toLocaleString();
+        document.getElementById('usage-cost-today').textContent = formatCost(data.today.cost);
+        document.getElementById('usage-cost-total').textContent = formatCost(data.totals.cost);
+        document.getElementById('usage-budgets').innerHTML = renderBudgets(data.budgets);
+        document.getElementById('usage-by-member').innerHTML = renderUsageTable(data.byMember, 'Member');
+        document.getElementById('usage-by-model').innerHTML = renderUsageTable(data.byModel, 'Model');
+        document.getElementById('usage-by-prompt').innerHTML = renderUsageTable(data.byPrompt, 'Prompt');
+
+        const byDay = {};
+        Object.keys(data.byDay).sort().reverse().forEach(day => { byDay[day] = data.byDay[day]; });
+        document.getElementById('usage-by-day').innerHTML = renderUsageTable(byDay, 'Day');
+    } catch (err) {
+        log('error', 'Failed to load usage: ' + err.message);
+    }
+}
+
+// ============ BATCH JOBS ============
+
+async function startBatch() {
+    const queries = document.getElementById('batch-queries').value
+        .split('\n').map(q => q.trim()).filter(Boolean);
+    if (queries.length === 0) {
+        log('warning', 'Enter at least one question');
+        return;
+    }
+
+    try {
+        const res = await apiFetch(`${API_BASE}/council/batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ queries, complexity: appState.complexityLevel, retrieval: appState.retrievalEnabled })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        log('success', `Batch started: ${data.progress.total} answers, ${data.concurrency} at a time`);
+        appState.batchId = data.id;
+        loadBatches();
+        refreshJobs();
+    } catch (err) {
+        log('error', 'Failed to start batch: ' + err.message);
+    }
+}
+
+async function loadBatches() {
+    try {
+        const res = await apiFetch(`${API_BASE}/council/batch`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        document.getElementById('batch-list').innerHTML = data.batches.length === 0
+            ? '<p>No batch jobs yet</p>'
+            : `<table class="usage-table">
+                <tr><th>Created</th><th>Status</th><th>Queries</th><th>Progress</th><th>Cost</th><th></th></tr>
+                ${data.batches.map(b => `<tr>
+                    <td>${new Date(b.createdAt).toLocaleString()}</td><td>${escapeHtml(b.status)}</td>
+                    <td>${b.queries}</td><td>${b.progress.percent}%</td><td>${formatCost(b.totals.cost)}</td>
+                    <td><button class="btn secondary" onclick="showBatch('${b.id}')">View</button></td>
+                </tr>`).join('')}
+            </table>`;
+
+        if (appState.batchId) showBatch(appState.batchId);
+    } catch (err) {
+        log('error', 'Failed to load batches: ' + err.message);
+    }
+}
+
+// Shows the result matrix; job events refresh it while the batch runs (see onJobEvent)
+async function showBatch(id) {
+    appState.batchId = id;
+
+    try {
+        const res = await apiFetch(`${API_BASE}/council/batch/${id}`);
+        const job = await res.json();
+        if (!res.ok) throw new Error(job.error || `HTTP ${res.status}`);
+
+        const cell = answer => {
+            if (answer.status === 'done') return escapeHtml(answer.response).replace(/\n/g, '<br>');
+            if (answer.status === 'error') return `<em style="color: #f66;">${escapeHtml(answer.error)}</em>`;
+            return `<em style="color: #666;">${answer.status}</em>`;
+        };
+        const actions = [
+            ...['json', 'csv', 'md'].map(format =>
+                `<a class="btn secondary" href="${API_BASE}/council/batch/${id}/export?format=${format}">⬇️ ${format.toUpperCase()}</a>`),
+            ['queued', 'running'].includes(job.status) ? `<button class="btn" onclick="batchAction('${id}', 'cancel')">⏹️ Cancel</button>` : '',
+            ['interrupted', 'cancelled'].includes(job.status) ? `<button class="btn" onclick="batchAction('${id}', 'resume')">▶️ Resume</button>` : ''
+        ].join(' ');
+
+        document.getElementById('batch-results').innerHTML = `
+            <p>${escapeHtml(job.status)} · ${job.progress.done + job.progress.error}/${job.progress.total} answers · ${job.totals.tokens.toLocaleString()} tokens · ${formatCost(job.totals.cost)}</p>
+            <div class="progress-bar"><div class="progress-fill" style="width: ${job.progress.percent}%"></div></div>
+            <div style="margin: 10px 0;">${actions}</div>
+            <table class="usage-table">
+                <tr><th>Query</th>${job.members.map(key => `<th>${escapeHtml(key)}</th>`).join('')}</tr>
+                ${job.results.map(row => `<tr>
+                    <td>${escapeHtml(row.query)}</td>
+                    ${job.members.map(key => `<td>${cell(row.answers[key])}</td>`).join('')}
+                </tr>`).join('')}
+            </table>`;
+    } catch (err) {
+        log('error', 'Failed to load batch: ' + err.message);
+    }
+}
+
+async function batchAction(id, action) {
+    try {
+        const res = await apiFetch(`${API_BASE}/council/batch/${id}/${action}`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        log('info', `Batch ${action === 'cancel' ? 'cancelled' : 'resumed'}`);
+        loadBatches();
+        refreshJobs();
+    } catch (err) {
+        log('error', `Failed to ${action} batch: ` + err.message);
+    }
+}
+
+// ============ BACKGROUND JOBS ============
+
+// POST a job request; resolves to the queued job
+async function submitJob(url, body) {
+    const res = await apiFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const job = await res.json();
+    if (!res.ok) throw new Error(job.error || `HTTP ${res.status}`);
+    refreshJobs();
+    return job;
+}
+
+// Call onDone(job) once the job is no longer queued or running
+function watchJob(id, onDone) {
+    appState.jobWatchers[id] = onDone;
+    refreshJobs();
+}
+
+function jobLabel(job) {
+    if (job.type === 'batch') return `batch ${job.params.batchId.slice(0, 8)}`;
+    return job.params.target ? `${job.type} ${job.params.target}` : job.type;
+}
+
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    return ms < 1000 ? `${ms}ms` : ms < 60000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms / 60000)}m`;
+}
+
+// Cancel, retry and delete buttons for the job's state
+function jobActions(job) {
+    const active = ['queued', 'running'].includes(job.status);
+    return [
+        active ? `<button class="btn" onclick="jobAction('${job.id}', 'cancel')">⏹️ Cancel</button>` : '',
+        ['failed', 'cancelled', 'interrupted'].includes(job.status) ? `<button class="btn" onclick="jobAction('${job.id}', 'retry')">🔁 Retry</button>` : '',
+        active ? '' : `<button class="btn secondary" onclick="jobAction('${job.id}', 'delete')">🗑️ Delete</button>`
+    ].join(' ');
+}
+
+// Queued and running jobs for the dashboard, handing finished ones to their
+// watchers. Called on start and after job actions; job events keep it current in between.
+async function refreshJobs() {
+    try {
+        const res = await apiFetch(`${API_BASE}/jobs?status=active`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        appState.jobs = data.jobs;
+        renderActiveJobs();
+
+        for (const id of Object.keys(appState.jobWatchers)) {
+            if (data.jobs.some(job => job.id === id)) continue;
+            const doneRes = await apiFetch(`${API_BASE}/jobs/${id}`);
+            if (doneRes.ok) finishJob(await doneRes.json());
+        }
+
+        if (appState.analysisJobs.length > 0) renderAnalysisJobs();
+        if (document.getElementById('jobs').classList.contains('active')) loadJobs();
+    } catch (err) {
+        log('error', 'Failed to load jobs: ' + err.message);
+    }
+}
+
+function renderActiveJobs() {
+    document.getElementById('active-jobs').innerHTML = appState.jobs.length === 0
+        ? '<p>No active jobs</p>'
+        : appState.jobs.map(job => `<p>${escapeHtml(jobLabel(job))}: ${escapeHtml(job.status)}${job.progress.message ? ` · ${escapeHtml(job.progress.message)}` : ''}</p>
+            <div class="progress-bar"><div class="progress-fill" style="width: ${job.progress.percent}%"></div></div>`).join('');
+}
+
+// Remember a finished job and call the watcher waiting for it, once
+function finishJob(job) {
+    appState.jobCache[job.id] = job;
+    const onDone = appState.jobWatchers[job.id];
+    if (!onDone) return;
+    delete appState.jobWatchers[job.id];
+    onDone(job);
+}
+
+// Panels that only need the latest state refresh at most once a second while jobs report progress
+const refreshJobPanels = {
+    jobs: throttle(loadJobs, 1000),
+    job: throttle(showJob, 1000),
+    batch: throttle(showBatch, 1000),
+    loops: throttle(loadLoopJobs, 1000),
+    loopReport: throttle(showLoopReport, 1000)
+};
+
+// A job was queued, changed, reported progress or was deleted (on this or another browser)
+function onJobEvent(event) {
+    if (event.type === 'snapshot') {
+        appState.jobs = event.data.jobs;
+        renderActiveJobs();
+        return;
+    }
+
+    const job = event.data;
+    const active = event.type !== 'removed' && ['queued', 'running'].includes(job.status);
+    const index = appState.jobs.findIndex(other => other.id === job.id);
+    if (active && index >= 0) appState.jobs[index] = job;
+    else if (active) appState.jobs.unshift(job);
+    else if (index >= 0) appState.jobs.splice(index, 1);
+    renderActiveJobs();
+
+    if (!active && event.type !== 'removed') finishJob(job);
+    if (appState.analysisJobs.includes(job.id)) renderAnalysisJobs();
+
+    const visible = panel => document.getElementById(panel).classList.contains('active');
+    if (visible('jobs')) {
+        refreshJobPanels.jobs();
+        if (appState.jobId === job.id && event.type !== 'removed') refreshJobPanels.job(job.id);
+    }
+    if (job.type === 'batch' && job.params.batchId === appState.batchId && visible('batch')) {
+        refreshJobPanels.batch(appState.batchId);
+    }
+    if (job.type === 'loops' && visible('reports')) {
+        refreshJobPanels.loops();
+        if (appState.loopJobId === job.id && event.type !== 'removed') refreshJobPanels.loopReport(job.id);
+    }
+}
+
+// The job history in the Jobs panel, filtered by type and status
+async function loadJobs() {
+    const type = document.getElementById('job-type-filter').value;
+    const status = document.getElementById('job-status-filter').value;
+
+    try {
+        const res = await apiFetch(`${API_BASE}/jobs?limit=100${type ? `&type=${type}` : ''}${status ? `&status=${status}` : ''}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        document.getElementById('job-summary').textContent =
+            `${data.running} running · up to ${data.concurrency} at once (memory tier workers)`;
+        document.getElementById('job-list').innerHTML = data.jobs.length === 0
+            ? '<p>No jobs yet</p>'
+            : `<table class="usage-table">
+                <tr><th>Created</th><th>Job</th><th>Status</th><th>Progress</th><th>Attempts</th><th>Duration</th><th>By</th><th></th></tr>
+                ${data.jobs.map(job => `<tr>
+                    <td>${new Date(job.createdAt).toLocaleString()}</td><td>${escapeHtml(jobLabel(job))}</td>
+                    <td>${escapeHtml(job.status)}</td><td>${job.progress.percent}%</td><td>${job.attempts}</td>
+                    <td>${formatDuration(job.durationMs)}</td><td>${escapeHtml(job.createdBy || '-')}</td>
+                    <td><button class="btn secondary" onclick="showJob('${job.id}')">View</button></td>
+                </tr>`).join('')}
+            </table>`;
+
+        if (appState.jobId) showJob(appState.jobId);
+    } catch (err) {
+        log('error', 'Failed to load jobs: ' + err.message);
+    }
+}
+
+// Result, artifacts and log of one job
+async function showJob(id) {
+    appState.jobId = id;
+
+    try {
+        const res = await apiFetch(`${API_BASE}/jobs/${id}`);
+        const job = await res.json();
+        if (!res.ok) throw new Error(job.error || `HTTP ${res.status}`);
+
+        const artifacts = job.artifacts.map(artifact =>
+            `<a class="btn secondary" href="${API_BASE}/jobs/${id}/artifacts/${encodeURIComponent(artifact.name)}?download=1">⬇️ ${escapeHtml(artifact.name)}</a>`).join(' ');
+        const logs = job.logs.map(entry =>
+            `<div class="log-entry ${escapeHtml(entry.level)}">[${new Date(entry.at).toLocaleTimeString()}] ${escapeHtml(entry.message)}</div>`).join('');
+
+        document.getElementById('job-details').innerHTML = `
+            <p>${escapeHtml(jobLabel(job))} · ${escapeHtml(job.status)} · attempt ${job.attempts} · ${formatDuration(job.durationMs)}</p>
+            <div class="progress-bar"><div class="progress-fill" style="width: ${job.progress.percent}%"></div></div>
+            <div style="margin: 10px 0;">${jobActions(job)} ${artifacts}</div>
+            ${job.error ? `<p style="color: #f66;">${escapeHtml(job.error)}</p>` : ''}
+            ${job.result ? `<pre>${escapeHtml(JSON.stringify(job.result, null, 2))}</pre>` : ''}
+            <div class="log-container" style="height: 200px;">${logs}</div>`;
+    } catch (err) {
+        log('error', 'Failed to load job: ' + err.message);
+    }
+}
+
+async function jobAction(id, action) {
+    try {
+        const res = action === 'delete'
+            ? await apiFetch(`${API_BASE}/jobs/${id}`, { method: 'DELETE' })
+            : await apiFetch(`${API_BASE}/jobs/${id}/${action}`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        log('info', `Job ${{ cancel: 'cancelled', retry: 'queued again', delete: 'deleted' }[action]}`);
+
+        if (action === 'delete') {
+            if (appState.jobId === id) {
+                appState.jobId = null;
+                document.getElementById('job-details').innerHTML = '<p>Select a job to see its log and artifacts</p>';
+            }
+            if (appState.loopJobId === id) {
+                appState.loopJobId = null;
+                document.getElementById('loop-report').innerHTML = '<p>Select a scan to see its findings</p>';
+            }
+        }
+        await refreshJobs();
+        if (document.getElementById('reports').classList.contains('active')) {
+            loadLoopJobs();
+            if (appState.loopJobId === id) showLoopReport(id);
+        }
+        if (appState.jobId === id) showJob(id);
+    } catch (err) {
+        log('error', `Failed to ${action} job: ` + err.message);
+    }
+}
+
 // ============ REPORTS ============
 
 async function exportReport(format) {
     log('info', `Exporting report as ${format.toUpperCase()}...`);
 
     try {
-        const res = await fetch(`${API_BASE}/reports/export?format=${format}`);
+        const res = await apiFetch(`${API_BASE}/reports/export?format=${format}`);
 
         if (format === 'json') {
             const data = await res.json();
@@ -787,6 +2112,12 @@ window.loadProjects = loadProjects;
 window.analyzeAll = analyzeAll;
 window.runAnalysis = runAnalysis;
 window.runLoopDetection = runLoopDetection;
+window.openLoopReport = openLoopReport;
+window.loadLoopJobs = loadLoopJobs;
+window.showLoopReport = showLoopReport;
+window.loadJobs = loadJobs;
+window.showJob = showJob;
+window.jobAction = jobAction;
 window.scanDeletedConfigs = scanDeletedConfigs;
 window.reindexConfigs = reindexConfigs;
 window.cleanBrokenConfigs = cleanBrokenConfigs;
@@ -794,6 +2125,14 @@ window.recoverConfig = recoverConfig;
 window.loadConfig = loadConfig;
 window.saveConfig = saveConfig;
 window.validateConfig = validateConfig;
+window.loadUsage = loadUsage;
+window.cancelMember = cancelMember;
+window.cancelAll = cancelAll;
+window.cancelRequest = cancelRequest;
+window.startBatch = startBatch;
+window.loadBatches = loadBatches;
+window.showBatch = showBatch;
+window.batchAction = batchAction;
 window.exportReport = exportReport;
 window.emailReport = emailReport;
 window.clearLogs = clearLogs;
@@ -802,7 +2141,11 @@ window.refreshLogs = refreshLogs;
 
 // NEW: Council query functions
 window.setComplexity = setComplexity;
+window.toggleTools = toggleTools;
+window.toggleRetrieval = toggleRetrieval;
 window.queryCouncil = queryCouncil;
 window.queryMember = queryMember;
+window.deliberateCouncil = deliberateCouncil;
+window.newConversation = newConversation;
 
 console.log('NEMO GUI v3.1 loaded - Thought Display Ready');
@@ -1,24 +1,68 @@
 /**
  * Council Panel Component
- * Manages 5-Key Council visualization and control
+ * Manages Council visualization and control for every registered member
  */
 
 class CouncilPanel {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
-        this.council = {
-            GHOST: { name: 'THE GHOST', active: false, color: '#00ffff', icon: '👻' },
-            ARCHITECT: { name: 'THE ARCHITECT', active: false, color: '#ff00ff', icon: '🏛️' },
-            MONK: { name: 'THE MONK', active: false, color: '#ffff00', icon: '🧘' },
-            SHADOW: { name: 'THE SHADOW', active: false, color: '#ff6600', icon: '🌑' },
-            OBSERVER: { name: 'THE OBSERVER', active: false, color: '#00ff00', icon: '👁️' }
-        };
+        this.council = {};
+        this.events = null;
         this.init();
     }
 
-    init() {
+    async init() {
+        await this.loadMembers();
+        await this.loadHealth();
         this.render();
         this.attachEventListeners();
+        this.subscribe();
+    }
+
+    // Members come from the council registry (GET /api/council/members)
+    async loadMembers() {
+        try {
+            const response = await fetch('/api/council/members');
+            const data = await response.json();
+            this.council = {};
+            data.members.forEach(member => {
+                this.council[member.key] = {
+                    name: member.name,
+                    active: !!member.active,
+                    color: member.color,
+                    icon: member.icon,
+                    health: null
+                };
+            });
+        } catch (err) {
+            console.error('Failed to load council members:', err);
+        }
+    }
+
+    // Last cached probe per member (GET /api/council/health)
+    async loadHealth() {
+        try {
+            const response = await fetch('/api/council/health');
+            const data = await response.json();
+            data.members.forEach(result => {
+                if (this.council[result.key] && result.status !== 'unknown') {
+                    this.council[result.key].health = result;
+                }
+            });
+        } catch (err) {
+            console.error('Failed to load council health:', err);
+        }
+    }
+
+    renderHealth(health) {
+        if (!health) return '<div class="council-health">Not probed yet</div>';
+        const icon = health.status === 'ok' ? '🟢' : health.status === 'not_configured' ? '⚪' : '🟠';
+        const latency = health.latency !== null ? ` · ${health.latency}ms` : '';
+        return `
+            <div class="council-health ${health.status}" title="${health.error || ''}">
+                ${icon} ${health.status.replace(/_/g, ' ')}${latency}
+                <div class="council-model">${health.provider}/${health.model}</div>
+            </div>`;
     }
 
     render() {
@@ -34,6 +78,7 @@ class CouncilPanel {
                         <div class="council-status">
                             ${data.active ? '🟢 Active' : '🔴 Inactive'}
                         </div>
+                        ${this.renderHealth(data.health)}
                         <div class="council-progress">
                             <div class="progress-bar">
                                 <div class="progress-fill" style="width: ${data.active ? 100 : 0}%; background: ${data.color}"></div>
@@ -77,6 +122,7 @@ class CouncilPanel {
             
             const data = await response.json();
             this.council[key].active = data.active;
+            this.council[key].health = data.health || this.council[key].health;
             this.render();
             this.attachEventListeners();
             
@@ -93,10 +139,13 @@ class CouncilPanel {
             const response = await fetch('/api/council/test', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ key })
+                body: JSON.stringify({ key, refresh: true })
             });
             
             const data = await response.json();
+            this.council[key].health = data.health;
+            this.render();
+            this.attachEventListeners();
             alert(`${this.council[key].name} Test Result:\n${data.result}`);
             
             if (window.nemo) {
@@ -107,6 +156,45 @@ class CouncilPanel {
         }
     }
 
+    // Activations, probes and registry edits made from any browser (GET /api/events)
+    subscribe() {
+        this.events = new EventSource('/api/events?topics=council');
+        this.events.addEventListener('council', (e) => {
+            const { type, data } = JSON.parse(e.data);
+            if (type === 'snapshot') {
+                Object.entries(data.council).forEach(([key, active]) => {
+                    if (this.council[key]) this.council[key].active = active;
+                });
+                Object.values(data.health).forEach(health => {
+                    if (this.council[health.key]) this.council[health.key].health = health;
+                });
+            } else if (type === 'status' && this.council[data.key]) {
+                this.council[data.key].active = data.active;
+            } else if (type === 'health' && this.council[data.key]) {
+                this.council[data.key].health = data;
+            } else if (type === 'members') {
+                const previous = this.council;
+                this.council = {};
+                data.members.forEach(member => {
+                    this.council[member.key] = {
+                        name: member.name,
+                        active: !!member.active,
+                        color: member.color,
+                        icon: member.icon,
+                        health: previous[member.key] ? previous[member.key].health : null
+                    };
+                });
+            }
+            this.render();
+            this.attachEventListeners();
+        });
+    }
+
+    close() {
+        if (this.events) this.events.close();
+        this.events = null;
+    }
+
     updateStatus(key, active) {
         if (this.council[key]) {
             this.council[key].active = active;
@@ -11,6 +11,8 @@ class SpectrumAnalyzer {
         this.frequency = 2.4;
         this.data = [];
         this.animationId = null;
+        this.events = null;
+        this.simulating = false;
         this.resize();
         window.addEventListener('resize', () => this.resize());
     }
@@ -23,12 +25,16 @@ class SpectrumAnalyzer {
 
     start() {
         this.scanning = true;
-        this.fetchData();
+        this.subscribe();
         this.animate();
     }
 
     stop() {
         this.scanning = false;
+        if (this.events) {
+            this.events.close();
+            this.events = null;
+        }
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
         }
@@ -43,18 +49,31 @@ class SpectrumAnalyzer {
         });
     }
 
-    async fetchData() {
-        if (!this.scanning) return;
-        
-        try {
-            const response = await fetch('/api/spectrum/data');
-            this.data = await response.json();
-        } catch (err) {
-            // Generate simulated data if backend not available
+    // Frames of the backend's scan arrive on the spectrum topic (GET /api/events)
+    subscribe() {
+        if (this.events) return;
+        this.events = new EventSource('/api/events?topics=spectrum');
+        this.events.addEventListener('spectrum', (e) => {
+            const event = JSON.parse(e.data);
+            if (event.type === 'frame') this.data = event.data.data;
+            else this.frequency = event.data.frequency;
+        });
+        this.events.onerror = () => this.simulate();
+    }
+
+    // Generate simulated data while the backend is not available
+    simulate() {
+        if (this.simulating) return;
+        this.simulating = true;
+        const tick = () => {
+            if (!this.scanning || (this.events && this.events.readyState === EventSource.OPEN)) {
+                this.simulating = false;
+                return;
+            }
             this.generateSimulatedData();
-        }
-        
-        setTimeout(() => this.fetchData(), 100);
+            setTimeout(tick, 100);
+        };
+        tick();
     }
 
     generateSimulatedData() {
@@ -0,0 +1,403 @@
+/**
+ * NEMO Auth
+ * Accounts, API tokens, GUI sessions and the role each API route needs.
+ *
+ * Roles, lowest to highest:
+ *   viewer    read-only endpoints
+ *   operator  ask the council, run batches, write to Supabase
+ *   admin     edit members and prompts, manage accounts, and the endpoints
+ *             that touch the host (loop detection, config recovery, indexing)
+ *
+ * Accounts and tokens are stored in .nemo/auth/users.json:
+ *   { users: [{ username, role, passwordHash, createdAt }],
+ *     tokens: [{ id, name, role, hash, createdBy, createdAt, lastUsedAt }] }
+ * Passwords are scrypt hashes; tokens are kept only as SHA-256 hashes, so a
+ * token is shown once, when it is created. Sessions live in memory and end
+ * when the server restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'nemo_session';
+const DEFAULT_SESSION_HOURS = 12;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{2,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const TOKEN_PREFIX = 'nemo_';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Role needed per route group; the first match wins and role null means
+ * public. Routes not listed need viewer for GET and operator otherwise.
+ */
+const ROUTE_GROUPS = [
+  { role: null, methods: ['POST'], pattern: /^\/api\/auth\/(login|logout|setup)$/ },
+  { role: null, methods: ['GET'], pattern: /^\/api\/auth\/session$/ },
+  { role: 'admin', methods: ['*'], pattern: /^\/api\/auth\/(users|tokens)(\/|$)/ },
+  // Read and walk the host filesystem
+  { role: 'admin', methods: ['*'], pattern: /^\/api\/(loops|analysis|config)(\/|$)/ },
+  { role: 'admin', methods: ['POST'], pattern: /^\/api\/council\/index$/ },
+  { role: 'admin', methods: ['POST', 'PUT', 'DELETE'], pattern: /^\/api\/council\/members(\/|$)/ },
+  { role: 'admin', methods: ['POST', 'PUT'], pattern: /^\/api\/council\/prompts\// },
+  { role: 'admin', methods: ['DELETE'], pattern: /^\/api\/council\/cache$/ }
+];
+
+class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function roleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+function hasRole(user, role) {
+  return !!user && roleRank(user.role) >= roleRank(role);
+}
+
+/**
+ * The role a request needs, or null for public routes. Express routes match
+ * regardless of case and of a trailing slash, so the path is compared the
+ * same way: /API/loops/detect and /api/council/cache/ need admin too.
+ */
+function routeRole(method, pathname) {
+  const normalized = String(pathname).toLowerCase().replace(/\/+$/, '') || '/';
+  const group = ROUTE_GROUPS.find(entry =>
+    (entry.methods.includes('*') || entry.methods.includes(method)) && entry.pattern.test(normalized));
+  if (group) return group.role;
+  return method === 'GET' || method === 'HEAD' ? 'viewer' : 'operator';
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || typeof password !== 'string') return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index < 0) return;
+    const name = part.slice(0, index).trim();
+    if (!name) return;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (err) {
+      // A malformed %-sequence; ignore the cookie rather than fail the request
+    }
+  });
+  return cookies;
+}
+
+// Bearer token from an Authorization header, or null
+function bearerToken(header) {
+  const match = String(header || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Auth settings from council-auth.json, with env overrides:
+ *   NEMO_AUTH=off            disable auth (every request acts as admin)
+ *   NEMO_CORS_ORIGINS=a,b    origins allowed to call the API from a browser
+ */
+function loadAuthSettings(file, env = process.env) {
+  let config = {};
+  try {
+    if (fs.existsSync(file)) config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`Failed to load ${file}:`, err.message);
+  }
+
+  const enabled = env.NEMO_AUTH ? !['off', 'false', '0'].includes(env.NEMO_AUTH.toLowerCase()) : config.enabled !== false;
+  const origins = env.NEMO_CORS_ORIGINS
+    ? env.NEMO_CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+    : config.corsOrigins || [];
+
+  return {
+    enabled,
+    corsOrigins: origins,
+    sessionHours: config.sessionHours || DEFAULT_SESSION_HOURS,
+    secureCookies: !!config.secureCookies
+  };
+}
+
+// Requests without an Origin header (same-origin GETs, curl) are not CORS requests
+function originAllowed(origin, allowlist) {
+  return !origin || allowlist.includes('*') || allowlist.includes(origin);
+}
+
+class AuthStore {
+  constructor(file) {
+    this.file = file;
+    this.data = { users: [], tokens: [] };
+    this.mtimeMs = null;
+  }
+
+  // Accounts as on disk; re-read when the CLI (scripts/nemo-auth.js) has changed the file
+  state() {
+    let stat;
+    try {
+      stat = fs.statSync(this.file);
+    } catch (err) {
+      return this.data;
+    }
+    if (stat.mtimeMs === this.mtimeMs) return this.data;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.data = { users: data.users || [], tokens: data.tokens || [] };
+    } catch (err) {
+      console.error(`Failed to load ${this.file}:`, err.message);
+    }
+    this.mtimeMs = stat.mtimeMs;
+    return this.data;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2) + '\n', { mode: 0o600 });
+    this.mtimeMs = fs.statSync(this.file).mtimeMs;
+  }
+
+  hasUsers() {
+    return this.state().users.length > 0;
+  }
+
+  findUser(username) {
+    return this.state().users.find(user => user.username.toLowerCase() === String(username).toLowerCase()) || null;
+  }
+
+  describeUser(user) {
+    return { username: user.username, role: user.role, createdAt: user.createdAt };
+  }
+
+  listUsers() {
+    return this.state().users.map(user => this.describeUser(user));
+  }
+
+  checkRole(role) {
+    if (!ROLES.includes(role)) throw new AuthError(`Unknown role: ${role} (use ${ROLES.join(', ')})`);
+  }
+
+  checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new AuthError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  createUser(username, password, role = 'viewer') {
+    if (!USERNAME_PATTERN.test(String(username))) {
+      throw new AuthError('Usernames are 2-32 letters, digits, dots, dashes or underscores');
+    }
+    if (this.findUser(username)) throw new AuthError(`User ${username} already exists`, 409);
+    this.checkRole(role);
+    this.checkPassword(password);
+
+    const user = { username, role, passwordHash: hashPassword(password), createdAt: new Date().toISOString() };
+    this.state().users.push(user);
+    this.save();
+    return this.describeUser(user);
+  }
+
+  // The user for a correct password, else null
+  authenticate(username, password) {
+    const user = this.findUser(username);
+    if (!user) {
+      // Hash anyway so unknown names take as long as wrong passwords
+      hashPassword(String(password || ''));
+      return null;
+    }
+    return verifyPassword(password, user.passwordHash) ? this.describeUser(user) : null;
+  }
+
+  requireUser(username) {
+    const user = this.findUser(username);
+    if (!user) throw new AuthError(`Unknown user: ${username}`, 404);
+    return user;
+  }
+
+  // The last admin can be neither demoted nor removed
+  isLastAdmin(user) {
+    return user.role === 'admin' && this.state().users.filter(u => u.role === 'admin').length === 1;
+  }
+
+  updateUser(username, { role, password } = {}) {
+    const user = this.requireUser(username);
+    if (role !== undefined) {
+      this.checkRole(role);
+      if (role !== 'admin' && this.isLastAdmin(user)) throw new AuthError('Cannot demote the last admin', 409);
+    }
+    if (password !== undefined) this.checkPassword(password);
+
+    if (role !== undefined) user.role = role;
+    if (password !== undefined) user.passwordHash = hashPassword(password);
+    this.save();
+    return this.describeUser(user);
+  }
+
+  removeUser(username) {
+    const user = this.requireUser(username);
+    if (this.isLastAdmin(user)) throw new AuthError('Cannot remove the last admin', 409);
+    this.data.users = this.data.users.filter(u => u !== user);
+    this.save();
+  }
+
+  describeToken(token) {
+    const { hash, ...rest } = token;
+    return rest;
+  }
+
+  listTokens() {
+    return this.state().tokens.map(token => this.describeToken(token));
+  }
+
+  /**
+   * Create an API token. Returns its description plus `token`, the only
+   * time the secret is available.
+   */
+  createToken({ name, role = 'viewer', createdBy = null }) {
+    if (typeof name !== 'string' || !name.trim()) throw new AuthError('Tokens need a name');
+    this.checkRole(role);
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const entry = {
+      id: crypto.randomBytes(4).toString('hex'),
+      name: name.trim(),
+      role,
+      hash: hashToken(token),
+      createdBy,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    this.state().tokens.push(entry);
+    this.save();
+    return { ...this.describeToken(entry), token };
+  }
+
+  // The token's identity ({ username, role, token }) for a valid secret, else null
+  verifyToken(secret) {
+    if (!secret || !secret.startsWith(TOKEN_PREFIX)) return null;
+    const hash = hashToken(secret);
+    const entry = this.state().tokens.find(token =>
+      crypto.timingSafeEqual(Buffer.from(token.hash, 'hex'), Buffer.from(hash, 'hex')));
+    if (!entry) return null;
+    // Saved at most once a minute, not on every request
+    if (!entry.lastUsedAt || Date.now() - Date.parse(entry.lastUsedAt) > 60 * 1000) {
+      entry.lastUsedAt = new Date().toISOString();
+      this.save();
+    }
+    return { username: `token:${entry.name}`, role: entry.role, token: entry.id };
+  }
+
+  revokeToken(id) {
+    const data = this.state();
+    const before = data.tokens.length;
+    data.tokens = data.tokens.filter(token => token.id !== id);
+    if (data.tokens.length === before) return false;
+    this.save();
+    return true;
+  }
+}
+
+class SessionStore {
+  constructor(hours = DEFAULT_SESSION_HOURS) {
+    this.ttlMs = hours * 60 * 60 * 1000;
+    this.sessions = new Map();
+  }
+
+  create(username) {
+    const id = crypto.randomBytes(32).toString('base64url');
+    this.sessions.set(id, { username, expiresAt: Date.now() + this.ttlMs });
+    return id;
+  }
+
+  // The session's username, extending its lifetime; null when missing or expired
+  touch(id) {
+    const session = id ? this.sessions.get(id) : null;
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    session.expiresAt = Date.now() + this.ttlMs;
+    return session.username;
+  }
+
+  destroy(id) {
+    this.sessions.delete(id);
+  }
+
+  // Log a user out everywhere (password change, removal)
+  destroyUser(username) {
+    this.sessions.forEach((session, id) => {
+      if (session.username === username) this.sessions.delete(id);
+    });
+  }
+}
+
+/**
+ * Failed logins per username: after `limit` failures within `windowMs` the
+ * name is blocked until the window has passed.
+ */
+class LoginThrottle {
+  constructor(limit = 5, windowMs = 15 * 60 * 1000) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.failures = new Map();
+  }
+
+  // Seconds until the name may try again, or 0
+  blockedFor(username) {
+    const key = String(username).toLowerCase();
+    const recent = (this.failures.get(key) || []).filter(at => Date.now() - at < this.windowMs);
+    this.failures.set(key, recent);
+    if (recent.length < this.limit) return 0;
+    return Math.ceil((this.windowMs - (Date.now() - recent[0])) / 1000);
+  }
+
+  fail(username) {
+    const key = String(username).toLowerCase();
+    this.failures.set(key, [...(this.failures.get(key) || []), Date.now()]);
+  }
+
+  clear(username) {
+    this.failures.delete(String(username).toLowerCase());
+  }
+}
+
+module.exports = {
+  ROLES,
+  ROUTE_GROUPS,
+  SESSION_COOKIE,
+  AuthError,
+  AuthStore,
+  SessionStore,
+  LoginThrottle,
+  hasRole,
+  routeRole,
+  parseCookies,
+  bearerToken,
+  loadAuthSettings,
+  originAllowed
+};
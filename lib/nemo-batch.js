@@ -0,0 +1,341 @@
+/**
+ * NEMO Batch Jobs
+ * Ask a list of questions of a list of members: every (query, member) cell
+ * runs through a bounded-concurrency queue, progress and partial results are
+ * readable while the job runs, and the finished matrix exports as JSON, CSV
+ * or Markdown.
+ *
+ * Jobs are kept in memory and saved to .nemo/batches/<id>.json after every
+ * finished cell. A job that was still running when the server stopped is
+ * loaded back as "interrupted" with the cells it had finished.
+ *
+ * Runs go through the background job queue (lib/nemo-jobs.js) as jobs of
+ * type "batch"; the batch keeps the id of its latest queue job in `jobId`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_QUERIES = 100;
+const MAX_CELLS = 500;
+const EXPORT_FORMATS = ['json', 'csv', 'md'];
+
+/**
+ * Run worker(task) for every task with at most `concurrency` in flight.
+ * shouldStop() is checked before each task starts.
+ */
+async function runQueue(tasks, concurrency, worker, shouldStop = () => false) {
+  let next = 0;
+  const lane = async () => {
+    while (next < tasks.length && !shouldStop()) {
+      const task = tasks[next++];
+      await worker(task);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, tasks.length)) }, lane));
+}
+
+// Returns an error message, or null when the request describes a runnable job
+function validateBatch({ queries, members }, knownMembers) {
+  if (!Array.isArray(queries) || queries.length === 0) return 'queries must be a non-empty array';
+  if (queries.length > MAX_QUERIES) return `At most ${MAX_QUERIES} queries per batch`;
+  if (queries.some(query => typeof query !== 'string' || !query.trim())) return 'Every query must be a non-empty string';
+  if (members !== undefined) {
+    if (!Array.isArray(members) || members.length === 0) return 'members must be a non-empty array';
+    const unknown = members.filter(key => !knownMembers.includes(key));
+    if (unknown.length > 0) return `Unknown council members: ${unknown.join(', ')}`;
+  }
+  const cells = queries.length * (members || knownMembers).length;
+  if (cells > MAX_CELLS) return `Batch has ${cells} cells; the limit is ${MAX_CELLS}`;
+  return null;
+}
+
+class BatchJob {
+  constructor({ id, queries, members, options = {}, concurrency }) {
+    this.id = id || crypto.randomUUID();
+    this.queries = queries;
+    this.members = members;
+    this.options = options;
+    this.concurrency = concurrency;
+    this.status = 'queued';
+    this.jobId = null;
+    this.createdAt = new Date().toISOString();
+    this.startedAt = null;
+    this.finishedAt = null;
+    // cells[queryIndex][member]
+    this.cells = queries.map(() => Object.fromEntries(members.map(key => [key, { status: 'pending' }])));
+  }
+
+  static fromJSON(data) {
+    const job = Object.assign(Object.create(BatchJob.prototype), data);
+    if (job.status === 'running' || job.status === 'queued') job.status = 'interrupted';
+    job.cells.forEach(row => Object.values(row).forEach(cell => {
+      if (cell.status === 'running') cell.status = 'pending';
+    }));
+    return job;
+  }
+
+  progress() {
+    const counts = { total: 0, pending: 0, running: 0, done: 0, error: 0 };
+    this.cells.forEach(row => Object.values(row).forEach(cell => {
+      counts.total++;
+      counts[cell.status]++;
+    }));
+    const finished = counts.done + counts.error;
+    return { ...counts, percent: counts.total ? Math.round((finished / counts.total) * 100) : 100 };
+  }
+
+  totals() {
+    const totals = { tokens: 0, cost: 0 };
+    this.cells.forEach(row => Object.values(row).forEach(cell => {
+      totals.tokens += cell.tokens || 0;
+      totals.cost += cell.cost || 0;
+    }));
+    return totals;
+  }
+
+  summary() {
+    return {
+      id: this.id,
+      status: this.status,
+      jobId: this.jobId,
+      queries: this.queries.length,
+      members: this.members,
+      concurrency: this.concurrency,
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      progress: this.progress(),
+      totals: this.totals()
+    };
+  }
+
+  // Summary plus the result matrix, one row per query
+  toJSON() {
+    return {
+      ...this.summary(),
+      options: this.options,
+      results: this.queries.map((query, i) => ({ query, answers: this.cells[i] }))
+    };
+  }
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function cellText(cell) {
+  if (cell.status === 'done') return cell.response;
+  if (cell.status === 'error') return `ERROR: ${cell.error}`;
+  return `(${cell.status})`;
+}
+
+/**
+ * The result matrix in one of EXPORT_FORMATS. CSV has one row per cell;
+ * Markdown has one table row per query and one column per member.
+ */
+function exportBatch(job, format) {
+  if (format === 'json') return JSON.stringify(job.toJSON(), null, 2);
+
+  if (format === 'csv') {
+    const header = ['query', 'member', 'status', 'response', 'tokens', 'cost', 'latency', 'confidence', 'model', 'error'];
+    const rows = job.queries.flatMap((query, i) => job.members.map(key => {
+      const cell = job.cells[i][key];
+      return [query, key, cell.status, cell.response, cell.tokens, cell.cost, cell.latency, cell.confidence, cell.model, cell.error];
+    }));
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+  }
+
+  const escape = text => String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  const progress = job.progress();
+  return [
+    `# NEMO Batch ${job.id}`,
+    '',
+    `**Status:** ${job.status} (${progress.done + progress.error}/${progress.total})`,
+    `**Created:** ${job.createdAt}`,
+    '',
+    `| Query | ${job.members.join(' | ')} |`,
+    `|---|${job.members.map(() => '---').join('|')}|`,
+    ...job.queries.map((query, i) =>
+      `| ${escape(query)} | ${job.members.map(key => escape(cellText(job.cells[i][key]))).join(' | ')} |`),
+    ''
+  ].join('\n');
+}
+
+class BatchManager {
+  /**
+   * @param {string} dir - where jobs are saved (.nemo/batches)
+   * @param {Function} ask - ask(member, query, options, signal) resolves to a council payload
+   * @param {JobQueue} queue - runs the batches (registers the "batch" type)
+   */
+  constructor(dir, ask, queue) {
+    this.dir = dir;
+    this.ask = ask;
+    this.queue = queue;
+    this.jobs = new Map();
+    this.writes = new Map();
+    this.load();
+
+    queue.register('batch', {
+      run: ({ batchId }, context) => this.run(batchId, context),
+      // A batch cancelled before its queue job started never runs
+      onCancel: ({ batchId }) => {
+        const job = this.jobs.get(batchId);
+        if (job && job.status === 'queued') {
+          job.status = 'cancelled';
+          job.finishedAt = new Date().toISOString();
+          this.save(job);
+        }
+      }
+    });
+  }
+
+  load() {
+    if (!fs.existsSync(this.dir)) return;
+    fs.readdirSync(this.dir).filter(file => file.endsWith('.json')).forEach(file => {
+      try {
+        const job = BatchJob.fromJSON(JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8')));
+        this.jobs.set(job.id, job);
+      } catch (err) {
+        console.error(`Failed to load batch ${file}:`, err.message);
+      }
+    });
+  }
+
+  // Writes per job are chained so a slow write never lands after a newer one
+  save(job) {
+    // Spread to a plain object: job.toJSON() is the API shape, not the saved one
+    const snapshot = JSON.stringify({ ...job });
+    const previous = this.writes.get(job.id) || Promise.resolve();
+    const write = previous.then(async () => {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      await fs.promises.writeFile(path.join(this.dir, `${job.id}.json`), snapshot);
+    }).catch(err => console.error(`Failed to save batch ${job.id}:`, err.message));
+    this.writes.set(job.id, write);
+    return write;
+  }
+
+  list() {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => job.summary());
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // The batch's queue job is queued or running
+  running(job) {
+    const queued = job.jobId && this.queue.get(job.jobId);
+    return !!queued && queued.active;
+  }
+
+  /**
+   * Create a job and queue it. Returns the job at once.
+   */
+  start({ queries, members, options, concurrency, createdBy = null }) {
+    const job = new BatchJob({ queries: queries.map(q => q.trim()), members, options, concurrency });
+    this.jobs.set(job.id, job);
+    job.jobId = this.queue.submit('batch', { batchId: job.id }, { createdBy }).id;
+    this.save(job);
+    return job;
+  }
+
+  async run(batchId, { signal, progress }) {
+    const job = this.jobs.get(batchId);
+    if (!job) throw new Error(`Batch not found: ${batchId}`);
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.finishedAt = null;
+    const report = () => {
+      const counts = job.progress();
+      progress(counts.percent, `${counts.done + counts.error}/${counts.total} answers`);
+    };
+    report();
+
+    try {
+      // Query-major order, so early rows fill in completely first
+      const tasks = job.queries.flatMap((query, i) => job.members.map(key => ({ i, query, key })));
+      const pending = tasks.filter(({ i, key }) => job.cells[i][key].status === 'pending');
+
+      await runQueue(pending, job.concurrency, async ({ i, query, key }) => {
+        const started = Date.now();
+        job.cells[i][key] = { status: 'running' };
+        try {
+          const result = await this.ask(key, query, job.options, signal);
+          job.cells[i][key] = {
+            status: 'done',
+            response: result.response,
+            tokens: result.tokens || 0,
+            cost: result.cost || 0,
+            latency: Date.now() - started,
+            confidence: result.confidence === undefined ? null : result.confidence,
+            model: result.model || null,
+            demo: !!result.demo,
+            cached: !!result.cached
+          };
+        } catch (err) {
+          // Cells cut off by a cancel run again on resume
+          job.cells[i][key] = signal.aborted
+            ? { status: 'pending' }
+            : { status: 'error', error: err.message, latency: Date.now() - started };
+        }
+        report();
+        this.save(job);
+      }, () => signal.aborted);
+    } catch (err) {
+      job.status = 'failed';
+      job.error = err.message;
+      throw err;
+    } finally {
+      if (job.status === 'running') job.status = signal.aborted ? 'cancelled' : 'completed';
+      job.finishedAt = new Date().toISOString();
+      await this.save(job);
+    }
+    return { batchId: job.id, progress: job.progress(), totals: job.totals() };
+  }
+
+  // Stop scheduling new cells and abort the ones in flight
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || (job.status !== 'running' && job.status !== 'queued') || !job.jobId) return false;
+    return this.queue.cancel(job.jobId);
+  }
+
+  // Run the unfinished cells of an interrupted or cancelled job
+  resume(id, { createdBy = null } = {}) {
+    const job = this.jobs.get(id);
+    if (!job || this.running(job) || (job.status !== 'interrupted' && job.status !== 'cancelled')) return null;
+    job.status = 'queued';
+    job.finishedAt = null;
+    // Retry the batch's queue job, or queue a new one when that is gone from the history
+    const retried = job.jobId && this.queue.retry(job.jobId);
+    if (!retried) job.jobId = this.queue.submit('batch', { batchId: job.id }, { createdBy }).id;
+    this.save(job);
+    return job;
+  }
+
+  async remove(id) {
+    const job = this.jobs.get(id);
+    if (!job || this.running(job)) return false;
+    this.jobs.delete(id);
+    await (this.writes.get(id) || Promise.resolve());
+    this.writes.delete(id);
+    await fs.promises.unlink(path.join(this.dir, `${id}.json`)).catch(() => {});
+    return true;
+  }
+}
+
+module.exports = {
+  MAX_QUERIES,
+  MAX_CELLS,
+  EXPORT_FORMATS,
+  runQueue,
+  validateBatch,
+  exportBatch,
+  BatchJob,
+  BatchManager
+};
@@ -0,0 +1,81 @@
+/**
+ * NEMO Confidence
+ * Confidence scores for council answers from real signals:
+ *   logprobs          - geometric mean token probability reported by the provider
+ *   self_consistency  - agreement between the answer and N-1 extra samples
+ *   self_rating       - the member rates its own answer 0-100 in a follow-up call
+ *   none              - no score (confidence: null)
+ * "auto" uses logprobs when the provider returns them, otherwise self_rating.
+ */
+
+const { similarity } = require('./nemo-debate');
+
+const CONFIDENCE_METHODS = ['auto', 'logprobs', 'self_consistency', 'self_rating', 'none'];
+const DEFAULT_SAMPLES = 3;
+const MAX_SAMPLES = 8;
+
+const RATING_INSTRUCTIONS = 'You grade answers. Reply with a single integer from 0 to 100: ' +
+  'how likely the answer below is correct and complete. No other text.';
+
+// exp(mean logprob) - the per-token probability the model assigned to its own wording
+function fromLogprobs(logprobs) {
+  const values = (logprobs || []).filter(Number.isFinite);
+  if (values.length === 0) return null;
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return Math.exp(mean);
+}
+
+/**
+ * Mean similarity between the answer and each extra sample. Answers that
+ * independent samples keep reproducing score high; one-off answers score low.
+ */
+function fromSamples(answer, samples) {
+  const others = samples.filter(Boolean);
+  if (others.length === 0) return null;
+  const scores = others.map(sample => similarity(answer, sample));
+  return scores.reduce((sum, v) => sum + v, 0) / scores.length;
+}
+
+function buildRatingMessages(query, answer) {
+  return [
+    { role: 'system', content: RATING_INSTRUCTIONS },
+    { role: 'user', content: `QUESTION:\n${query}\n\nANSWER:\n${answer}` }
+  ];
+}
+
+// "85", "85%", "Confidence: 85/100" -> 0.85; anything else -> null
+function parseRating(text) {
+  const match = (text || '').match(/\d+(\.\d+)?/);
+  if (!match) return null;
+  const value = parseFloat(match[0]);
+  if (value < 0 || value > 100) return null;
+  return value / 100;
+}
+
+/**
+ * Resolve the method for one call. An unknown method is treated as "auto";
+ * logprobs is only possible when the provider can return them.
+ */
+function chooseMethod(requested, provider) {
+  const method = CONFIDENCE_METHODS.includes(requested) ? requested : 'auto';
+  if (method === 'auto' || (method === 'logprobs' && !provider.supportsLogprobs)) {
+    return provider.supportsLogprobs ? 'logprobs' : 'self_rating';
+  }
+  return method;
+}
+
+function sampleCount(value) {
+  const count = parseInt(value, 10) || DEFAULT_SAMPLES;
+  return Math.min(Math.max(count, 2), MAX_SAMPLES);
+}
+
+module.exports = {
+  CONFIDENCE_METHODS,
+  DEFAULT_SAMPLES,
+  fromLogprobs,
+  fromSamples,
+  buildRatingMessages,
+  parseRating,
+  chooseMethod,
+  sampleCount
+};
@@ -0,0 +1,235 @@
+/**
+ * NEMO Council Conversations
+ * Multi-turn sessions with per-member history, stored on disk or in Supabase.
+ *
+ * Conversation shape:
+ *   { id, title, created, updated, members: { GHOST: [{ role, content, at }], ... } }
+ *
+ * Supabase table `council_conversations`:
+ *   id text primary key, title text, created timestamptz, updated timestamptz, members jsonb
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Token budget for replayed history per memory tier
+const HISTORY_BUDGETS = {
+  efficient: 1000,
+  performance: 4000,
+  ascension: 16000
+};
+
+class ConversationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ConversationError';
+    this.status = status;
+  }
+}
+
+// Rough token estimate (~4 characters per token) - good enough for budgeting
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Keep the most recent messages that fit the budget, dropping whole
+ * user/assistant turns from the front so history never starts mid-turn.
+ */
+function truncateHistory(messages, budget) {
+  const kept = [];
+  let used = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(messages[i].content);
+    if (used + cost > budget) break;
+    kept.unshift(messages[i]);
+    used += cost;
+  }
+
+  while (kept.length && kept[0].role !== 'user') kept.shift();
+  return kept.map(({ role, content }) => ({ role, content }));
+}
+
+function newConversation(title) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    title: title || 'New conversation',
+    created: now,
+    updated: now,
+    members: {}
+  };
+}
+
+function summarize(conversation) {
+  const turns = Object.values(conversation.members || {})
+    .reduce((max, messages) => Math.max(max, messages.filter(m => m.role === 'user').length), 0);
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    created: conversation.created,
+    updated: conversation.updated,
+    members: Object.keys(conversation.members || {}),
+    turns
+  };
+}
+
+class ConversationStore {
+  constructor() {
+    this.queues = new Map();
+  }
+
+  /**
+   * Read-modify-write one conversation. Calls for the same id run one at a time
+   * so parallel member queries do not overwrite each other's history.
+   */
+  update(id, mutator) {
+    const previous = this.queues.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const conversation = await this.get(id);
+      if (!conversation) return null;
+      await mutator(conversation);
+      conversation.updated = new Date().toISOString();
+      await this.save(conversation);
+      return conversation;
+    });
+
+    this.queues.set(id, next);
+    next.finally(() => {
+      if (this.queues.get(id) === next) this.queues.delete(id);
+    }).catch(() => {});
+    return next;
+  }
+
+  async appendTurn(id, member, userContent, assistantContent) {
+    return this.update(id, conversation => {
+      const at = new Date().toISOString();
+      if (!conversation.members[member]) conversation.members[member] = [];
+      conversation.members[member].push(
+        { role: 'user', content: userContent, at },
+        { role: 'assistant', content: assistantContent, at }
+      );
+      if (conversation.title === 'New conversation') {
+        conversation.title = userContent.substring(0, 60);
+      }
+    });
+  }
+}
+
+class LocalConversationStore extends ConversationStore {
+  constructor(dir) {
+    super();
+    this.dir = dir;
+    this.backend = 'local';
+  }
+
+  filePath(id) {
+    // ids are UUIDs; refuse anything that could escape the directory
+    if (!/^[a-f0-9-]+$/i.test(id)) throw new ConversationError(`Invalid conversation id: ${id}`);
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async list() {
+    if (!fs.existsSync(this.dir)) return [];
+    const files = await fs.promises.readdir(this.dir);
+    const conversations = [];
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const conversation = JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8'));
+        conversations.push(summarize(conversation));
+      } catch (err) {
+        console.error(`Skipping unreadable conversation ${file}:`, err.message);
+      }
+    }
+
+    return conversations.sort((a, b) => b.updated.localeCompare(a.updated));
+  }
+
+  async get(id) {
+    const file = this.filePath(id);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  }
+
+  async create(title) {
+    const conversation = newConversation(title);
+    await this.save(conversation);
+    return conversation;
+  }
+
+  async save(conversation) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.filePath(conversation.id), JSON.stringify(conversation, null, 2));
+  }
+
+  async remove(id) {
+    const file = this.filePath(id);
+    if (!fs.existsSync(file)) return false;
+    await fs.promises.unlink(file);
+    return true;
+  }
+}
+
+class SupabaseConversationStore extends ConversationStore {
+  constructor(client, table = 'council_conversations') {
+    super();
+    this.client = client;
+    this.table = table;
+    this.backend = 'supabase';
+  }
+
+  async list() {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .order('updated', { ascending: false })
+      .limit(100);
+    if (error) throw new Error(error.message);
+    return data.map(summarize);
+  }
+
+  async get(id) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async create(title) {
+    const conversation = newConversation(title);
+    await this.save(conversation);
+    return conversation;
+  }
+
+  async save(conversation) {
+    const { error } = await this.client.from(this.table).upsert(conversation);
+    if (error) throw new Error(error.message);
+  }
+
+  async remove(id) {
+    const { data, error } = await this.client.from(this.table).delete().eq('id', id).select('id');
+    if (error) throw new Error(error.message);
+    return data.length > 0;
+  }
+}
+
+function createConversationStore(options = {}) {
+  if (options.supabase) return new SupabaseConversationStore(options.supabase);
+  return new LocalConversationStore(options.dir || './.nemo/conversations');
+}
+
+module.exports = {
+  HISTORY_BUDGETS,
+  ConversationError,
+  estimateTokens,
+  truncateHistory,
+  LocalConversationStore,
+  SupabaseConversationStore,
+  createConversationStore
+};
@@ -0,0 +1,136 @@
+/**
+ * NEMO Council Registry
+ * Council members (name, icon, color, system prompt, model, key env var)
+ * loaded from council-members.json, falling back to the built-in five.
+ * The built-in prompts are the templates in prompts/council/ (see nemo-prompts).
+ *
+ * council-members.json:
+ *   { "members": [{ "key": "GHOST", "name": "THE GHOST", "icon": "👻", ... }] }
+ */
+
+const fs = require('fs');
+const { loadBuiltinTemplate } = require('./nemo-prompts');
+
+const DEFAULT_MEMBERS = [
+  {
+    key: 'GHOST',
+    name: 'THE GHOST',
+    role: 'Predictive Intent',
+    description: 'Anticipates what you need before you ask',
+    icon: '👻',
+    color: '#aaaaff',
+    prompt: loadBuiltinTemplate('council/ghost')
+  },
+  {
+    key: 'ARCHITECT',
+    name: 'THE ARCHITECT',
+    role: 'System Design',
+    description: 'Builds solutions from the toolbox',
+    icon: '🏗️',
+    color: '#ffaa00',
+    prompt: loadBuiltinTemplate('council/architect')
+  },
+  {
+    key: 'MONK',
+    name: 'THE MONK',
+    role: 'Deep Reasoning',
+    description: 'Thinks deeply, prevents loops',
+    icon: '🧘',
+    color: '#00ff88',
+    prompt: loadBuiltinTemplate('council/monk')
+  },
+  {
+    key: 'SHADOW',
+    name: 'THE SHADOW',
+    role: 'Chi Aesthetic',
+    description: 'Makes everything beautiful',
+    icon: '🎨',
+    color: '#ff00ff',
+    prompt: loadBuiltinTemplate('council/shadow')
+  },
+  {
+    key: 'OBSERVER',
+    name: 'THE OBSERVER',
+    role: 'Monitoring',
+    description: 'Watches everything, misses nothing',
+    icon: '👁️',
+    color: '#00ffff',
+    prompt: loadBuiltinTemplate('council/observer')
+  }
+];
+
+const MEMBER_FIELDS = ['key', 'name', 'role', 'description', 'icon', 'color', 'prompt', 'model', 'keyEnv'];
+
+// Fill in display and key defaults so every consumer sees the same shape
+function normalizeMember(member) {
+  const key = member.key;
+  return {
+    key,
+    name: member.name || `THE ${key}`,
+    role: member.role || 'Council Member',
+    description: member.description || '',
+    icon: member.icon || '🤖',
+    color: member.color || '#00ffff',
+    prompt: member.prompt || `You are ${member.name || key}, a member of the NEMO council. Answer clearly and concisely.`,
+    model: member.model || null,
+    keyEnv: member.keyEnv || `${key}_API_KEY`
+  };
+}
+
+// Returns an error message, or null when the member definition is usable
+function validateMember(member) {
+  if (!member || typeof member !== 'object') return 'Member must be an object';
+  if (typeof member.key !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(member.key)) {
+    return 'Member key must be UPPER_SNAKE_CASE (e.g. CRITIC)';
+  }
+  if (member.color && !/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(member.color)) {
+    return `Invalid color for ${member.key}: ${member.color}`;
+  }
+  if (member.keyEnv && !/^[A-Z][A-Z0-9_]*$/.test(member.keyEnv)) {
+    return `Invalid keyEnv for ${member.key}: ${member.keyEnv}`;
+  }
+  const unknown = Object.keys(member).filter(field => !MEMBER_FIELDS.includes(field));
+  if (unknown.length > 0) return `Unknown member fields: ${unknown.join(', ')}`;
+  return null;
+}
+
+/**
+ * Load the registry from council-members.json. A missing, unreadable or
+ * invalid file falls back to the built-in members so the council always boots.
+ */
+function loadCouncil(councilPath) {
+  try {
+    if (councilPath && fs.existsSync(councilPath)) {
+      const { members } = JSON.parse(fs.readFileSync(councilPath, 'utf8'));
+      if (!Array.isArray(members) || members.length === 0) {
+        throw new Error('"members" must be a non-empty array');
+      }
+      members.forEach(member => {
+        const error = validateMember(member);
+        if (error) throw new Error(error);
+      });
+      return members.map(normalizeMember);
+    }
+  } catch (err) {
+    console.error(`Failed to load ${councilPath}:`, err.message);
+  }
+  return DEFAULT_MEMBERS.map(normalizeMember);
+}
+
+// One "- NAME: Role" line per member, for prompts that introduce the council
+function describeCouncil(members) {
+  return members.map(member => `- ${member.name}: ${member.role}`).join('\n');
+}
+
+function saveCouncil(councilPath, members) {
+  fs.writeFileSync(councilPath, JSON.stringify({ members }, null, 2) + '\n');
+}
+
+module.exports = {
+  DEFAULT_MEMBERS,
+  normalizeMember,
+  validateMember,
+  loadCouncil,
+  saveCouncil,
+  describeCouncil
+};
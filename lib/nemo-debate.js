@@ -0,0 +1,89 @@
+/**
+ * NEMO Council Debate
+ * Multi-round rebuttal prompts and MONK's loop protection:
+ * stop when rounds stop changing (converged) or start cycling (repeating).
+ */
+
+const DEFAULT_SIMILARITY_THRESHOLD = 0.9;
+const MAX_ROUNDS = 6;
+
+function termCounts(text) {
+  const counts = new Map();
+  (text.toLowerCase().match(/[a-z0-9#]+/g) || []).forEach(term => {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  });
+  return counts;
+}
+
+// Cosine similarity of term-frequency vectors, 0 (disjoint) to 1 (same wording)
+function similarity(a, b) {
+  const left = termCounts(a || '');
+  const right = termCounts(b || '');
+  if (left.size === 0 && right.size === 0) return 1;
+
+  let dot = 0;
+  let leftNorm = 0;
+  let rightNorm = 0;
+  left.forEach((count, term) => {
+    leftNorm += count * count;
+    if (right.has(term)) dot += count * right.get(term);
+  });
+  right.forEach(count => { rightNorm += count * count; });
+
+  if (!leftNorm || !rightNorm) return 0;
+  return dot / Math.sqrt(leftNorm * rightNorm);
+}
+
+function buildRebuttalPrompt(query, key, previousAnswers, round) {
+  const others = previousAnswers
+    .filter(a => !a.error)
+    .map(a => `### ${a.key}${a.key === key ? ' (you)' : ''}\n${a.response}`)
+    .join('\n\n');
+
+  return `QUESTION:\n${query}\n\nROUND ${round - 1} ANSWERS:\n\n${others}\n\n` +
+    `This is round ${round} of a council debate. Rebut the points you disagree with, ` +
+    'concede the ones you now accept, and give your revised answer. ' +
+    'Do not repeat yourself; if you have nothing new to add, say so briefly.';
+}
+
+/**
+ * Compare the latest round against history.
+ * Returns { similarity, average, stop } where stop is null, 'converged' or 'repeating'.
+ */
+function checkLoopProtection(rounds, threshold = DEFAULT_SIMILARITY_THRESHOLD) {
+  const latest = rounds[rounds.length - 1];
+  const previous = rounds[rounds.length - 2];
+  const scores = {};
+
+  if (!previous) return { similarity: scores, average: null, stop: null };
+
+  latest.answers.filter(a => !a.error).forEach(answer => {
+    const before = previous.answers.find(a => a.key === answer.key && !a.error);
+    if (before) scores[answer.key] = similarity(before.response, answer.response);
+  });
+
+  const values = Object.values(scores);
+  const average = values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+  if (average !== null && average >= threshold) {
+    return { similarity: scores, average, stop: 'converged' };
+  }
+
+  // A member returning to an answer from two or more rounds back is cycling
+  const repeating = latest.answers.filter(a => !a.error).some(answer =>
+    rounds.slice(0, -2).some(round => {
+      const earlier = round.answers.find(a => a.key === answer.key && !a.error);
+      return earlier && similarity(earlier.response, answer.response) >= threshold;
+    })
+  );
+
+  return { similarity: scores, average, stop: repeating ? 'repeating' : null };
+}
+
+module.exports = {
+  DEFAULT_SIMILARITY_THRESHOLD,
+  MAX_ROUNDS,
+  similarity,
+  buildRebuttalPrompt,
+  checkLoopProtection
+};
@@ -0,0 +1,98 @@
+/**
+ * NEMO Council Deliberation
+ * Turns parallel member answers into one synthesized verdict
+ */
+
+const SYNTHESIS_INSTRUCTIONS = `You are acting as the council synthesizer.
+Read every member's answer and produce ONE verdict. Cite members by name in square brackets.
+Answer in exactly this format:
+
+VERDICT:
+<the council's single answer>
+
+AGREEMENTS:
+- [MEMBER, MEMBER] <point they agree on>
+
+DISAGREEMENTS:
+- [MEMBER vs MEMBER] <point they disagree on>`;
+
+// First member in fallback_priority that answered, unless the caller asked for one
+function pickSynthesizer(answers, priority = [], requested) {
+  const answered = answers.filter(a => !a.error).map(a => a.key);
+  if (requested && answered.includes(requested)) return requested;
+  return priority.find(key => answered.includes(key)) || answered[0] || null;
+}
+
+function buildSynthesisPrompt(query, answers) {
+  const sections = answers
+    .filter(a => !a.error)
+    .map(a => `### ${a.key}\n${a.response}`)
+    .join('\n\n');
+
+  return `${SYNTHESIS_INSTRUCTIONS}\n\nQUESTION:\n${query}\n\nCOUNCIL ANSWERS:\n\n${sections}`;
+}
+
+function parseCitations(lines, members) {
+  return lines
+    .map(line => line.replace(/^[-*\d.)\s]+/, '').trim())
+    .filter(Boolean)
+    .map(line => {
+      const bracket = line.match(/^\[([^\]]+)\]\s*(.*)$/);
+      const cited = bracket ? bracket[1] : line;
+      return {
+        members: members.filter(m => new RegExp(`\\b${m}\\b`, 'i').test(cited)),
+        point: bracket ? bracket[2] : line
+      };
+    });
+}
+
+/**
+ * Split a synthesizer reply into { verdict, agreements, disagreements }.
+ * Replies that ignore the format come back as a bare verdict.
+ */
+function parseVerdict(text, members) {
+  const headings = /^[\s#*]*(VERDICT|AGREEMENTS|DISAGREEMENTS)[\s*]*(?::[\s*]*(.*))?$/i;
+  const sections = { VERDICT: [], AGREEMENTS: [], DISAGREEMENTS: [] };
+  let current = 'VERDICT';
+
+  for (const line of text.split('\n')) {
+    const heading = line.match(headings);
+    if (heading) {
+      current = heading[1].toUpperCase();
+      if (heading[2]) sections[current].push(heading[2]);
+    } else {
+      sections[current].push(line);
+    }
+  }
+
+  return {
+    verdict: sections.VERDICT.join('\n').trim(),
+    agreements: parseCitations(sections.AGREEMENTS, members),
+    disagreements: parseCitations(sections.DISAGREEMENTS, members)
+  };
+}
+
+// Deterministic verdict for demo mode, built from which members answered
+function buildDemoVerdict(query, answers, synthesizer) {
+  const answered = answers.filter(a => !a.error).map(a => a.key);
+  const silent = answers.filter(a => a.error).map(a => a.key);
+
+  return {
+    verdict: `${synthesizer} synthesized ${answered.length} perspectives on "${query.substring(0, 50)}": ` +
+      'start from the structure, validate the assumptions, then polish and monitor the result.',
+    agreements: [
+      { members: answered, point: 'The question is worth answering step by step.' }
+    ],
+    disagreements: silent.length > 0
+      ? [{ members: silent, point: 'Did not answer and were left out of the verdict.' }]
+      : []
+  };
+}
+
+module.exports = {
+  SYNTHESIS_INSTRUCTIONS,
+  pickSynthesizer,
+  buildSynthesisPrompt,
+  parseVerdict,
+  buildDemoVerdict
+};
@@ -0,0 +1,122 @@
+/**
+ * NEMO Event Bus
+ * Server-side state changes published to every open GUI, so several browsers
+ * see the same council, jobs and spectrum without polling. The backend
+ * streams the bus over Server-Sent Events at GET /api/events?topics=...
+ *
+ * Each event is { id, topic, type, data, at }. Ids increase by one, and the
+ * last REPLAY_SIZE events are kept so a client that reconnects with
+ * Last-Event-ID gets what it missed. Spectrum frames are not kept: a missed
+ * frame is stale by the time it would be replayed.
+ */
+
+const util = require('util');
+
+const TOPICS = ['council', 'jobs', 'spectrum', 'atoms', 'messages', 'tasks', 'log'];
+const VOLATILE_TOPICS = ['spectrum'];
+const REPLAY_SIZE = 500;
+const LOG_LEVELS = { log: 'info', info: 'info', warn: 'warning', error: 'error' };
+const MAX_LOG_LENGTH = 2000;
+
+class EventError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EventError';
+    this.status = status;
+  }
+}
+
+/**
+ * "council,jobs" (or an array) -> ['council', 'jobs']; empty means every topic
+ */
+function parseTopics(value) {
+  const requested = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(topic => topic.trim())
+    .filter(Boolean);
+  if (requested.length === 0) return [...TOPICS];
+  const unknown = requested.filter(topic => !TOPICS.includes(topic));
+  if (unknown.length) throw new EventError(`Unknown topic: ${unknown.join(', ')} (topics: ${TOPICS.join(', ')})`);
+  return [...new Set(requested)];
+}
+
+class EventBus {
+  constructor({ replay = REPLAY_SIZE } = {}) {
+    this.replay = replay;
+    this.nextId = 1;
+    this.buffer = [];
+    this.subscribers = new Set();
+  }
+
+  publish(topic, type, data = null) {
+    if (!TOPICS.includes(topic)) throw new EventError(`Unknown topic: ${topic}`);
+    const event = { id: this.nextId++, topic, type, data, at: new Date().toISOString() };
+    if (!VOLATILE_TOPICS.includes(topic)) {
+      this.buffer.push(event);
+      if (this.buffer.length > this.replay) this.buffer.shift();
+    }
+    this.subscribers.forEach(subscriber => {
+      if (!subscriber.topics.has(topic)) return;
+      try {
+        subscriber.fn(event);
+      } catch (err) {
+        // A broken subscriber must not stop delivery to the others
+      }
+    });
+    return event;
+  }
+
+  /**
+   * Call fn(event) for every event on the given topics. Returns a function
+   * that unsubscribes.
+   */
+  subscribe(topics, fn) {
+    const subscriber = { topics: new Set(topics), fn };
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  // Buffered events after lastId on the given topics, oldest first
+  since(lastId, topics) {
+    const wanted = new Set(topics);
+    return this.buffer.filter(event => event.id > lastId && wanted.has(event.topic));
+  }
+
+  // { topic: number of subscribers }
+  stats() {
+    const counts = Object.fromEntries(TOPICS.map(topic => [topic, 0]));
+    this.subscribers.forEach(subscriber => subscriber.topics.forEach(topic => counts[topic]++));
+    return { lastId: this.nextId - 1, subscribers: this.subscribers.size, topics: counts };
+  }
+}
+
+/**
+ * Publish console.log/info/warn/error lines on the "log" topic, still
+ * printing them as before. Returns a function that restores the console.
+ */
+function captureConsole(bus, target = console) {
+  const originals = {};
+  let publishing = false;
+  Object.entries(LOG_LEVELS).forEach(([method, level]) => {
+    originals[method] = target[method];
+    target[method] = (...args) => {
+      originals[method].apply(target, args);
+      if (publishing) return;
+      publishing = true;
+      try {
+        const message = util.format(...args).slice(0, MAX_LOG_LENGTH);
+        if (message.trim()) bus.publish('log', 'line', { level, message });
+      } finally {
+        publishing = false;
+      }
+    };
+  });
+  return () => Object.assign(target, originals);
+}
+
+module.exports = {
+  TOPICS,
+  EventError,
+  parseTopics,
+  EventBus,
+  captureConsole
+};
@@ -0,0 +1,139 @@
+/**
+ * NEMO Demo Fixtures
+ * Recorded council answers that make demo mode reproducible. Each member's
+ * fixtures are one file, <dir>/<KEY>.json:
+ *   { "member": "MONK", "fixtures": [{ id, query, complexity, promptHash,
+ *     response, usage: { promptTokens, completionTokens }, model, provider, recordedAt }] }
+ * A demo answer is the fixture whose query matches the question: exactly
+ * (after the cache's normalization), else the most similar wording at or
+ * above the similarity threshold.
+ *
+ * Modes (council-routing.json "demo.mode", or NEMO_DEMO_MODE):
+ *   auto    fixtures answer only when no provider is configured (the default)
+ *   replay  every answer comes from fixtures; providers are never called
+ *   record  providers answer as usual and every answer is saved as a fixture
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeQuery } = require('./nemo-patterns');
+const { similarity } = require('./nemo-debate');
+
+const DEMO_MODES = ['auto', 'replay', 'record'];
+const DEFAULT_SIMILARITY = 0.8;
+
+// Same member and same question (ignoring case, spacing and punctuation) -> same id
+function fixtureId(member, query) {
+  return crypto.createHash('sha256').update(`${member}\n${normalizeQuery(query)}`).digest('hex').slice(0, 12);
+}
+
+class FixtureLibrary {
+  constructor(dir) {
+    this.dir = dir;
+    // member -> { mtimeMs, fixtures }; files are re-read when they change on disk
+    this.loaded = new Map();
+  }
+
+  file(member) {
+    return path.join(this.dir, `${member}.json`);
+  }
+
+  load(member) {
+    const file = this.file(member);
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (err) {
+      return [];
+    }
+
+    const cached = this.loaded.get(member);
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.fixtures;
+
+    let fixtures = [];
+    try {
+      fixtures = JSON.parse(fs.readFileSync(file, 'utf8')).fixtures || [];
+    } catch (err) {
+      console.error(`Failed to load fixtures ${file}:`, err.message);
+    }
+    this.loaded.set(member, { mtimeMs: stat.mtimeMs, fixtures });
+    return fixtures;
+  }
+
+  /**
+   * The fixture answering `query` for `member`, or null.
+   * Returns the fixture plus match ('exact' | 'similar') and similarity.
+   */
+  match(member, query, options = {}) {
+    const fixtures = this.load(member);
+    const id = fixtureId(member, query);
+    const exact = fixtures.find(fixture => fixture.id === id);
+    if (exact) return { ...exact, match: 'exact', similarity: 1 };
+
+    const threshold = options.similarity === undefined ? DEFAULT_SIMILARITY : options.similarity;
+    if (!threshold) return null;
+
+    const normalized = normalizeQuery(query);
+    let best = null;
+    let bestScore = 0;
+    fixtures.forEach(fixture => {
+      const score = similarity(normalizeQuery(fixture.query), normalized);
+      if (score >= threshold && score > bestScore) {
+        best = fixture;
+        bestScore = score;
+      }
+    });
+    return best ? { ...best, match: 'similar', similarity: bestScore } : null;
+  }
+
+  /**
+   * Save an answer as the fixture for (member, query), replacing an earlier
+   * recording of the same question. Returns the fixture.
+   */
+  record(member, query, answer) {
+    const fixture = {
+      id: fixtureId(member, query),
+      query,
+      complexity: answer.complexity || null,
+      promptHash: answer.promptHash || null,
+      response: answer.response,
+      usage: {
+        promptTokens: answer.usage ? answer.usage.promptTokens : 0,
+        completionTokens: answer.usage ? answer.usage.completionTokens : 0
+      },
+      model: answer.model || null,
+      provider: answer.provider || null,
+      recordedAt: new Date().toISOString()
+    };
+
+    const fixtures = this.load(member).filter(existing => existing.id !== fixture.id);
+    fixtures.push(fixture);
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.file(member), JSON.stringify({ member, fixtures }, null, 2) + '\n');
+    this.loaded.delete(member);
+    return fixture;
+  }
+
+  // Fixture counts per member file
+  summary() {
+    if (!fs.existsSync(this.dir)) return {};
+    const counts = {};
+    fs.readdirSync(this.dir).filter(file => file.endsWith('.json')).forEach(file => {
+      const member = path.basename(file, '.json');
+      counts[member] = this.load(member).length;
+    });
+    return counts;
+  }
+
+  list(member) {
+    return this.load(member);
+  }
+}
+
+module.exports = {
+  DEMO_MODES,
+  DEFAULT_SIMILARITY,
+  fixtureId,
+  FixtureLibrary
+};
@@ -0,0 +1,133 @@
+/**
+ * NEMO Council Health
+ * Probes a member's provider with a one-token completion and reports
+ * reachability, auth, model availability, latency and quota problems.
+ */
+
+const { ProviderError } = require('./nemo-providers');
+
+// Probe results are reused for this long unless a fresh probe is forced
+const HEALTH_TTL_MS = 60 * 1000;
+
+const PROBE_MESSAGES = [{ role: 'user', content: 'ping' }];
+const PROBE_TIMEOUT_MS = 10000;
+
+// Quota exhaustion arrives as 402, or as a 429 whose message says so
+function isQuotaError(err) {
+  return err.type === 'quota' ||
+    (err.type === 'rate_limit' && /quota|credit|billing|insufficient/i.test(err.message));
+}
+
+function isModelError(err) {
+  return err.type === 'not_found' || (err.type === 'bad_request' && /model/i.test(err.message));
+}
+
+/**
+ * Probe one provider/route pair.
+ * status: ok | not_configured | unreachable | timeout | auth_failed |
+ *         model_unavailable | quota_exceeded | rate_limited | error
+ */
+async function probeProvider(provider, route, options = {}) {
+  const result = {
+    provider: provider.name,
+    model: route.model,
+    baseUrl: provider.baseUrl,
+    status: 'ok',
+    reachable: null,
+    authValid: null,
+    modelAvailable: null,
+    quotaError: false,
+    latency: null,
+    error: null,
+    checkedAt: new Date().toISOString()
+  };
+
+  if (provider.requiresKey && !provider.apiKey) {
+    return { ...result, status: 'not_configured', error: 'No API key configured' };
+  }
+
+  const timeoutMs = Math.min(options.timeoutMs || PROBE_TIMEOUT_MS, PROBE_TIMEOUT_MS);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new ProviderError(provider.name,
+    `${provider.name} did not answer within ${timeoutMs}ms`, { type: 'timeout' })), timeoutMs);
+
+  const startTime = Date.now();
+  try {
+    await provider.complete({
+      model: route.model,
+      messages: PROBE_MESSAGES,
+      maxTokens: 1,
+      temperature: 0,
+      signal: controller.signal
+    });
+    return {
+      ...result,
+      reachable: true,
+      authValid: true,
+      modelAvailable: true,
+      latency: Date.now() - startTime
+    };
+  } catch (err) {
+    const latency = Date.now() - startTime;
+    const failure = { ...result, latency, error: err.message, errorType: err.type || 'network' };
+
+    if (err.type === 'network' || !err.type) {
+      return { ...failure, status: 'unreachable', reachable: false, latency: null };
+    }
+    if (err.type === 'timeout') {
+      return { ...failure, status: 'timeout', reachable: false };
+    }
+    if (err.type === 'auth') {
+      return { ...failure, status: 'auth_failed', reachable: true, authValid: false };
+    }
+    if (isQuotaError(err)) {
+      return { ...failure, status: 'quota_exceeded', reachable: true, authValid: true, quotaError: true };
+    }
+    if (err.type === 'rate_limit') {
+      return { ...failure, status: 'rate_limited', reachable: true, authValid: true };
+    }
+    if (isModelError(err)) {
+      return { ...failure, status: 'model_unavailable', reachable: true, authValid: true, modelAvailable: false };
+    }
+    return { ...failure, status: 'error', reachable: true };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+class HealthCache {
+  constructor(ttlMs = HEALTH_TTL_MS) {
+    this.ttlMs = ttlMs;
+    this.results = new Map();
+  }
+
+  get(key) {
+    const entry = this.results.get(key);
+    if (!entry || Date.now() - entry.storedAt > this.ttlMs) return null;
+    return { ...entry.result, cached: true };
+  }
+
+  set(key, result) {
+    this.results.set(key, { result, storedAt: Date.now() });
+    return { ...result, cached: false };
+  }
+
+  delete(key) {
+    this.results.delete(key);
+  }
+
+  // Latest result per member, including stale ones (marked as such)
+  all() {
+    const snapshot = {};
+    this.results.forEach((entry, key) => {
+      snapshot[key] = { ...entry.result, stale: Date.now() - entry.storedAt > this.ttlMs };
+    });
+    return snapshot;
+  }
+}
+
+module.exports = {
+  HEALTH_TTL_MS,
+  probeProvider,
+  HealthCache
+};
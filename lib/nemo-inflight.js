@@ -0,0 +1,102 @@
+/**
+ * NEMO In-Flight Requests
+ * Council requests that are still running, each with an id and an
+ * AbortController. Cancelling a request aborts its provider calls
+ * (callWithPolicy ties the signal to every attempt), so a slow member can be
+ * stopped without waiting for it.
+ *
+ * Clients may choose the id (requestId in the body) so they can cancel a
+ * request before its response starts; otherwise one is generated and
+ * returned in the X-Request-Id header.
+ */
+
+const crypto = require('crypto');
+
+const REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+const MAX_QUERY_PREVIEW = 120;
+
+class CancelledError extends Error {
+  constructor(requestId, message = 'Request cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+    this.requestId = requestId;
+    // nginx's "client closed request"; the query never produced an answer
+    this.status = 499;
+  }
+}
+
+function validRequestId(id) {
+  return typeof id === 'string' && REQUEST_ID_PATTERN.test(id);
+}
+
+// Throw the cancellation if the signal has been aborted
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw signal.reason;
+}
+
+class InflightRegistry {
+  constructor() {
+    this.requests = new Map();
+  }
+
+  has(id) {
+    return this.requests.has(id);
+  }
+
+  /**
+   * Register a request. details: { id?, kind, members, query }.
+   * Returns the entry; entry.signal goes to askCouncilMember.
+   */
+  start({ id, kind, members, query }) {
+    const controller = new AbortController();
+    const entry = {
+      id: id || crypto.randomUUID(),
+      kind,
+      members,
+      query: String(query || '').slice(0, MAX_QUERY_PREVIEW),
+      startedAt: Date.now(),
+      cancelledAt: null,
+      controller,
+      signal: controller.signal
+    };
+    this.requests.set(entry.id, entry);
+    return entry;
+  }
+
+  finish(id) {
+    this.requests.delete(id);
+  }
+
+  // Returns false when no such request is running
+  cancel(id, reason = 'Request cancelled') {
+    const entry = this.requests.get(id);
+    if (!entry) return false;
+    if (!entry.cancelledAt) {
+      entry.cancelledAt = Date.now();
+      entry.controller.abort(new CancelledError(id, reason));
+    }
+    return true;
+  }
+
+  list() {
+    const now = Date.now();
+    return Array.from(this.requests.values())
+      .sort((a, b) => a.startedAt - b.startedAt)
+      .map(entry => ({
+        id: entry.id,
+        kind: entry.kind,
+        members: entry.members,
+        query: entry.query,
+        status: entry.cancelledAt ? 'cancelling' : 'running',
+        startedAt: new Date(entry.startedAt).toISOString(),
+        elapsed: now - entry.startedAt
+      }));
+  }
+}
+
+module.exports = {
+  CancelledError,
+  InflightRegistry,
+  validRequestId,
+  throwIfCancelled
+};
@@ -0,0 +1,393 @@
+/**
+ * NEMO Background Jobs
+ * One queue for every long operation the backend runs (loop scans, codebase
+ * analysis, config reindex, batch council queries). Each job type registers a
+ * handler; the queue runs at most `concurrency()` jobs at once (the tier's
+ * workers) and at most the type's own limit of one type.
+ *
+ * A handler is called as run(params, context) and resolves to a small JSON
+ * result. context has:
+ *   signal                    aborted when the job is cancelled
+ *   progress(percent, text)   shown while the job runs
+ *   log(message, level)       kept with the job record
+ *   artifact(name, content)   writes .nemo/jobs/<id>/<name>, returns its path
+ *
+ * Records are saved to .nemo/jobs/<id>.json on every state change, so the
+ * history survives restarts. A job that was queued or running when the
+ * server stopped is loaded back as "interrupted" and can be retried.
+ *
+ * onChange(fn) listeners are called as fn(job, change) after every saved
+ * change ("update"), on progress ("progress") and when a job is deleted
+ * ("removed"); the backend relays them to the GUI's event stream.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CancelledError } = require('./nemo-inflight');
+const { ToolError, resolveInWorkspace } = require('./nemo-tools');
+
+const JOB_STATES = ['queued', 'running', 'completed', 'failed', 'cancelled', 'interrupted'];
+const RETRYABLE_STATES = ['failed', 'cancelled', 'interrupted'];
+const MAX_LOGS = 200;
+const DEFAULT_HISTORY = 200;
+const ARTIFACT_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+class JobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'JobError';
+    this.status = status;
+  }
+}
+
+/**
+ * Resolve a requested directory to { root, dir } for jobs that scan the
+ * filesystem. Relative targets resolve against the first root; absolute ones
+ * must lie inside one of the roots. Throws JobError for anything outside them
+ * or not a directory.
+ */
+function resolveJobTarget(target, roots) {
+  if (typeof target !== 'string' || !target.trim()) throw new JobError('target must be a non-empty string');
+  const candidates = path.isAbsolute(target) ? roots : roots.slice(0, 1);
+  let refusal = null;
+
+  for (const root of candidates) {
+    let dir;
+    try {
+      dir = resolveInWorkspace(root, target);
+    } catch (err) {
+      if (err instanceof ToolError) refusal = err.message;
+      else if (err.code !== 'ENOENT') throw err;
+      continue;
+    }
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new JobError(`Not a directory: ${target}`);
+    }
+    return { root: fs.realpathSync(root), dir };
+  }
+  throw new JobError(candidates.length === 1 && refusal ? refusal : `Target is outside the allowed roots: ${target}`);
+}
+
+class Job {
+  constructor({ type, params = {}, createdBy = null }) {
+    this.id = crypto.randomUUID();
+    this.type = type;
+    this.params = params;
+    this.status = 'queued';
+    this.attempts = 0;
+    this.createdBy = createdBy;
+    this.createdAt = new Date().toISOString();
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.progress = { percent: 0, message: null };
+    this.logs = [];
+    this.result = null;
+    this.artifacts = [];
+    this.error = null;
+  }
+
+  static fromJSON(data) {
+    const job = Object.assign(Object.create(Job.prototype), data);
+    if (job.status === 'running' || job.status === 'queued') {
+      job.status = 'interrupted';
+      job.addLog('Server stopped before the job finished', 'warning');
+    }
+    return job;
+  }
+
+  get active() {
+    return this.status === 'queued' || this.status === 'running';
+  }
+
+  addLog(message, level = 'info') {
+    this.logs.push({ at: new Date().toISOString(), level, message: String(message) });
+    if (this.logs.length > MAX_LOGS) this.logs.splice(0, this.logs.length - MAX_LOGS);
+  }
+
+  durationMs() {
+    if (!this.startedAt) return null;
+    return (this.finishedAt ? Date.parse(this.finishedAt) : Date.now()) - Date.parse(this.startedAt);
+  }
+
+  summary() {
+    return {
+      id: this.id,
+      type: this.type,
+      params: this.params,
+      status: this.status,
+      attempts: this.attempts,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      durationMs: this.durationMs(),
+      progress: this.progress,
+      result: this.result,
+      artifacts: this.artifacts.map(({ name, size }) => ({ name, size })),
+      error: this.error
+    };
+  }
+
+  // Summary plus the log and where the artifacts are stored
+  toJSON() {
+    return { ...this.summary(), artifacts: this.artifacts, logs: this.logs };
+  }
+}
+
+class JobQueue {
+  /**
+   * @param {string} dir - where records and artifacts are saved (.nemo/jobs)
+   * @param {Object} options
+   * @param {Function} options.concurrency - () => how many jobs may run at once
+   * @param {number} options.history - finished jobs kept before the oldest are deleted
+   */
+  constructor(dir, { concurrency = () => 2, history = DEFAULT_HISTORY } = {}) {
+    this.dir = dir;
+    this.concurrency = concurrency;
+    this.history = history;
+    this.types = new Map();
+    this.jobs = new Map();
+    this.writes = new Map();
+    // Abort controllers of running jobs
+    this.active = new Map();
+    this.listeners = new Set();
+    this.load();
+  }
+
+  /**
+   * @param {string} type
+   * @param {Object} handler - { run(params, context), concurrency?, retry?, onCancel?(params) }
+   *   onCancel is called when a job is cancelled before it started
+   */
+  register(type, { run, concurrency = Infinity, retry = true, onCancel = null }) {
+    this.types.set(type, { run, concurrency, retry, onCancel });
+  }
+
+  // Returns a function that removes the listener
+  onChange(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  notify(job, change) {
+    this.listeners.forEach(fn => {
+      try {
+        fn(job, change);
+      } catch (err) {
+        console.error(`Job listener failed for ${job.id}:`, err.message);
+      }
+    });
+  }
+
+  load() {
+    if (!fs.existsSync(this.dir)) return;
+    fs.readdirSync(this.dir).filter(file => file.endsWith('.json')).forEach(file => {
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        const interrupted = data.status === 'running' || data.status === 'queued';
+        const job = Job.fromJSON(data);
+        this.jobs.set(job.id, job);
+        if (interrupted) this.save(job);
+      } catch (err) {
+        console.error(`Failed to load job ${file}:`, err.message);
+      }
+    });
+  }
+
+  // Writes per job are chained so a slow write never lands after a newer one
+  save(job) {
+    const snapshot = JSON.stringify({ ...job });
+    const previous = this.writes.get(job.id) || Promise.resolve();
+    const write = previous.then(async () => {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      await fs.promises.writeFile(path.join(this.dir, `${job.id}.json`), snapshot);
+    }).catch(err => console.error(`Failed to save job ${job.id}:`, err.message));
+    this.writes.set(job.id, write);
+    this.notify(job, 'update');
+    return write;
+  }
+
+  /**
+   * Newest first. filter: { type, status, limit }; status "active" means queued or running.
+   */
+  list({ type, status, limit } = {}) {
+    let jobs = Array.from(this.jobs.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    if (type) jobs = jobs.filter(job => job.type === type);
+    if (status === 'active') jobs = jobs.filter(job => job.active);
+    else if (status) jobs = jobs.filter(job => job.status === status);
+    if (limit > 0) jobs = jobs.slice(0, limit);
+    return jobs.map(job => job.summary());
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // The newest job matching predicate(job)
+  find(predicate) {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .find(predicate) || null;
+  }
+
+  /**
+   * Queue a job of a registered type. Returns the job at once.
+   */
+  submit(type, params = {}, { createdBy = null } = {}) {
+    if (!this.types.has(type)) throw new JobError(`Unknown job type: ${type}`);
+    const job = new Job({ type, params, createdBy });
+    job.addLog('Queued');
+    this.jobs.set(job.id, job);
+    this.save(job);
+    this.prune();
+    this.pump();
+    return job;
+  }
+
+  // Start queued jobs, oldest first, while there are free slots
+  pump() {
+    const running = Array.from(this.jobs.values()).filter(job => job.status === 'running');
+    const queued = Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of queued) {
+      if (running.length >= Math.max(1, this.concurrency())) break;
+      const sameType = running.filter(other => other.type === job.type).length;
+      if (sameType >= this.types.get(job.type).concurrency) continue;
+      running.push(job);
+      this.execute(job);
+    }
+  }
+
+  async execute(job) {
+    const handler = this.types.get(job.type);
+    const controller = new AbortController();
+    this.active.set(job.id, controller);
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    job.finishedAt = null;
+    job.error = null;
+    job.addLog(job.attempts > 1 ? `Started (attempt ${job.attempts})` : 'Started');
+    this.save(job);
+
+    const context = {
+      signal: controller.signal,
+      progress: (percent, message = null) => {
+        job.progress = { percent: Math.max(0, Math.min(100, Math.round(percent))), message };
+        this.notify(job, 'progress');
+      },
+      log: (message, level = 'info') => {
+        job.addLog(message, level);
+        this.save(job);
+      },
+      artifact: (name, content) => this.writeArtifact(job, name, content)
+    };
+
+    try {
+      const result = await handler.run(job.params, context);
+      if (controller.signal.aborted) throw controller.signal.reason;
+      job.status = 'completed';
+      job.result = result === undefined ? null : result;
+      job.progress = { percent: 100, message: job.progress.message };
+      job.addLog('Completed');
+    } catch (err) {
+      if (controller.signal.aborted) {
+        job.status = 'cancelled';
+        job.addLog('Cancelled', 'warning');
+      } else {
+        job.status = 'failed';
+        job.error = err.message;
+        job.addLog(`Failed: ${err.message}`, 'error');
+        console.error(`Job ${job.id} (${job.type}) failed:`, err.message);
+      }
+    } finally {
+      this.active.delete(job.id);
+      job.finishedAt = new Date().toISOString();
+      await this.save(job);
+      this.pump();
+    }
+  }
+
+  writeArtifact(job, name, content) {
+    if (!ARTIFACT_NAME.test(name)) throw new JobError(`Invalid artifact name: ${name}`);
+    const dir = path.join(this.dir, job.id);
+    const file = path.join(dir, name);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+    const entry = { name, path: file, size: fs.statSync(file).size, createdAt: new Date().toISOString() };
+    job.artifacts = job.artifacts.filter(artifact => artifact.name !== name).concat(entry);
+    this.save(job);
+    return file;
+  }
+
+  // { path, size } of a stored artifact, or null
+  artifact(id, name) {
+    const job = this.jobs.get(id);
+    const entry = job && job.artifacts.find(artifact => artifact.name === name);
+    return entry && fs.existsSync(entry.path) ? entry : null;
+  }
+
+  // A queued job never starts; a running one is aborted
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || !job.active) return false;
+    const controller = this.active.get(id);
+    if (controller) {
+      controller.abort(new CancelledError(id, 'Job cancelled'));
+    } else {
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      job.addLog('Cancelled before it started', 'warning');
+      this.save(job);
+      const handler = this.types.get(job.type);
+      if (handler && handler.onCancel) handler.onCancel(job.params);
+    }
+    return true;
+  }
+
+  // Queue a failed, cancelled or interrupted job again under the same id
+  retry(id) {
+    const job = this.jobs.get(id);
+    if (!job || !RETRYABLE_STATES.includes(job.status) || this.active.has(id)) return null;
+    if (!this.types.has(job.type)) throw new JobError(`Unknown job type: ${job.type}`);
+    if (!this.types.get(job.type).retry) throw new JobError(`${job.type} jobs cannot be retried`, 409);
+    job.status = 'queued';
+    job.error = null;
+    job.progress = { percent: 0, message: null };
+    job.addLog('Queued for retry');
+    this.save(job);
+    this.pump();
+    return job;
+  }
+
+  async remove(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.active || this.active.has(id)) return false;
+    this.jobs.delete(id);
+    await (this.writes.get(id) || Promise.resolve());
+    this.writes.delete(id);
+    await fs.promises.unlink(path.join(this.dir, `${id}.json`)).catch(() => {});
+    await fs.promises.rm(path.join(this.dir, id), { recursive: true, force: true });
+    this.notify(job, 'removed');
+    return true;
+  }
+
+  // Delete the oldest finished jobs beyond the history limit
+  prune() {
+    const finished = Array.from(this.jobs.values())
+      .filter(job => !job.active)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    finished.slice(this.history).forEach(job => this.remove(job.id));
+  }
+}
+
+module.exports = {
+  JOB_STATES,
+  JobError,
+  resolveJobTarget,
+  Job,
+  JobQueue
+};
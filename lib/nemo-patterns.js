@@ -0,0 +1,218 @@
+/**
+ * NEMO Pattern Cache
+ * Council response cache keyed by member, model, prompt and normalized query,
+ * sized per memory tier and persisted to .nemo/cache/responses.json.
+ *
+ * Tier sizing comes from the tier's cacheStrategy in memory-tiers.json
+ * (minimal / balanced / unlimited); a tier may override it with
+ *   "cache": { "maxSize": 500, "ttlMs": 900000 }
+ *
+ * Optional similarity matching (council-routing.json):
+ *   "cache": { "enabled": true, "similarity": 0.92 }
+ * serves a cached answer for a differently-worded query with the same
+ * member, model, prompt and history when the wording is at least that similar.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { similarity } = require('./nemo-debate');
+
+// null means unlimited (JSON has no Infinity)
+const CACHE_STRATEGIES = {
+  minimal: { maxSize: 100, ttlMs: 300000 },
+  balanced: { maxSize: 1000, ttlMs: 600000 },
+  unlimited: { maxSize: null, ttlMs: null }
+};
+
+const TIER_STRATEGY = {
+  efficient: 'minimal',
+  performance: 'balanced',
+  ascension: 'unlimited'
+};
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+// Case, punctuation and spacing do not change the question
+function normalizeQuery(query) {
+  return (query || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}#]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Size and TTL for a tier from the memory-tiers config.
+ */
+function cacheSettings(tiers, tier) {
+  const tierConfig = ((tiers && tiers.tiers) || {})[tier] || {};
+  const strategy = CACHE_STRATEGIES[tierConfig.cacheStrategy || TIER_STRATEGY[tier]] || CACHE_STRATEGIES.minimal;
+  return { ...strategy, ...(tierConfig.cache || {}) };
+}
+
+class ResponseCache {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.maxSize = options.maxSize === undefined ? CACHE_STRATEGIES.minimal.maxSize : options.maxSize;
+    this.ttlMs = options.ttlMs === undefined ? CACHE_STRATEGIES.minimal.ttlMs : options.ttlMs;
+    this.entries = new Map();
+    this.stats = { hits: 0, similarHits: 0, misses: 0, tokensSaved: 0 };
+    this.writing = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    try {
+      const { entries } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      (entries || []).forEach(entry => this.entries.set(entry.id, entry));
+      this.prune();
+    } catch (err) {
+      console.error(`Failed to load ${this.file}:`, err.message);
+    }
+  }
+
+  // Writes are chained so a slow write never lands after a newer one
+  save() {
+    if (!this.file) return this.writing;
+    const snapshot = JSON.stringify({ entries: Array.from(this.entries.values()) });
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(this.file, snapshot);
+    }).catch(err => console.error(`Failed to save ${this.file}:`, err.message));
+    return this.writing;
+  }
+
+  /**
+   * Cache identity. `scope` covers everything except the query wording
+   * (member, model, system prompt, replayed history) and is what similarity
+   * matching searches within; `id` adds the normalized query.
+   */
+  keyFor({ member, model, system, history, query }) {
+    const scope = hash([member, model || null, system || '', (history || []).map(m => [m.role, m.content])]);
+    const normalized = normalizeQuery(query);
+    return { id: hash([scope, normalized]), scope, normalized };
+  }
+
+  expired(entry, now = Date.now()) {
+    return this.ttlMs !== null && now - entry.createdAt > this.ttlMs;
+  }
+
+  prune() {
+    const now = Date.now();
+    this.entries.forEach((entry, id) => {
+      if (this.expired(entry, now)) this.entries.delete(id);
+    });
+    while (this.maxSize !== null && this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Look up a request. Returns { entry, match: 'exact' | 'similar', similarity }
+   * or null. Hits move to the back of the eviction order.
+   */
+  get(request, options = {}) {
+    const { id, scope, normalized } = this.keyFor(request);
+    let entry = this.entries.get(id);
+    let match = 'exact';
+    let score = 1;
+
+    if (entry && this.expired(entry)) {
+      this.entries.delete(id);
+      entry = null;
+    }
+
+    if (!entry && options.similarity) {
+      this.entries.forEach(candidate => {
+        if (candidate.scope !== scope || this.expired(candidate)) return;
+        const candidateScore = similarity(candidate.query, normalized);
+        if (candidateScore >= options.similarity && candidateScore > (entry ? score : 0)) {
+          entry = candidate;
+          score = candidateScore;
+        }
+      });
+      match = 'similar';
+    }
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    entry.hits++;
+    this.stats.hits++;
+    if (match === 'similar') this.stats.similarHits++;
+    this.stats.tokensSaved += (entry.usage && entry.usage.totalTokens) || 0;
+    this.entries.delete(entry.id);
+    this.entries.set(entry.id, entry);
+    return { entry, match, similarity: score };
+  }
+
+  set(request, value) {
+    const { id, scope, normalized } = this.keyFor(request);
+    this.entries.delete(id);
+    this.entries.set(id, {
+      id,
+      scope,
+      member: request.member,
+      model: request.model || null,
+      query: normalized,
+      response: value.response,
+      usage: value.usage || null,
+      provider: value.provider || null,
+      confidence: value.confidence === undefined ? null : value.confidence,
+      confidenceMethod: value.confidenceMethod || 'none',
+      createdAt: Date.now(),
+      hits: 0
+    });
+    this.prune();
+    this.save();
+  }
+
+  // Remove every entry, or only one member's; returns the number removed
+  purge(member) {
+    let removed = 0;
+    this.entries.forEach((entry, id) => {
+      if (!member || entry.member === member) {
+        this.entries.delete(id);
+        removed++;
+      }
+    });
+    if (removed) this.save();
+    return removed;
+  }
+
+  summary() {
+    this.prune();
+    const byMember = {};
+    this.entries.forEach(entry => {
+      byMember[entry.member] = (byMember[entry.member] || 0) + 1;
+    });
+    return {
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      ttlMs: this.ttlMs,
+      stats: { ...this.stats },
+      byMember,
+      entries: Array.from(this.entries.values()).reverse().map(entry => ({
+        id: entry.id,
+        member: entry.member,
+        model: entry.model,
+        query: entry.query,
+        hits: entry.hits,
+        createdAt: new Date(entry.createdAt).toISOString(),
+        expiresAt: this.ttlMs === null ? null : new Date(entry.createdAt + this.ttlMs).toISOString()
+      }))
+    };
+  }
+}
+
+module.exports = {
+  CACHE_STRATEGIES,
+  normalizeQuery,
+  cacheSettings,
+  ResponseCache
+};
@@ -0,0 +1,203 @@
+/**
+ * NEMO Prompt Templates
+ * Council system prompts as versioned templates.
+ *
+ * Built-in templates ship in prompts/ (prompts/council/<key>.md for the five
+ * default members, prompts/conductor.md for the conductor persona). A member's
+ * registry prompt is its version 1; edits made through the prompts API are
+ * stored as further versions under .nemo/prompts/<KEY>/:
+ *   v1.md, v2.md, ...   the template of each version
+ *   history.json        { active, versions: [{ version, createdAt, note, hash }] }
+ * Rolling back only moves `active`; no version is ever deleted.
+ *
+ * Template syntax:
+ *   {{name}}                 replaced by the variable (empty when unset)
+ *   {{#name}}...{{/name}}    kept only when the variable is non-empty
+ * Variables: member, complexity, project, tier, memory, council, date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TEMPLATE_VARIABLES = ['member', 'complexity', 'project', 'tier', 'memory', 'council', 'date'];
+const BUILTIN_DIR = path.join(__dirname, '../prompts');
+
+class PromptError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PromptError';
+    this.status = status;
+  }
+}
+
+function loadBuiltinTemplate(name) {
+  return fs.readFileSync(path.join(BUILTIN_DIR, `${name}.md`), 'utf8').trim();
+}
+
+function templateHash(template) {
+  return crypto.createHash('sha256').update(template).digest('hex').slice(0, 12);
+}
+
+// Variable names a template refers to, in order of first use
+function templateVariables(template) {
+  const names = [];
+  (template.match(/\{\{[#/]?\s*(\w+)\s*\}\}/g) || []).forEach(tag => {
+    const name = tag.replace(/[{}#/\s]/g, '');
+    if (!names.includes(name)) names.push(name);
+  });
+  return names;
+}
+
+// Returns an error message, or null when the template can be rendered
+function validateTemplate(template) {
+  if (typeof template !== 'string' || !template.trim()) return 'Template must be a non-empty string';
+  const unknown = templateVariables(template).filter(name => !TEMPLATE_VARIABLES.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown template variables: ${unknown.join(', ')} (available: ${TEMPLATE_VARIABLES.join(', ')})`;
+  }
+  const opened = (template.match(/\{\{#\s*\w+\s*\}\}/g) || []).length;
+  const closed = (template.match(/\{\{\/\s*\w+\s*\}\}/g) || []).length;
+  if (opened !== closed) return 'Every {{#name}} section needs a matching {{/name}}';
+  return null;
+}
+
+function renderTemplate(template, variables = {}) {
+  const value = name => {
+    const v = variables[name];
+    return v === undefined || v === null ? '' : String(v);
+  };
+
+  return template
+    .replace(/\{\{#\s*(\w+)\s*\}\}\n?([\s\S]*?)\{\{\/\s*\1\s*\}\}\n?/g, (match, name, body) => (value(name).trim() ? body : ''))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => value(name))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+class PromptStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  historyPath(key) {
+    return path.join(this.dir, key, 'history.json');
+  }
+
+  readHistory(key) {
+    const file = this.historyPath(key);
+    if (!fs.existsSync(file)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      console.error(`Failed to load ${file}:`, err.message);
+      return null;
+    }
+  }
+
+  readTemplate(key, version) {
+    return fs.readFileSync(path.join(this.dir, key, `v${version}.md`), 'utf8');
+  }
+
+  writeVersion(key, history, template, note) {
+    const version = history.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+    fs.mkdirSync(path.join(this.dir, key), { recursive: true });
+    fs.writeFileSync(path.join(this.dir, key, `v${version}.md`), template);
+    history.versions.push({ version, createdAt: new Date().toISOString(), note: note || null, hash: templateHash(template) });
+    history.active = version;
+    return version;
+  }
+
+  // First write for a member: its registry prompt becomes a stored version 1
+  ensureHistory(key, registryPrompt) {
+    const history = this.readHistory(key);
+    if (history) return history;
+    const created = { active: 1, versions: [] };
+    this.writeVersion(key, created, registryPrompt, 'Registry prompt');
+    return created;
+  }
+
+  saveHistory(key, history) {
+    fs.writeFileSync(this.historyPath(key), JSON.stringify(history, null, 2));
+  }
+
+  /**
+   * The template a member should use: `version` when given, else the active
+   * one. Members without stored history use their registry prompt as v1.
+   * Returns { version, template, hash }; throws PromptError for unknown versions.
+   */
+  resolve(key, registryPrompt, version) {
+    const history = this.readHistory(key);
+    const wanted = version === undefined || version === null ? null : parseInt(version, 10);
+
+    if (!history) {
+      if (wanted !== null && wanted !== 1) throw new PromptError(`Unknown prompt version for ${key}: ${version}`, 404);
+      return { version: 1, template: registryPrompt, hash: templateHash(registryPrompt) };
+    }
+
+    const selected = wanted === null ? history.active : wanted;
+    const entry = history.versions.find(v => v.version === selected);
+    if (!entry) throw new PromptError(`Unknown prompt version for ${key}: ${version}`, 404);
+    return { version: entry.version, template: this.readTemplate(key, entry.version), hash: entry.hash };
+  }
+
+  /**
+   * Every version with its template, newest first.
+   */
+  list(key, registryPrompt) {
+    const history = this.readHistory(key);
+    if (!history) {
+      return {
+        active: 1,
+        versions: [{ version: 1, createdAt: null, note: 'Registry prompt', hash: templateHash(registryPrompt), template: registryPrompt }]
+      };
+    }
+    return {
+      active: history.active,
+      versions: history.versions
+        .map(entry => ({ ...entry, template: this.readTemplate(key, entry.version) }))
+        .reverse()
+    };
+  }
+
+  /**
+   * Store a new version and make it active. Saving the active template
+   * again is a no-op. Returns the active version number.
+   */
+  save(key, registryPrompt, template, note) {
+    const error = validateTemplate(template);
+    if (error) throw new PromptError(error);
+
+    const history = this.ensureHistory(key, registryPrompt);
+    const active = history.versions.find(v => v.version === history.active);
+    if (active && active.hash === templateHash(template)) {
+      this.saveHistory(key, history);
+      return history.active;
+    }
+
+    const version = this.writeVersion(key, history, template, note);
+    this.saveHistory(key, history);
+    return version;
+  }
+
+  rollback(key, registryPrompt, version) {
+    const history = this.ensureHistory(key, registryPrompt);
+    const target = parseInt(version, 10);
+    if (!history.versions.some(v => v.version === target)) {
+      throw new PromptError(`Unknown prompt version for ${key}: ${version}`, 404);
+    }
+    history.active = target;
+    this.saveHistory(key, history);
+    return target;
+  }
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  PromptError,
+  PromptStore,
+  loadBuiltinTemplate,
+  templateVariables,
+  validateTemplate,
+  renderTemplate
+};
@@ -0,0 +1,583 @@
+/**
+ * NEMO Provider Adapters
+ * One interface over OpenAI-compatible, OpenRouter, Anthropic and Ollama backends.
+ * Every adapter returns { content, model, provider, usage } and throws ProviderError;
+ * stream() yields token deltas followed by the same usage shape.
+ *
+ * Tool calling uses one message shape across providers:
+ *   request.tools: [{ name, description, parameters (JSON Schema) }]
+ *   result.toolCalls: [{ id, name, arguments }]
+ *   { role: 'assistant', content, toolCalls } and { role: 'tool', toolCallId, name, content }
+ *   in request.messages; each adapter converts them to its own wire format.
+ */
+
+class ProviderError extends Error {
+  constructor(provider, message, options = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = options.status || null;
+    this.type = options.type || ProviderError.typeForStatus(options.status);
+    this.retryable = ['rate_limit', 'server', 'network', 'timeout'].includes(this.type);
+  }
+
+  static typeForStatus(status) {
+    if (!status) return 'network';
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 402) return 'quota';
+    if (status === 404) return 'not_found';
+    if (status === 429) return 'rate_limit';
+    if (status >= 500) return 'server';
+    return 'bad_request';
+  }
+
+  toJSON() {
+    return {
+      provider: this.provider,
+      type: this.type,
+      status: this.status,
+      message: this.message,
+      retryable: this.retryable
+    };
+  }
+}
+
+// Split a fetch body stream into text lines (SSE and NDJSON are both line based)
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield line.trim();
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) yield buffer.trim();
+}
+
+// Payload of an SSE "data:" line, or null for comments, event names and [DONE]
+function parseSseData(line) {
+  if (!line.startsWith('data:')) return null;
+  const payload = line.slice(5).trim();
+  if (!payload || payload === '[DONE]') return null;
+  try {
+    return JSON.parse(payload);
+  } catch (err) {
+    return null;
+  }
+}
+
+function normalizeUsage(promptTokens, completionTokens) {
+  const prompt = promptTokens || 0;
+  const completion = completionTokens || 0;
+  return { promptTokens: prompt, completionTokens: completion, totalTokens: prompt + completion };
+}
+
+class ProviderAdapter {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey;
+    this.baseUrl = (options.baseUrl || this.constructor.defaultBaseUrl).replace(/\/$/, '');
+  }
+
+  get name() {
+    return this.constructor.providerName;
+  }
+
+  get requiresKey() {
+    return this.constructor.requiresKey;
+  }
+
+  // Whether request.logprobs gets per-token log probabilities back
+  get supportsLogprobs() {
+    return !!this.constructor.supportsLogprobs;
+  }
+
+  // Whether request.jsonSchema is enforced by the provider (native JSON mode)
+  get supportsJsonSchema() {
+    return !!this.constructor.supportsJsonSchema;
+  }
+
+  /**
+   * Send a chat completion.
+   * @param {Object} request - { model, messages, maxTokens, temperature, logprobs, jsonSchema, tools, signal }
+   * Resolves to { provider, content, model, usage, logprobs?, toolCalls? }.
+   */
+  async complete(request) {
+    if (this.requiresKey && !this.apiKey) {
+      throw new ProviderError(this.name, 'No API key configured', { type: 'auth' });
+    }
+
+    const { url, headers, body } = this.buildRequest(request);
+    let response;
+    let text;
+
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: request.signal
+      });
+      text = await response.text();
+    } catch (err) {
+      throw this.transportError(err, request);
+    }
+
+    let data = {};
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (err) {
+      data = { raw: text };
+    }
+
+    if (!response.ok) {
+      throw new ProviderError(this.name, this.errorMessage(data) || text || response.statusText, {
+        status: response.status
+      });
+    }
+
+    const parsed = this.parseResponse(data);
+    return { provider: this.name, ...parsed, model: parsed.model || request.model };
+  }
+
+  /**
+   * Stream a chat completion.
+   * Yields { type: 'delta', text } per token chunk, then one
+   * { type: 'done', provider, model, usage, logprobs? } when the provider finishes.
+   */
+  async *stream(request) {
+    if (this.requiresKey && !this.apiKey) {
+      throw new ProviderError(this.name, 'No API key configured', { type: 'auth' });
+    }
+
+    const { url, headers, body } = this.buildRequest({ ...request, stream: true });
+    let response;
+
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: request.signal
+      });
+    } catch (err) {
+      throw this.transportError(err, request);
+    }
+
+    if (!response.ok) {
+      const text = await response.text();
+      let data = {};
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        data = { raw: text };
+      }
+      throw new ProviderError(this.name, this.errorMessage(data) || text || response.statusText, {
+        status: response.status
+      });
+    }
+
+    let model = request.model;
+    let promptTokens = 0;
+    let completionTokens = 0;
+    const logprobs = [];
+
+    try {
+      for await (const line of readLines(response.body)) {
+        const chunk = this.parseStreamLine(line);
+        if (!chunk) continue;
+
+        if (chunk.model) model = chunk.model;
+        if (chunk.promptTokens) promptTokens = chunk.promptTokens;
+        if (chunk.completionTokens) completionTokens = chunk.completionTokens;
+        if (chunk.logprobs) logprobs.push(...chunk.logprobs);
+        if (chunk.text) yield { type: 'delta', text: chunk.text };
+      }
+    } catch (err) {
+      throw this.transportError(err, request);
+    }
+
+    const done = { type: 'done', provider: this.name, model, usage: normalizeUsage(promptTokens, completionTokens) };
+    if (logprobs.length) done.logprobs = logprobs;
+    yield done;
+  }
+
+  // Map a fetch or body-read failure to a ProviderError; an aborted signal carries
+  // its own reason (a timeout ProviderError or the request's CancelledError)
+  transportError(err, request) {
+    const reason = request.signal && request.signal.aborted ? request.signal.reason : null;
+    if (reason instanceof Error) return reason;
+    if (err instanceof ProviderError) return err;
+    return new ProviderError(this.name, `${this.name} unreachable: ${err.message}`, { type: 'network' });
+  }
+
+  errorMessage(data) {
+    if (typeof data.error === 'string') return data.error;
+    return data.error && data.error.message;
+  }
+}
+
+// Per-token logprobs from an OpenAI-style choice, or undefined
+function choiceLogprobs(choice) {
+  const tokens = choice?.logprobs?.content;
+  return Array.isArray(tokens) ? tokens.map(token => token.logprob) : undefined;
+}
+
+// Tool arguments arrive as a JSON string; a model that writes bad JSON gets an empty object
+function parseArguments(text) {
+  if (text && typeof text === 'object') return text;
+  try {
+    return JSON.parse(text || '{}');
+  } catch (err) {
+    return {};
+  }
+}
+
+function openAIMessages(messages) {
+  return messages.map(message => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.toolCalls) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      };
+    }
+    return message;
+  });
+}
+
+class OpenAIAdapter extends ProviderAdapter {
+  buildRequest({ model, messages, maxTokens, temperature, logprobs, jsonSchema, tools, stream }) {
+    const body = { model, messages: openAIMessages(messages), max_tokens: maxTokens, temperature };
+    if (logprobs) body.logprobs = true;
+    if (tools && tools.length) {
+      body.tools = tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+    }
+    if (jsonSchema) {
+      body.response_format = { type: 'json_schema', json_schema: { name: 'council_answer', schema: jsonSchema } };
+    }
+    if (stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+      body
+    };
+  }
+
+  parseStreamLine(line) {
+    const data = parseSseData(line);
+    if (!data) return null;
+    return {
+      text: data.choices?.[0]?.delta?.content,
+      logprobs: choiceLogprobs(data.choices?.[0]),
+      model: data.model,
+      promptTokens: data.usage?.prompt_tokens,
+      completionTokens: data.usage?.completion_tokens
+    };
+  }
+
+  parseResponse(data) {
+    const toolCalls = (data.choices?.[0]?.message?.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: parseArguments(call.function?.arguments)
+    }));
+    return {
+      content: data.choices?.[0]?.message?.content || '',
+      toolCalls: toolCalls.length ? toolCalls : undefined,
+      logprobs: choiceLogprobs(data.choices?.[0]),
+      model: data.model,
+      usage: normalizeUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens)
+    };
+  }
+}
+OpenAIAdapter.providerName = 'openai';
+OpenAIAdapter.defaultBaseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+OpenAIAdapter.defaultModel = 'gpt-4o-mini';
+OpenAIAdapter.requiresKey = true;
+OpenAIAdapter.supportsLogprobs = true;
+OpenAIAdapter.supportsJsonSchema = true;
+OpenAIAdapter.envKeys = ['OPENAI_API_KEY', 'OPENAI_KEY'];
+
+class OpenRouterAdapter extends OpenAIAdapter {
+  buildRequest(request) {
+    const built = super.buildRequest(request);
+    built.headers['HTTP-Referer'] = 'https://nemo-conductor.app';
+    built.headers['X-Title'] = 'NEMO Conductor';
+    return built;
+  }
+}
+OpenRouterAdapter.providerName = 'openrouter';
+OpenRouterAdapter.defaultBaseUrl = process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
+OpenRouterAdapter.defaultModel = 'anthropic/claude-3-haiku';
+OpenRouterAdapter.requiresKey = true;
+OpenRouterAdapter.envKeys = ['OPENROUTER_API_KEY', 'OPENROUTER_KEY'];
+
+// Anthropic takes tool results as user content blocks; consecutive results share one user turn
+function anthropicMessages(messages) {
+  const converted = [];
+  messages.filter(m => m.role !== 'system').forEach(message => {
+    if (message.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+      const last = converted[converted.length - 1];
+      if (last && last.role === 'user' && Array.isArray(last.content) && last.content[0].type === 'tool_result') {
+        last.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+    } else if (message.toolCalls) {
+      converted.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+        ]
+      });
+    } else {
+      converted.push(message);
+    }
+  });
+  return converted;
+}
+
+class AnthropicAdapter extends ProviderAdapter {
+  buildRequest({ model, messages, maxTokens, temperature, tools, stream }) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    return {
+      url: `${this.baseUrl}/v1/messages`,
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: {
+        model,
+        system: system || undefined,
+        messages: anthropicMessages(messages),
+        max_tokens: maxTokens,
+        temperature,
+        tools: tools && tools.length
+          ? tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }))
+          : undefined,
+        stream: stream || undefined
+      }
+    };
+  }
+
+  parseStreamLine(line) {
+    const data = parseSseData(line);
+    if (!data) return null;
+    if (data.type === 'message_start') {
+      return { model: data.message?.model, promptTokens: data.message?.usage?.input_tokens };
+    }
+    if (data.type === 'content_block_delta') {
+      return { text: data.delta?.text };
+    }
+    if (data.type === 'message_delta') {
+      return { completionTokens: data.usage?.output_tokens };
+    }
+    if (data.type === 'error') {
+      throw new ProviderError(this.name, data.error?.message || 'Stream error', { type: 'server' });
+    }
+    return null;
+  }
+
+  parseResponse(data) {
+    const content = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const toolCalls = (data.content || [])
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }));
+    return {
+      content,
+      toolCalls: toolCalls.length ? toolCalls : undefined,
+      model: data.model,
+      usage: normalizeUsage(data.usage?.input_tokens, data.usage?.output_tokens)
+    };
+  }
+}
+AnthropicAdapter.providerName = 'anthropic';
+AnthropicAdapter.defaultBaseUrl = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+AnthropicAdapter.defaultModel = 'claude-3-haiku-20240307';
+AnthropicAdapter.requiresKey = true;
+AnthropicAdapter.envKeys = ['ANTHROPIC_API_KEY', 'ANTHROPIC_KEY'];
+
+class OllamaAdapter extends ProviderAdapter {
+  buildRequest({ model, messages, maxTokens, temperature, jsonSchema, tools, stream }) {
+    return {
+      url: `${this.baseUrl}/api/chat`,
+      headers: {},
+      body: {
+        model,
+        messages: messages.map(message => {
+          if (message.role === 'tool') return { role: 'tool', content: message.content };
+          if (message.toolCalls) {
+            return {
+              role: 'assistant',
+              content: message.content || '',
+              tool_calls: message.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments } }))
+            };
+          }
+          return message;
+        }),
+        stream: !!stream,
+        format: jsonSchema || undefined,
+        tools: tools && tools.length
+          ? tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+          }))
+          : undefined,
+        options: { temperature, num_predict: maxTokens }
+      }
+    };
+  }
+
+  parseResponse(data) {
+    // Ollama does not id its tool calls; position is enough to pair results
+    const toolCalls = (data.message?.tool_calls || []).map((call, i) => ({
+      id: `call_${i}`,
+      name: call.function?.name,
+      arguments: parseArguments(call.function?.arguments)
+    }));
+    return {
+      content: data.message?.content || '',
+      toolCalls: toolCalls.length ? toolCalls : undefined,
+      model: data.model,
+      usage: normalizeUsage(data.prompt_eval_count, data.eval_count)
+    };
+  }
+
+  parseStreamLine(line) {
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch (err) {
+      return null;
+    }
+    if (data.error) {
+      throw new ProviderError(this.name, data.error, { type: 'server' });
+    }
+    return {
+      text: data.message?.content,
+      model: data.model,
+      promptTokens: data.done ? data.prompt_eval_count : undefined,
+      completionTokens: data.done ? data.eval_count : undefined
+    };
+  }
+
+  /**
+   * Embed texts with a local model (POST /api/embed).
+   * Resolves to one vector per input text.
+   */
+  async embed({ model, input, signal }) {
+    let response;
+    let text;
+    try {
+      response = await fetch(`${this.baseUrl}/api/embed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: model || this.constructor.defaultEmbeddingModel, input }),
+        signal
+      });
+      text = await response.text();
+    } catch (err) {
+      throw this.transportError(err, { signal });
+    }
+
+    let data = {};
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (err) {
+      data = { raw: text };
+    }
+    if (!response.ok || !Array.isArray(data.embeddings)) {
+      throw new ProviderError(this.name, this.errorMessage(data) || text || response.statusText, {
+        status: response.ok ? 502 : response.status
+      });
+    }
+    return data.embeddings;
+  }
+}
+OllamaAdapter.providerName = 'ollama';
+OllamaAdapter.defaultBaseUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
+OllamaAdapter.defaultModel = 'llama3.1';
+OllamaAdapter.defaultEmbeddingModel = 'nomic-embed-text';
+OllamaAdapter.requiresKey = false;
+OllamaAdapter.supportsJsonSchema = true;
+OllamaAdapter.envKeys = [];
+
+const PROVIDERS = {
+  openai: OpenAIAdapter,
+  openrouter: OpenRouterAdapter,
+  anthropic: AnthropicAdapter,
+  ollama: OllamaAdapter
+};
+
+function registerProvider(name, Adapter) {
+  Adapter.providerName = name;
+  PROVIDERS[name] = Adapter;
+}
+
+function createProvider(name, options = {}) {
+  const Adapter = PROVIDERS[name];
+  if (!Adapter) {
+    throw new ProviderError(name, `Unknown provider: ${name}`, { type: 'bad_request' });
+  }
+  return new Adapter(options);
+}
+
+// Guess the provider from the key prefix when routing says "auto"
+function detectProvider(apiKey) {
+  if (!apiKey) return 'openrouter';
+  if (apiKey.startsWith('sk-ant-')) return 'anthropic';
+  if (apiKey.startsWith('sk-or-')) return 'openrouter';
+  if (apiKey.startsWith('sk-')) return 'openai';
+  return 'openrouter';
+}
+
+// Provider-wide key from the environment, used when a member has no key of its own
+function envKeyFor(name) {
+  const Adapter = PROVIDERS[name];
+  const envKey = ((Adapter && Adapter.envKeys) || []).find(k => process.env[k]);
+  return envKey ? process.env[envKey] : undefined;
+}
+
+function defaultModel(name) {
+  const Adapter = PROVIDERS[name];
+  return Adapter ? Adapter.defaultModel : null;
+}
+
+module.exports = {
+  ProviderError,
+  ProviderAdapter,
+  OpenAIAdapter,
+  OpenRouterAdapter,
+  AnthropicAdapter,
+  OllamaAdapter,
+  PROVIDERS,
+  registerProvider,
+  createProvider,
+  detectProvider,
+  envKeyFor,
+  defaultModel
+};
@@ -0,0 +1,203 @@
+/**
+ * NEMO Provider Resilience
+ * Timeouts, exponential backoff on retryable errors (429/5xx/network/timeout),
+ * a circuit breaker per provider, and ordered fallback chains.
+ */
+
+const { ProviderError } = require('./nemo-providers');
+
+const DEFAULT_POLICY = {
+  timeoutMs: 30000,
+  retries: 2,
+  backoffMs: 500,
+  maxBackoffMs: 8000
+};
+
+const DEFAULT_BREAKER = {
+  failureThreshold: 5,
+  cooldownMs: 30000
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 500ms, 1s, 2s, ... capped, with up to 20% jitter so parallel members do not retry in lockstep
+function backoffDelay(attempt, policy) {
+  const base = Math.min(policy.backoffMs * Math.pow(2, attempt), policy.maxBackoffMs);
+  return Math.round(base * (1 + Math.random() * 0.2));
+}
+
+/**
+ * closed -> open after failureThreshold consecutive retryable failures;
+ * open -> half_open after cooldownMs, letting one trial call through;
+ * the trial closes the breaker on success or re-opens it on failure.
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || DEFAULT_BREAKER.failureThreshold;
+    this.cooldownMs = options.cooldownMs || DEFAULT_BREAKER.cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+    }
+    if (this.state === 'open') return false;
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(err) {
+    this.trialInFlight = false;
+    // Auth and bad requests say nothing about provider health
+    if (!err.retryable) return;
+
+    this.failures++;
+    this.lastError = err.message;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') console.log(`Circuit open for ${this.name}: ${err.message}`);
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+const breakers = new Map();
+
+// One breaker per provider endpoint, created on first use
+function getBreaker(name, options) {
+  if (!breakers.has(name)) breakers.set(name, new CircuitBreaker(name, options));
+  return breakers.get(name);
+}
+
+function breakerStatus() {
+  return Array.from(breakers.values()).map(breaker => breaker.toJSON());
+}
+
+/**
+ * Run fn({ signal, clearTimeout }) under a timeout, retrying retryable
+ * ProviderErrors with backoff while options.shouldRetry() allows it.
+ * The breaker is consulted before every attempt and told about the outcome.
+ * options.signal (a request's cancellation) aborts the attempt in flight and
+ * rejects with the signal's reason, without retrying or touching the breaker.
+ * Resolves to { value, attempts }; rejects with the last error (err.attempts set).
+ */
+async function callWithPolicy(providerName, fn, policy = {}, options = {}) {
+  const settings = { ...DEFAULT_POLICY };
+  Object.entries(policy).forEach(([field, value]) => {
+    if (value !== undefined && value !== null) settings[field] = value;
+  });
+  const breaker = getBreaker(providerName, options.breaker);
+  const shouldRetry = options.shouldRetry || (() => true);
+  const cancel = options.signal;
+  let attempt = 0;
+
+  while (true) {
+    if (cancel && cancel.aborted) throw cancel.reason;
+    if (!breaker.canRequest()) {
+      const err = new ProviderError(providerName, `Circuit open for ${providerName}`, { type: 'circuit_open' });
+      err.attempts = attempt;
+      throw err;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new ProviderError(providerName,
+      `${providerName} timed out after ${settings.timeoutMs}ms`, { type: 'timeout' })), settings.timeoutMs);
+    const onCancel = () => controller.abort(cancel.reason);
+    if (cancel) cancel.addEventListener('abort', onCancel, { once: true });
+    attempt++;
+
+    try {
+      const value = await fn({ signal: controller.signal, clearTimeout: () => clearTimeout(timer) });
+      // A stream that stopped because of the cancel resolves normally
+      if (cancel && cancel.aborted) throw cancel.reason;
+      breaker.recordSuccess();
+      return { value, attempts: attempt };
+    } catch (err) {
+      if (cancel && cancel.aborted) {
+        // A half-open trial that was cancelled proved nothing either way
+        breaker.trialInFlight = false;
+        throw cancel.reason;
+      }
+      if (!(err instanceof ProviderError)) throw err;
+      breaker.recordFailure(err);
+      err.attempts = attempt;
+
+      if (!err.retryable || attempt > settings.retries || !shouldRetry()) throw err;
+
+      const delay = backoffDelay(attempt - 1, settings);
+      console.log(`Retrying ${providerName} in ${delay}ms (attempt ${attempt + 1}): ${err.message}`);
+      await sleep(delay);
+    } finally {
+      clearTimeout(timer);
+      if (cancel) cancel.removeEventListener('abort', onCancel);
+    }
+  }
+}
+
+/**
+ * Try each step in order until one succeeds.
+ * steps: [{ step, provider (adapter), model, member? }]; attempt(step) does the
+ * call and resolves to callWithPolicy's { value, attempts }.
+ * Returns { value, step, path } where path records every step tried
+ * ({ step, provider, model, outcome: 'ok' | 'error' | 'skipped', attempts, error }).
+ * value is null when every step failed (the caller decides on demo output).
+ */
+async function runFallbackChain(steps, attempt, options = {}) {
+  const path = [];
+  const canContinue = options.canContinue || (() => true);
+
+  for (const step of steps) {
+    const entry = { step: step.step, provider: step.provider.name, model: step.model };
+    if (step.member) entry.member = step.member;
+
+    try {
+      const { value, attempts } = await attempt(step);
+      path.push({ ...entry, outcome: 'ok', attempts });
+      return { value, step, path };
+    } catch (err) {
+      if (!(err instanceof ProviderError)) throw err;
+      const outcome = err.type === 'circuit_open' ? 'skipped' : 'error';
+      path.push({ ...entry, outcome, attempts: err.attempts || 0, error: err.toJSON() });
+      console.error(`Fallback step ${step.step} failed (${entry.provider}/${step.model}):`, err.message);
+      if (!canContinue()) break;
+    }
+  }
+
+  return { value: null, step: null, path };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  DEFAULT_BREAKER,
+  CircuitBreaker,
+  getBreaker,
+  breakerStatus,
+  callWithPolicy,
+  runFallbackChain
+};
@@ -0,0 +1,362 @@
+/**
+ * NEMO Code Retrieval
+ * Grounds council answers in the analyzed project: source files (as found by
+ * DeepAnalyzer.getSourceFiles) are split into overlapping line windows,
+ * indexed under .nemo/index/, and the chunks most relevant to a query are
+ * injected into the member's prompt with file:line citations.
+ *
+ * Scoring is BM25 over identifier-aware tokens, which needs nothing but the
+ * index. With "embeddings" configured (a local Ollama model), chunks are also
+ * embedded and ranked by a blend of BM25 and cosine similarity; when the
+ * embedding model is unreachable retrieval stays lexical.
+ *
+ * Updates are incremental: files whose size and mtime are unchanged are kept,
+ * changed files are re-chunked (and re-embedded), deleted files are dropped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const INDEX_VERSION = 1;
+const CHUNK_LINES = 40;
+const CHUNK_OVERLAP = 8;
+const DEFAULT_TOP_K = 5;
+const MAX_CONTEXT_CHARS = 6000;
+const EMBED_BATCH = 32;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Weight of the embedding score when both signals are available
+const EMBEDDING_WEIGHT = 0.5;
+
+// Words that say nothing about which code a question is about
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'what', 'how', 'why', 'does', 'are',
+  'is', 'in', 'of', 'to', 'it', 'on', 'be', 'or', 'an', 'as', 'by', 'we', 'our', 'do', 'can',
+  'const', 'let', 'var', 'function', 'return', 'if', 'else', 'new', 'true', 'false', 'null',
+  'undefined', 'await', 'async', 'require', 'module', 'exports'
+]);
+
+/**
+ * Lower-cased terms with identifiers split on case and underscores, so
+ * "getSourceFiles" also matches a question about "source files".
+ */
+function tokenize(text) {
+  const terms = [];
+  const words = (text || '').match(/[A-Za-z_$][A-Za-z0-9_$]*|\d+/g) || [];
+  for (const word of words) {
+    const lower = word.toLowerCase();
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .split(/[\s_$]+/)
+      .map(part => part.toLowerCase())
+      .filter(part => part.length > 1);
+
+    if (lower.length > 1 && !STOPWORDS.has(lower)) terms.push(lower);
+    if (parts.length > 1) parts.filter(part => !STOPWORDS.has(part)).forEach(part => terms.push(part));
+  }
+  return terms;
+}
+
+function countTerms(terms) {
+  const counts = {};
+  terms.forEach(term => { counts[term] = (counts[term] || 0) + 1; });
+  return counts;
+}
+
+// Overlapping windows of CHUNK_LINES lines; blank windows are skipped
+function chunkLines(content) {
+  const lines = content.split('\n');
+  const chunks = [];
+  const stride = CHUNK_LINES - CHUNK_OVERLAP;
+
+  for (let start = 0; start < lines.length; start += stride) {
+    const end = Math.min(start + CHUNK_LINES, lines.length);
+    const text = lines.slice(start, end).join('\n');
+    if (text.trim()) chunks.push({ startLine: start + 1, endLine: end, text });
+    if (end === lines.length) break;
+  }
+  return chunks;
+}
+
+function cosine(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Embedding function backed by a provider adapter with embed() (Ollama).
+ * Resolves to one vector per text.
+ */
+function createEmbedder(provider, model) {
+  return {
+    model,
+    embed: texts => provider.embed({ model, input: texts })
+  };
+}
+
+// Source files under the target, minus dependencies and NEMO's own state
+async function listSourceFiles(target) {
+  const { DeepAnalyzer } = require('../scripts/analyze-codebase');
+  const files = await new DeepAnalyzer({ target }).getSourceFiles();
+  return files.filter(file => !/(^|[\\/])(node_modules|\.nemo|\.git)[\\/]/.test(file));
+}
+
+class CodeIndex {
+  /**
+   * @param {string} dir - directory holding the index files (.nemo/index)
+   * @param {Object} options - { target, embedder, listFiles }
+   */
+  constructor(dir, options = {}) {
+    this.target = path.resolve(options.target || process.cwd());
+    this.file = path.join(dir, `${crypto.createHash('sha256').update(this.target).digest('hex').slice(0, 16)}.json`);
+    this.embedder = options.embedder || null;
+    this.listFiles = options.listFiles || listSourceFiles;
+    this.files = {};
+    this.updatedAt = null;
+    this.updating = null;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (data.version !== INDEX_VERSION || data.target !== this.target) return;
+      this.files = data.files || {};
+      this.updatedAt = data.updatedAt || null;
+      // Vectors from another embedding model are not comparable with this one's
+      const model = this.embedder ? this.embedder.model : null;
+      if (data.embeddingModel && data.embeddingModel !== model) {
+        Object.values(this.files).forEach(entry => entry.chunks.forEach(chunk => { delete chunk.vector; }));
+      }
+    } catch (err) {
+      console.error(`Failed to load ${this.file}:`, err.message);
+    }
+  }
+
+  async save() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(this.file, JSON.stringify({
+      version: INDEX_VERSION,
+      target: this.target,
+      updatedAt: this.updatedAt,
+      embeddingModel: this.embedder ? this.embedder.model : null,
+      files: this.files
+    }));
+  }
+
+  /**
+   * Bring the index up to date with the target directory. Concurrent calls
+   * share one run. options.rebuild discards the existing index first.
+   * Resolves to { added, changed, removed, unchanged, chunks, embedded }.
+   */
+  update(options = {}) {
+    if (!this.updating) {
+      this.updating = this.runUpdate(options).finally(() => { this.updating = null; });
+    }
+    return this.updating;
+  }
+
+  async runUpdate({ rebuild = false } = {}) {
+    if (rebuild) this.files = {};
+    const stats = { added: 0, changed: 0, removed: 0, unchanged: 0, chunks: 0, embedded: 0 };
+    const seen = new Set();
+
+    for (const file of await this.listFiles(this.target)) {
+      const absolute = path.resolve(file);
+      const relative = path.relative(this.target, absolute);
+      seen.add(relative);
+
+      let stat;
+      try {
+        stat = await fs.promises.stat(absolute);
+      } catch (err) {
+        continue;
+      }
+
+      const existing = this.files[relative];
+      if (existing && existing.size === stat.size && existing.mtimeMs === stat.mtimeMs) {
+        stats.unchanged++;
+        continue;
+      }
+
+      const content = await fs.promises.readFile(absolute, 'utf8');
+      const hash = crypto.createHash('sha256').update(content).digest('hex');
+      if (existing && existing.hash === hash) {
+        // Touched but not edited
+        Object.assign(existing, { size: stat.size, mtimeMs: stat.mtimeMs });
+        stats.unchanged++;
+        continue;
+      }
+
+      this.files[relative] = {
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+        hash,
+        chunks: chunkLines(content).map(chunk => {
+          const terms = tokenize(chunk.text);
+          return { ...chunk, terms: countTerms(terms), length: terms.length };
+        })
+      };
+      stats[existing ? 'changed' : 'added']++;
+    }
+
+    Object.keys(this.files).forEach(relative => {
+      if (!seen.has(relative)) {
+        delete this.files[relative];
+        stats.removed++;
+      }
+    });
+
+    if (this.embedder) stats.embedded = await this.embedMissing();
+    stats.chunks = this.allChunks().length;
+    this.updatedAt = new Date().toISOString();
+    await this.save();
+    return stats;
+  }
+
+  // Embed chunks that have no vector yet; a failing embedder leaves the index lexical
+  async embedMissing() {
+    const pending = this.allChunks().filter(({ chunk }) => !chunk.vector);
+    let embedded = 0;
+    try {
+      for (let i = 0; i < pending.length; i += EMBED_BATCH) {
+        const batch = pending.slice(i, i + EMBED_BATCH);
+        const vectors = await this.embedder.embed(batch.map(({ chunk }) => chunk.text));
+        batch.forEach(({ chunk }, j) => {
+          chunk.vector = vectors[j].map(v => Math.round(v * 10000) / 10000);
+        });
+        embedded += batch.length;
+      }
+    } catch (err) {
+      console.error(`Embedding failed (${this.embedder.model}), using lexical retrieval:`, err.message);
+    }
+    return embedded;
+  }
+
+  allChunks() {
+    return Object.entries(this.files).flatMap(([file, entry]) => entry.chunks.map(chunk => ({ file, chunk })));
+  }
+
+  /**
+   * Top-k chunks for a query, best first:
+   * [{ file, startLine, endLine, score, lexical, semantic, text }].
+   */
+  async search(query, options = {}) {
+    const topK = options.topK || DEFAULT_TOP_K;
+    const chunks = this.allChunks();
+    const queryTerms = [...new Set(tokenize(query))];
+    if (chunks.length === 0) return [];
+
+    const avgLength = chunks.reduce((sum, { chunk }) => sum + chunk.length, 0) / chunks.length || 1;
+    const idf = {};
+    queryTerms.forEach(term => {
+      const df = chunks.filter(({ chunk }) => chunk.terms[term]).length;
+      idf[term] = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+    });
+
+    const scored = chunks.map(({ file, chunk }) => {
+      let lexical = 0;
+      queryTerms.forEach(term => {
+        const tf = chunk.terms[term] || 0;
+        if (!tf) return;
+        lexical += idf[term] * (tf * (BM25_K1 + 1)) /
+          (tf + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / avgLength));
+      });
+      return { file, chunk, lexical, semantic: null };
+    });
+
+    let queryVector = null;
+    if (this.embedder && chunks.some(({ chunk }) => chunk.vector)) {
+      try {
+        [queryVector] = await this.embedder.embed([query]);
+      } catch (err) {
+        console.error(`Embedding failed (${this.embedder.model}), using lexical retrieval:`, err.message);
+      }
+    }
+
+    const maxLexical = Math.max(...scored.map(s => s.lexical)) || 1;
+    scored.forEach(s => {
+      if (queryVector && s.chunk.vector) {
+        s.semantic = cosine(queryVector, s.chunk.vector);
+        s.score = (1 - EMBEDDING_WEIGHT) * (s.lexical / maxLexical) + EMBEDDING_WEIGHT * s.semantic;
+      } else {
+        s.score = s.lexical / maxLexical;
+      }
+    });
+
+    return scored
+      .filter(s => s.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map(({ file, chunk, lexical, semantic, score }) => ({
+        file,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        score: Math.round(score * 1000) / 1000,
+        lexical: Math.round(lexical * 1000) / 1000,
+        semantic: semantic === null ? null : Math.round(semantic * 1000) / 1000,
+        text: chunk.text
+      }));
+  }
+
+  summary() {
+    const chunks = this.allChunks();
+    return {
+      target: this.target,
+      updatedAt: this.updatedAt,
+      files: Object.keys(this.files).length,
+      chunks: chunks.length,
+      embedded: chunks.filter(({ chunk }) => chunk.vector).length,
+      embeddingModel: this.embedder ? this.embedder.model : null
+    };
+  }
+}
+
+/**
+ * Prompt section for retrieved chunks. Snippets are added best first until
+ * MAX_CONTEXT_CHARS is reached; returns { context, citations } where
+ * citations lists only the snippets that made it in.
+ */
+function formatContext(hits, maxChars = MAX_CONTEXT_CHARS) {
+  const sections = [];
+  const citations = [];
+  let length = 0;
+
+  for (const hit of hits) {
+    const label = `${hit.file}:${hit.startLine}-${hit.endLine}`;
+    const section = `[${label}]\n${hit.text}`;
+    if (length + section.length > maxChars && sections.length > 0) break;
+    sections.push(section);
+    citations.push({ file: hit.file, startLine: hit.startLine, endLine: hit.endLine, score: hit.score });
+    length += section.length;
+  }
+
+  if (sections.length === 0) return { context: '', citations };
+  return {
+    context: 'CODEBASE CONTEXT - excerpts from the project that may be relevant. ' +
+      'Base your answer on them where they apply and cite them as file:line ' +
+      '(for example lib/nemo-routing.js:42). Say so if they do not cover the question.\n\n' +
+      sections.join('\n\n'),
+    citations
+  };
+}
+
+module.exports = {
+  DEFAULT_TOP_K,
+  tokenize,
+  chunkLines,
+  createEmbedder,
+  CodeIndex,
+  formatContext
+};
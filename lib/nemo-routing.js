@@ -0,0 +1,128 @@
+/**
+ * NEMO Council Routing
+ * Resolves provider, model and sampling settings for each council member
+ */
+
+const fs = require('fs');
+const { detectProvider, defaultModel } = require('./nemo-providers');
+
+const COMPLEXITY_LEVELS = ['simple', 'standard', 'expert'];
+
+// Built-in route used when neither council-routing.json nor council-keys.json say otherwise
+const DEFAULT_ROUTE = {
+  provider: 'auto',
+  baseUrl: null,
+  model: null,
+  fallbackModel: null,
+  temperature: 0.7,
+  maxTokens: { simple: 150, standard: 300, expert: 500 },
+  // Per-call timeout and retry policy (see lib/nemo-resilience.js)
+  timeoutMs: 30000,
+  retries: 2,
+  backoffMs: 500,
+  // How answers are scored (see lib/nemo-confidence.js)
+  confidence: 'auto',
+  confidenceSamples: 3
+};
+
+const ROUTE_FIELDS = [
+  'provider', 'baseUrl', 'model', 'fallbackModel', 'temperature', 'maxTokens',
+  'timeoutMs', 'retries', 'backoffMs', 'confidence', 'confidenceSamples'
+];
+
+function loadRouting(routingPath) {
+  try {
+    if (fs.existsSync(routingPath)) {
+      return JSON.parse(fs.readFileSync(routingPath, 'utf8'));
+    }
+  } catch (err) {
+    console.error(`Failed to load ${routingPath}:`, err.message);
+  }
+  return {};
+}
+
+// Same placeholder rule the key loaders use for council-keys.json values
+function isConfigured(value) {
+  return typeof value === 'string' && value.length > 0 && !value.includes('your_');
+}
+
+function mergeLayer(route, layer) {
+  if (!layer) return;
+  for (const field of ROUTE_FIELDS) {
+    if (layer[field] !== undefined && layer[field] !== null) {
+      route[field] = layer[field];
+    }
+  }
+}
+
+// The layered route before provider detection and model defaults
+function mergeRoute(member, level, options) {
+  const routing = options.routing || {};
+  const keys = options.keys || {};
+  const layers = [
+    routing.defaults,
+    options.memberRoute,
+    routing.members && routing.members[member],
+    keys._routing && keys._routing[member]
+  ].filter(Boolean);
+
+  const route = { ...DEFAULT_ROUTE };
+  layers.forEach(layer => mergeLayer(route, layer));
+  layers.forEach(layer => mergeLayer(route, layer.complexity && layer.complexity[level]));
+  return route;
+}
+
+/**
+ * The provider a member is routed to before any key is known: a provider
+ * name, or 'auto' when it is detected from the member's key.
+ * options as for resolveRoute.
+ */
+function configuredProvider(member, complexity, options = {}) {
+  const level = COMPLEXITY_LEVELS.includes(complexity) ? complexity : 'standard';
+  return mergeRoute(member, level, options).provider;
+}
+
+/**
+ * Resolve the effective route for a member at a complexity level.
+ * Precedence (lowest to highest): built-in defaults, routing file defaults,
+ * options.memberRoute (the council registry's model), routing file member entry,
+ * council-keys.json `_routing` member entry.
+ * Per-complexity overrides of each layer are applied after all base layers.
+ */
+function resolveRoute(member, complexity, options = {}) {
+  const keys = options.keys || {};
+  const level = COMPLEXITY_LEVELS.includes(complexity) ? complexity : 'standard';
+  const route = mergeRoute(member, level, options);
+
+  if (route.provider === 'auto') {
+    route.provider = detectProvider(options.apiKey);
+  }
+
+  if (!route.model) {
+    route.model = isConfigured(keys.PRIMARY_MODEL)
+      ? keys.PRIMARY_MODEL
+      : defaultModel(route.provider) || defaultModel('openrouter');
+  }
+
+  if (!route.fallbackModel && isConfigured(keys.FALLBACK_MODEL)) {
+    route.fallbackModel = keys.FALLBACK_MODEL;
+  }
+  if (route.fallbackModel === route.model) {
+    route.fallbackModel = null;
+  }
+
+  if (typeof route.maxTokens === 'object') {
+    route.maxTokens = route.maxTokens[level] || DEFAULT_ROUTE.maxTokens[level];
+  }
+
+  return { member, complexity: level, ...route };
+}
+
+module.exports = {
+  COMPLEXITY_LEVELS,
+  DEFAULT_ROUTE,
+  loadRouting,
+  resolveRoute,
+  configuredProvider,
+  isConfigured
+};
@@ -0,0 +1,269 @@
+/**
+ * NEMO Structured Output
+ * JSON Schema mode for council answers: prompt instructions, JSON extraction,
+ * validation against the supported schema subset, repair prompts, and
+ * schema-shaped demo data.
+ *
+ * Supported keywords: type, properties, required, additionalProperties (boolean),
+ * items, enum, minItems, maxItems, minLength, maxLength, minimum, maximum, description.
+ */
+
+const MAX_REPAIRS = 2;
+
+const SUPPORTED_KEYWORDS = [
+  'type', 'properties', 'required', 'additionalProperties', 'items', 'enum',
+  'minItems', 'maxItems', 'minLength', 'maxLength', 'minimum', 'maximum',
+  'description', 'title', '$schema'
+];
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+// Named schemas callers can pass as `schema: "blueprint"`
+const SCHEMA_PRESETS = {
+  blueprint: {
+    type: 'object',
+    description: 'System design blueprint',
+    properties: {
+      summary: { type: 'string' },
+      components: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            responsibility: { type: 'string' },
+            dependsOn: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['name', 'responsibility'],
+          additionalProperties: false
+        }
+      },
+      steps: { type: 'array', items: { type: 'string' } },
+      risks: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['summary', 'components', 'steps'],
+    additionalProperties: false
+  },
+  status_report: {
+    type: 'object',
+    description: 'System status report',
+    properties: {
+      status: { type: 'string', enum: ['healthy', 'degraded', 'down', 'unknown'] },
+      summary: { type: 'string' },
+      findings: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            severity: { type: 'string', enum: ['info', 'warning', 'critical'] },
+            message: { type: 'string' }
+          },
+          required: ['severity', 'message'],
+          additionalProperties: false
+        }
+      },
+      recommendations: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['status', 'summary', 'findings'],
+    additionalProperties: false
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check that a caller-supplied schema only uses keywords the validator
+ * understands. Returns an error message, or null when the schema is usable.
+ */
+function checkSchema(schema, at = '$') {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return `${at}: schema must be an object`;
+  }
+
+  const unsupported = Object.keys(schema).filter(keyword => !SUPPORTED_KEYWORDS.includes(keyword));
+  if (unsupported.length > 0) return `${at}: unsupported schema keywords: ${unsupported.join(', ')}`;
+
+  const types = [].concat(schema.type || []);
+  const unknown = types.filter(type => !TYPES.includes(type));
+  if (unknown.length > 0) return `${at}: unknown type ${unknown.join(', ')}`;
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const error = checkSchema(property, `${at}.${name}`);
+    if (error) return error;
+  }
+  if (schema.items) return checkSchema(schema.items, `${at}[]`);
+  return null;
+}
+
+/**
+ * Validate a parsed value. Returns a list of error messages (empty when valid).
+ */
+function validate(value, schema, at = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${at}: must be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: below minimum ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: above maximum ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(item, schema.items, `${at}[${i}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) errors.push(`${at}.${name}: required`);
+    });
+    Object.entries(value).forEach(([name, child]) => {
+      if (properties[name]) {
+        errors.push(...validate(child, properties[name], `${at}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${name}: not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Pull the JSON value out of a model reply: the whole text, a ```json fence,
+ * or the outermost {...} / [...] span. Returns { value } or { error }.
+ */
+function extractJson(text) {
+  const candidates = [(text || '').trim()];
+  const fence = (text || '').match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fence) candidates.push(fence[1].trim());
+
+  const start = (text || '').search(/[{[]/);
+  if (start !== -1) {
+    const close = text[start] === '{' ? '}' : ']';
+    const end = text.lastIndexOf(close);
+    if (end > start) candidates.push(text.slice(start, end + 1));
+  }
+
+  let lastError = 'No JSON found in response';
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch (err) {
+      lastError = `Invalid JSON: ${err.message}`;
+    }
+  }
+  return { error: lastError };
+}
+
+/**
+ * Parse and validate a reply in one step.
+ * Returns { valid, data, errors }.
+ */
+function parseStructured(text, schema) {
+  const { value, error } = extractJson(text);
+  if (error) return { valid: false, data: null, errors: [error] };
+  const errors = validate(value, schema);
+  return { valid: errors.length === 0, data: errors.length === 0 ? value : null, errors };
+}
+
+function structuredInstructions(schema) {
+  return 'Respond with a single JSON value that conforms to this JSON Schema. ' +
+    'Output only the JSON - no prose, no code fences.\n\n' +
+    `JSON SCHEMA:\n${JSON.stringify(schema, null, 2)}`;
+}
+
+// Show the model its invalid output and what was wrong with it
+function buildRepairMessages(messages, badOutput, errors) {
+  return [
+    ...messages,
+    { role: 'assistant', content: badOutput },
+    {
+      role: 'user',
+      content: `That output does not match the schema:\n- ${errors.slice(0, 10).join('\n- ')}\n\n` +
+        'Reply again with only the corrected JSON.'
+    }
+  ];
+}
+
+/**
+ * Smallest value that satisfies the schema - demo mode's structured answer.
+ */
+function sampleFromSchema(schema, label = 'demo') {
+  if (schema.enum) return schema.enum[0];
+  const type = [].concat(schema.type || 'object')[0];
+
+  switch (type) {
+    case 'object': {
+      const result = {};
+      Object.entries(schema.properties || {}).forEach(([name, property]) => {
+        result[name] = sampleFromSchema(property, name);
+      });
+      return result;
+    }
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => sampleFromSchema(schema.items || {}, label));
+    case 'string': {
+      const text = `${label} (demo)`.padEnd(schema.minLength || 0, '.');
+      return schema.maxLength !== undefined ? text.slice(0, schema.maxLength) : text;
+    }
+    case 'number':
+    case 'integer':
+      return schema.minimum !== undefined ? schema.minimum : 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+}
+
+// Accept a preset name or an inline schema; returns { schema, error }
+function resolveSchema(schema) {
+  if (typeof schema === 'string') {
+    return SCHEMA_PRESETS[schema]
+      ? { schema: SCHEMA_PRESETS[schema] }
+      : { error: `Unknown schema preset: ${schema} (available: ${Object.keys(SCHEMA_PRESETS).join(', ')})` };
+  }
+  const error = checkSchema(schema);
+  return error ? { error: `Invalid schema - ${error}` } : { schema };
+}
+
+module.exports = {
+  MAX_REPAIRS,
+  SCHEMA_PRESETS,
+  checkSchema,
+  validate,
+  extractJson,
+  parseStructured,
+  structuredInstructions,
+  buildRepairMessages,
+  sampleFromSchema,
+  resolveSchema
+};
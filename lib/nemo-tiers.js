@@ -0,0 +1,37 @@
+/**
+ * NEMO Memory Tiers
+ * Tier detection and the memory-tiers config written by init-memory.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MEMORY_BLOCKS } = require('../scripts/init-memory');
+
+function detectTier() {
+  const totalGB = os.totalmem() / 1024 / 1024 / 1024;
+  if (totalGB >= 32) return 'ascension';
+  if (totalGB >= 8) return 'performance';
+  return 'efficient';
+}
+
+/**
+ * Load config/memory-tiers.json from an initialized memory directory,
+ * falling back to the built-in block when /init has not been run.
+ */
+function loadMemoryTiers(memoryDir = './.nemo/memory') {
+  const blockPath = path.join(memoryDir, 'config_memory-tiers.json');
+
+  try {
+    if (fs.existsSync(blockPath)) {
+      const block = JSON.parse(fs.readFileSync(blockPath, 'utf8'));
+      return JSON.parse(block.value);
+    }
+  } catch (err) {
+    console.error(`Failed to load ${blockPath}:`, err.message);
+  }
+
+  return JSON.parse(MEMORY_BLOCKS.config_memory_tiers.value);
+}
+
+module.exports = { detectTier, loadMemoryTiers };
@@ -0,0 +1,365 @@
+/**
+ * NEMO Council Tools
+ * Tools council members can call during a query (NEMO's own analyzers, the
+ * workspace files, Supabase atoms and tasks), the workspace sandbox they run
+ * in, and the tool-use loop that feeds results back to the model.
+ *
+ * Every path argument is resolved against the workspace root and refused if
+ * it escapes it (including through symlinks) or names a secrets file. Each
+ * tool has the role its caller needs: the ones that read the workspace are
+ * admin-only, like the /api routes that touch the host.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hasRole } = require('./nemo-auth');
+
+const DEFAULT_MAX_STEPS = 4;
+const MAX_RESULT_CHARS = 8000;
+const MAX_FILE_CHARS = 20000;
+const MAX_LIST_ENTRIES = 200;
+
+// Never handed to a model, even inside the workspace
+const SECRET_PATTERNS = [
+  /(^|[\\/])council-keys\.json$/i,
+  /(^|[\\/])\.env(\.|$)/i,
+  /\.(pem|key|p12|pfx)$/i,
+  /(^|[\\/])\.nemo[\\/]vault([\\/]|$)/i,
+  /(^|[\\/])\.nemo[\\/]auth([\\/]|$)/i,
+  /(^|[\\/])\.git([\\/]|$)/
+];
+
+class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+/**
+ * Resolve a model-supplied path inside the workspace root.
+ * Throws ToolError for paths outside the root or secrets files.
+ */
+function resolveInWorkspace(root, target = '.') {
+  const realRoot = fs.realpathSync(root);
+  const resolved = path.resolve(realRoot, String(target));
+  // realpath of the nearest existing ancestor catches symlinks pointing out of the root
+  let existing = resolved;
+  while (!fs.existsSync(existing) && existing !== path.dirname(existing)) existing = path.dirname(existing);
+  const real = path.join(fs.realpathSync(existing), path.relative(existing, resolved));
+
+  if (real !== realRoot && !real.startsWith(realRoot + path.sep)) {
+    throw new ToolError(`Path is outside the workspace: ${target}`);
+  }
+  const relative = path.relative(realRoot, real);
+  if (SECRET_PATTERNS.some(pattern => pattern.test(relative))) {
+    throw new ToolError(`Access denied: ${target}`);
+  }
+  return real;
+}
+
+function relativeToRoot(root, file) {
+  return path.relative(fs.realpathSync(root), file) || '.';
+}
+
+const TOOLS = {
+  detect_loops: {
+    role: 'admin',
+    description: 'Run the NEMO loop detector on a directory of the workspace. ' +
+      'Reports infinite loops, recursion without base cases, blocking patterns, promise deadlocks and listener leaks.',
+    parameters: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'Directory relative to the workspace root' } },
+      required: ['path']
+    },
+    async run({ path: target }, context) {
+      const dir = resolveInWorkspace(context.root, target);
+      const { LoopDetector } = require('../scripts/detect-loops');
+      const findings = await new LoopDetector({ target: dir, quiet: true }).detect();
+      const bySeverity = {};
+      findings.forEach(f => { bySeverity[f.severity] = (bySeverity[f.severity] || 0) + 1; });
+      return {
+        path: relativeToRoot(context.root, dir),
+        total: findings.length,
+        bySeverity,
+        // The detector reports paths relative to the server's cwd
+        findings: findings.slice(0, 25).map(({ file, line, type, severity, description }) => ({
+          file: relativeToRoot(context.root, path.resolve(file)),
+          line,
+          type,
+          severity,
+          description
+        }))
+      };
+    }
+  },
+
+  analyze_codebase: {
+    role: 'admin',
+    description: 'Run the NEMO deep analyzer (architecture, bugs, security, documentation) on a workspace directory.',
+    parameters: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'Directory relative to the workspace root' } },
+      required: ['path']
+    },
+    async run({ path: target }, context) {
+      const dir = resolveInWorkspace(context.root, target);
+      const { DeepAnalyzer } = require('../scripts/analyze-codebase');
+      const analyzer = new DeepAnalyzer({ target: dir, quiet: true });
+      await analyzer.analyzeArchitecture();
+      await analyzer.detectBugs();
+      await analyzer.scanSecurity();
+      await analyzer.analyzeDocumentation();
+      const summary = {};
+      Object.entries(analyzer.findings).forEach(([category, items]) => {
+        summary[category] = {
+          count: items.length,
+          items: items.slice(0, 10).map(item => (item.file
+            ? { ...item, file: relativeToRoot(context.root, path.resolve(item.file)) }
+            : item))
+        };
+      });
+      return { path: relativeToRoot(context.root, dir), findings: summary };
+    }
+  },
+
+  list_files: {
+    role: 'admin',
+    description: 'List the files and directories in a workspace directory.',
+    parameters: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'Directory relative to the workspace root (default ".")' } }
+    },
+    async run({ path: target = '.' }, context) {
+      const dir = resolveInWorkspace(context.root, target);
+      const entries = (await fs.promises.readdir(dir, { withFileTypes: true }))
+        .filter(entry => entry.name !== 'node_modules' && entry.name !== '.git')
+        .map(entry => `${entry.name}${entry.isDirectory() ? '/' : ''}`)
+        .sort();
+      return {
+        path: relativeToRoot(context.root, dir),
+        entries: entries.slice(0, MAX_LIST_ENTRIES),
+        truncated: entries.length > MAX_LIST_ENTRIES
+      };
+    }
+  },
+
+  read_file: {
+    role: 'admin',
+    description: 'Read a text file from the workspace. Long files are cut; use startLine to read further.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File relative to the workspace root' },
+        startLine: { type: 'integer', description: 'First line to return (1-based, default 1)' }
+      },
+      required: ['path']
+    },
+    async run({ path: target, startLine = 1 }, context) {
+      const file = resolveInWorkspace(context.root, target);
+      const stat = await fs.promises.stat(file);
+      if (!stat.isFile()) throw new ToolError(`Not a file: ${target}`);
+
+      const lines = (await fs.promises.readFile(file, 'utf8')).split('\n');
+      const start = Math.max(parseInt(startLine, 10) || 1, 1);
+      let content = '';
+      let end = start - 1;
+      while (end < lines.length && content.length + lines[end].length < MAX_FILE_CHARS) {
+        content += lines[end] + '\n';
+        end++;
+      }
+      return {
+        path: relativeToRoot(context.root, file),
+        startLine: start,
+        endLine: end,
+        totalLines: lines.length,
+        content
+      };
+    }
+  },
+
+  find_configs: {
+    role: 'admin',
+    description: 'List config files (json, yaml, ini, conf) under a workspace directory, as the config reindexer does.',
+    parameters: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'Directory relative to the workspace root (default ".")' } }
+    },
+    async run({ path: target = '.' }, context) {
+      const dir = resolveInWorkspace(context.root, target);
+      const configs = [];
+      const walk = current => {
+        for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+          if (configs.length >= MAX_LIST_ENTRIES) return;
+          if (entry.name === 'node_modules' || entry.name === '.git') continue;
+          const full = path.join(current, entry.name);
+          if (entry.isDirectory()) {
+            walk(full);
+          } else if (/\.(json|yaml|yml|conf|config|ini)$/.test(entry.name)) {
+            configs.push(relativeToRoot(context.root, full));
+          }
+        }
+      };
+      walk(dir);
+      return { path: relativeToRoot(context.root, dir), count: configs.length, files: configs };
+    }
+  },
+
+  search_atoms: {
+    role: 'operator',
+    description: 'Search the Cyclotron atoms database (past council queries, indexed configs, notes) by text.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Text to look for' },
+        limit: { type: 'integer', description: 'Maximum results (default 10)' }
+      },
+      required: ['query']
+    },
+    async run({ query, limit = 10 }, context) {
+      if (!context.supabase) throw new ToolError('Supabase not configured');
+      const { data, error } = await context.supabase
+        .from('atoms')
+        .select('content, type, domain, source, created')
+        .ilike('content', `%${String(query).replace(/[%_]/g, '')}%`)
+        .order('created', { ascending: false })
+        .limit(Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50));
+      if (error) throw new ToolError(error.message);
+      return { count: data.length, atoms: data };
+    }
+  },
+
+  list_tasks: {
+    role: 'operator',
+    description: 'List tasks from the NEMO task queue, highest priority first.',
+    parameters: {
+      type: 'object',
+      properties: { status: { type: 'string', description: 'Only tasks with this status' } }
+    },
+    async run({ status }, context) {
+      if (!context.supabase) throw new ToolError('Supabase not configured');
+      let request = context.supabase.from('task_queue').select('*').order('priority', { ascending: false }).limit(50);
+      if (status) request = request.eq('status', status);
+      const { data, error } = await request;
+      if (error) throw new ToolError(error.message);
+      return { count: data.length, tasks: data };
+    }
+  }
+};
+
+// Tool definitions in the provider-neutral shape ({ name, description, parameters })
+function toolDefinitions(names = []) {
+  return names.filter(name => TOOLS[name]).map(name => ({
+    name,
+    description: TOOLS[name].description,
+    parameters: TOOLS[name].parameters
+  }));
+}
+
+// Names of the tools the user's role may use
+function allowedTools(user) {
+  return Object.keys(TOOLS).filter(name => hasRole(user, TOOLS[name].role));
+}
+
+/**
+ * Accepts true (every tool the user may use) or a non-empty list of names.
+ * Returns { names } or { error, status }: 400 for an empty list or unknown
+ * tools, 403 for tools that need a higher role.
+ */
+function resolveTools(requested, user) {
+  const allowed = allowedTools(user);
+  if (requested === true) return { names: allowed };
+  if (!Array.isArray(requested) || requested.length === 0) {
+    return { error: 'tools must be true or a list of tool names', status: 400 };
+  }
+  const unknown = requested.filter(name => !TOOLS[name]);
+  if (unknown.length > 0) {
+    return { error: `Unknown tools: ${unknown.join(', ')} (available: ${allowed.join(', ')})`, status: 400 };
+  }
+  const denied = requested.filter(name => !allowed.includes(name));
+  if (denied.length > 0) {
+    const needs = denied.map(name => `${name} (${TOOLS[name].role})`).join(', ');
+    return { error: `Your role cannot use these tools: ${needs}`, status: 403 };
+  }
+  return { names: requested };
+}
+
+/**
+ * Run one tool call. Failures become { error } results the model can read
+ * and recover from; they never end the loop.
+ */
+async function executeTool(call, context) {
+  const tool = TOOLS[call.name];
+  if (!tool || (context.allowed && !context.allowed.includes(call.name))) {
+    return { ok: false, output: { error: `Unknown tool: ${call.name}` } };
+  }
+  try {
+    return { ok: true, output: await tool.run(call.arguments || {}, context) };
+  } catch (err) {
+    return { ok: false, output: { error: err.message } };
+  }
+}
+
+function truncateResult(output) {
+  const text = JSON.stringify(output);
+  return text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}... [truncated]` : text;
+}
+
+/**
+ * The tool-use loop. complete(messages, tools) performs one model call and
+ * resolves to a provider result. While the model asks for tools (and fewer
+ * than maxSteps rounds have run) each call is executed and its result
+ * appended; the last call is made without tools so the model has to answer.
+ * options.tools names the tools to offer; only those options.user's role
+ * allows are offered or run. options.onToolCall(entry) sees each transcript
+ * entry as it happens. Resolves to { result, transcript, steps, usage }.
+ */
+async function runToolLoop(complete, messages, options = {}) {
+  const maxSteps = options.maxSteps || DEFAULT_MAX_STEPS;
+  const permitted = allowedTools(options.user);
+  const tools = toolDefinitions((options.tools || []).filter(name => permitted.includes(name)));
+  const context = { ...options.context, allowed: tools.map(tool => tool.name) };
+  const working = [...messages];
+  const transcript = [];
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+  for (let step = 1; ; step++) {
+    const result = await complete(working, step <= maxSteps ? tools : undefined);
+    usage.promptTokens += result.usage.promptTokens;
+    usage.completionTokens += result.usage.completionTokens;
+    usage.totalTokens += result.usage.totalTokens;
+
+    if (!result.toolCalls || step > maxSteps) {
+      return { result, transcript, steps: step, usage };
+    }
+
+    working.push({ role: 'assistant', content: result.content, toolCalls: result.toolCalls });
+    for (const call of result.toolCalls) {
+      const started = Date.now();
+      const { ok, output } = await executeTool(call, context);
+      const entry = {
+        step,
+        tool: call.name,
+        arguments: call.arguments,
+        ok,
+        result: output,
+        latency: Date.now() - started
+      };
+      transcript.push(entry);
+      if (options.onToolCall) options.onToolCall(entry);
+      working.push({ role: 'tool', toolCallId: call.id, name: call.name, content: truncateResult(output) });
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_STEPS,
+  TOOLS,
+  ToolError,
+  resolveInWorkspace,
+  toolDefinitions,
+  allowedTools,
+  resolveTools,
+  executeTool,
+  runToolLoop
+};
@@ -0,0 +1,259 @@
+/**
+ * NEMO Usage Ledger
+ * Records tokens and estimated cost per member, model, conversation and day,
+ * and enforces budgets from council-budgets.json.
+ *
+ * Ledger: .nemo/usage/ledger.jsonl, one record per answered call:
+ *   { at, day, member, provider, model, conversationId, kind, promptVersion,
+ *     promptTokens, completionTokens, totalTokens, cost, demo }
+ * promptVersion is set on answers (not on confidence or repair calls), so
+ * byPrompt compares the versions of a member's prompt.
+ *
+ * council-budgets.json:
+ *   {
+ *     "global":  { "dailyTokens": 500000, "dailyCost": 5, "onExceed": "reject" },
+ *     "members": { "MONK": { "dailyTokens": 100000, "onExceed": "downgrade", "downgradeModel": "openai/gpt-4o-mini" } },
+ *     "pricing": { "my-local-model": { "input": 0, "output": 0 } }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Estimated USD per 1M tokens. Longest matching prefix wins; vendor prefixes ("openai/") are ignored.
+const DEFAULT_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'moonshotai/kimi-k2': { input: 0.6, output: 2.5 },
+  'llama': { input: 0, output: 0 }
+};
+
+// Models with no known price are charged at the most expensive rate, so budgets err on the safe side
+const UNKNOWN_MODEL_PRICE = { input: 15, output: 75 };
+
+// Providers that run on this machine and cost nothing per token
+const LOCAL_PROVIDERS = ['ollama'];
+
+const LIMIT_FIELDS = ['dailyTokens', 'dailyCost'];
+
+class BudgetExceededError extends Error {
+  constructor(scope, limit, used) {
+    super(`Budget exceeded for ${scope}: ${used} of ${limit.value} ${limit.field}`);
+    this.name = 'BudgetExceededError';
+    this.scope = scope;
+    this.field = limit.field;
+    this.limit = limit.value;
+    this.used = used;
+  }
+
+  toJSON() {
+    return { scope: this.scope, field: this.field, limit: this.limit, used: this.used, message: this.message };
+  }
+}
+
+function findPrice(model, pricing) {
+  if (!model) return null;
+  const candidates = [model, model.replace(/^[^/]+\//, '')];
+  let best = null;
+
+  Object.keys(pricing).forEach(prefix => {
+    const matches = candidates.some(name => name.startsWith(prefix));
+    if (matches && (!best || prefix.length > best.length)) best = prefix;
+  });
+
+  return best ? pricing[best] : null;
+}
+
+// Estimated cost in USD; unknown models are priced at UNKNOWN_MODEL_PRICE
+function estimateCost(model, promptTokens, completionTokens, pricing = DEFAULT_PRICING) {
+  const price = findPrice(model, pricing) || UNKNOWN_MODEL_PRICE;
+  return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function addTo(totals, record) {
+  totals.calls++;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.totalTokens += record.totalTokens;
+  totals.cost += record.cost || 0;
+}
+
+class UsageLedger {
+  constructor(dir, options = {}) {
+    this.file = path.join(dir, 'ledger.jsonl');
+    this.budgetsPath = options.budgetsPath;
+    this.records = [];
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean).forEach(line => {
+      try {
+        this.records.push(JSON.parse(line));
+      } catch (err) {
+        console.error('Skipping corrupt usage record:', err.message);
+      }
+    });
+  }
+
+  budgets() {
+    try {
+      if (this.budgetsPath && fs.existsSync(this.budgetsPath)) {
+        return JSON.parse(fs.readFileSync(this.budgetsPath, 'utf8'));
+      }
+    } catch (err) {
+      console.error(`Failed to load ${this.budgetsPath}:`, err.message);
+    }
+    return {};
+  }
+
+  /**
+   * Append one answered call to the ledger.
+   * Demo answers are recorded with their estimated tokens and zero cost, as
+   * are calls to local providers.
+   */
+  record(entry) {
+    const pricing = { ...DEFAULT_PRICING, ...(this.budgets().pricing || {}) };
+    const promptTokens = entry.promptTokens || 0;
+    const completionTokens = entry.completionTokens || 0;
+    const record = {
+      at: new Date().toISOString(),
+      day: today(),
+      member: entry.member,
+      provider: entry.provider || null,
+      model: entry.model || null,
+      conversationId: entry.conversationId || null,
+      kind: entry.kind || 'query',
+      promptVersion: entry.promptVersion || null,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      cost: entry.demo || LOCAL_PROVIDERS.includes(entry.provider)
+        ? 0
+        : estimateCost(entry.model, promptTokens, completionTokens, pricing),
+      demo: !!entry.demo
+    };
+
+    this.records.push(record);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(record) + '\n');
+    return record;
+  }
+
+  // Today's provider calls for one member, or for everyone when member is omitted; demo answers do not count
+  spentToday(member) {
+    const totals = emptyTotals();
+    const day = today();
+    this.records
+      .filter(r => r.day === day && !r.demo && (!member || r.member === member))
+      .forEach(r => addTo(totals, r));
+    return totals;
+  }
+
+  limitStatus(scope, limits, totals) {
+    return LIMIT_FIELDS.filter(field => limits[field] !== undefined).map(field => {
+      const used = field === 'dailyTokens' ? totals.totalTokens : totals.cost;
+      return { scope, field, limit: limits[field], used, remaining: Math.max(limits[field] - used, 0) };
+    });
+  }
+
+  /**
+   * Check a member against its own and the global budget before a call.
+   * Returns { action: 'allow' | 'downgrade', downgradeModel, exceeded }
+   * or throws BudgetExceededError when the exceeded scope says "reject".
+   */
+  checkBudget(member) {
+    const budgets = this.budgets();
+    const scopes = [
+      { scope: member, limits: (budgets.members || {})[member], totals: () => this.spentToday(member) },
+      { scope: 'global', limits: budgets.global, totals: () => this.spentToday() }
+    ];
+
+    for (const { scope, limits, totals } of scopes) {
+      if (!limits) continue;
+      const exceeded = this.limitStatus(scope, limits, totals()).find(s => s.used >= s.limit);
+      if (!exceeded) continue;
+
+      if (limits.onExceed === 'downgrade') {
+        return { action: 'downgrade', downgradeModel: limits.downgradeModel || null, exceeded };
+      }
+      throw new BudgetExceededError(scope, { field: exceeded.field, value: exceeded.limit }, exceeded.used);
+    }
+
+    return { action: 'allow', downgradeModel: null, exceeded: null };
+  }
+
+  /**
+   * Aggregates for /api/usage over the last `days` days.
+   */
+  summary(days = 30) {
+    const since = new Date(Date.now() - (days - 1) * 86400000).toISOString().slice(0, 10);
+    const records = this.records.filter(r => r.day >= since);
+    const totals = emptyTotals();
+    const byMember = {};
+    const byModel = {};
+    const byDay = {};
+    const byConversation = {};
+    const byPrompt = {};
+
+    records.forEach(r => {
+      addTo(totals, r);
+      addTo(byMember[r.member] = byMember[r.member] || emptyTotals(), r);
+      const model = r.demo ? 'demo' : r.model || 'unknown';
+      addTo(byModel[model] = byModel[model] || emptyTotals(), r);
+      addTo(byDay[r.day] = byDay[r.day] || emptyTotals(), r);
+      if (r.conversationId) {
+        addTo(byConversation[r.conversationId] = byConversation[r.conversationId] || emptyTotals(), r);
+      }
+      if (r.promptVersion) {
+        const prompt = `${r.member}@v${r.promptVersion}`;
+        addTo(byPrompt[prompt] = byPrompt[prompt] || emptyTotals(), r);
+      }
+    });
+
+    const budgets = this.budgets();
+    const budgetStatus = [
+      ...(budgets.global ? this.limitStatus('global', budgets.global, this.spentToday()) : []),
+      ...Object.entries(budgets.members || {}).flatMap(([member, limits]) =>
+        this.limitStatus(member, limits, this.spentToday(member)))
+    ];
+
+    return {
+      days,
+      since,
+      totals,
+      today: this.spentToday(),
+      byMember,
+      byModel,
+      byDay,
+      byConversation,
+      byPrompt,
+      budgets: budgetStatus
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_PRICING,
+  UNKNOWN_MODEL_PRICE,
+  BudgetExceededError,
+  estimateCost,
+  UsageLedger
+};
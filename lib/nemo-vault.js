@@ -0,0 +1,299 @@
+/**
+ * NEMO Key Vault
+ * API keys encrypted at rest in .nemo/vault/keys.json, so council-keys.json
+ * only has to hold non-secret settings (PRIMARY_MODEL, _routing, ...).
+ *
+ * The master key is derived from a passphrase with scrypt; the server reads
+ * the passphrase from NEMO_VAULT_KEY, the CLI (scripts/nemo-vault.js) from
+ * NEMO_VAULT_KEY or a prompt. The file holds the KDF parameters and one
+ * AES-256-GCM blob:
+ *   { version, kdf: { name, salt, N, r, p }, cipher, iv, tag, data, updatedAt }
+ * which decrypts to { keys: { NAME: { value, addedAt, rotatedAt, rotations } } }.
+ * Key names and values are both inside the blob; nothing about a key is
+ * readable without the passphrase.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isConfigured } = require('./nemo-routing');
+
+const VAULT_VERSION = 1;
+const KEY_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+// Names treated as secrets when importing council-keys.json and .env
+const SECRET_NAME_PATTERN = /_(KEY|TOKEN|SECRET)$/;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+class VaultError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VaultError';
+    this.status = status;
+  }
+}
+
+function isSecretName(name) {
+  return KEY_NAME_PATTERN.test(name) && SECRET_NAME_PATTERN.test(name);
+}
+
+// Short stable id for a key value; tells keys apart without revealing them
+function fingerprint(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 8);
+}
+
+// First 3 and last 4 characters, enough to recognize a key in a provider dashboard
+function maskKey(value) {
+  if (!value) return null;
+  return value.length <= 12 ? '••••' : `${value.slice(0, 3)}…${value.slice(-4)}`;
+}
+
+function deriveKey(passphrase, kdf) {
+  if (typeof passphrase !== 'string' || !passphrase) throw new VaultError('A vault passphrase is required', 401);
+  return crypto.scryptSync(passphrase, Buffer.from(kdf.salt, 'base64'), 32, { N: kdf.N, r: kdf.r, p: kdf.p });
+}
+
+// KEY=VALUE lines of a .env file; comments, blanks and malformed lines are skipped
+function parseEnvFile(text) {
+  const values = {};
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) return;
+    let value = match[2];
+    if (/^(['"]).*\1$/.test(value)) value = value.slice(1, -1);
+    else value = value.replace(/\s+#.*$/, '');
+    values[match[1]] = value;
+  });
+  return values;
+}
+
+class KeyVault {
+  constructor(file) {
+    this.file = file;
+    this.keys = null;
+    this.passphrase = null;
+    this.kdf = null;
+    this.derived = null;
+    this.mtimeMs = null;
+  }
+
+  exists() {
+    return fs.existsSync(this.file);
+  }
+
+  get unlocked() {
+    return this.keys !== null;
+  }
+
+  create(passphrase) {
+    if (this.exists()) throw new VaultError(`A vault already exists at ${this.file}`, 409);
+    this.passphrase = passphrase;
+    this.kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS };
+    this.derived = deriveKey(passphrase, this.kdf);
+    this.keys = {};
+    this.save();
+    return this;
+  }
+
+  /**
+   * Decrypt the vault. Throws VaultError 404 when there is none and 401 when
+   * the passphrase is wrong.
+   */
+  unlock(passphrase) {
+    if (!this.exists()) throw new VaultError(`No vault at ${this.file}`, 404);
+    this.passphrase = passphrase;
+    this.derived = null;
+    this.read();
+    return this;
+  }
+
+  lock() {
+    this.keys = null;
+    this.passphrase = null;
+    this.derived = null;
+  }
+
+  read() {
+    const stat = fs.statSync(this.file);
+    const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    if (stored.version !== VAULT_VERSION) throw new VaultError(`Unsupported vault version: ${stored.version}`);
+
+    // The derived key only changes with the salt (a new passphrase)
+    if (!this.derived || !this.kdf || this.kdf.salt !== stored.kdf.salt) {
+      this.derived = deriveKey(this.passphrase, stored.kdf);
+    }
+    this.kdf = stored.kdf;
+
+    let payload;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.derived, Buffer.from(stored.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+      payload = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (err) {
+      this.lock();
+      throw new VaultError('Wrong vault passphrase (or the vault file is damaged)', 401);
+    }
+    this.keys = JSON.parse(payload).keys || {};
+    this.mtimeMs = stat.mtimeMs;
+  }
+
+  // Re-read the file when another process (the CLI) has changed it
+  refresh() {
+    if (!this.unlocked || !this.exists()) return;
+    if (fs.statSync(this.file).mtimeMs !== this.mtimeMs) this.read();
+  }
+
+  requireUnlocked() {
+    if (!this.unlocked) throw new VaultError('The vault is locked', 401);
+  }
+
+  // Written to a temp file and renamed, so a crash never leaves half a vault
+  save() {
+    this.requireUnlocked();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.derived, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify({ keys: this.keys }), 'utf8'), cipher.final()]);
+    const stored = {
+      version: VAULT_VERSION,
+      kdf: this.kdf,
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+      updatedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(stored, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(temp, this.file);
+    this.mtimeMs = fs.statSync(this.file).mtimeMs;
+  }
+
+  has(name) {
+    this.requireUnlocked();
+    return Object.prototype.hasOwnProperty.call(this.keys, name);
+  }
+
+  get(name) {
+    return this.has(name) ? this.keys[name].value : null;
+  }
+
+  /**
+   * Store a key, replacing (rotating) an existing value. Returns its status entry.
+   */
+  set(name, value) {
+    this.requireUnlocked();
+    if (!KEY_NAME_PATTERN.test(name)) throw new VaultError(`Invalid key name: ${name} (use UPPER_SNAKE_CASE)`);
+    if (typeof value !== 'string' || !value.trim()) throw new VaultError(`A value is required for ${name}`);
+
+    const now = new Date().toISOString();
+    const existing = this.keys[name];
+    if (existing && existing.value === value.trim()) return this.describe(name);
+    this.keys[name] = existing
+      ? { ...existing, value: value.trim(), rotatedAt: now, rotations: (existing.rotations || 0) + 1 }
+      : { value: value.trim(), addedAt: now, rotatedAt: null, rotations: 0 };
+    this.save();
+    return this.describe(name);
+  }
+
+  remove(name) {
+    if (!this.has(name)) return false;
+    delete this.keys[name];
+    this.save();
+    return true;
+  }
+
+  // Re-encrypt everything under a new passphrase (and a new salt)
+  changePassphrase(passphrase) {
+    this.requireUnlocked();
+    this.passphrase = passphrase;
+    this.kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS };
+    this.derived = deriveKey(passphrase, this.kdf);
+    this.save();
+  }
+
+  // Plain { NAME: value } for the key loaders
+  secrets() {
+    if (!this.unlocked) return {};
+    return Object.fromEntries(Object.entries(this.keys).map(([name, entry]) => [name, entry.value]));
+  }
+
+  describe(name) {
+    const entry = this.keys[name];
+    return {
+      name,
+      fingerprint: fingerprint(entry.value),
+      masked: maskKey(entry.value),
+      addedAt: entry.addedAt,
+      rotatedAt: entry.rotatedAt,
+      rotations: entry.rotations || 0
+    };
+  }
+
+  // Every key without its value, sorted by name
+  list() {
+    this.requireUnlocked();
+    return Object.keys(this.keys).sort().map(name => this.describe(name));
+  }
+}
+
+/**
+ * Import the secrets of a plaintext council-keys.json and a .env file into
+ * an unlocked vault. council-keys.json wins over .env, as it does when keys
+ * are resolved. The imported values are then removed from council-keys.json,
+ * which keeps its other settings; .env is left for the caller to clean up.
+ * Returns { imported: [{ name, source, rotated }], unchanged, envNames, stripped },
+ * where envNames are the .env secrets now in the vault and stripped says
+ * whether council-keys.json was rewritten.
+ */
+function migrateToVault(vault, { keysFile, envFile } = {}) {
+  const found = new Map();
+  const envNames = [];
+
+  if (envFile && fs.existsSync(envFile)) {
+    Object.entries(parseEnvFile(fs.readFileSync(envFile, 'utf8'))).forEach(([name, value]) => {
+      if (!isSecretName(name) || !isConfigured(value)) return;
+      found.set(name, { value, source: '.env' });
+      envNames.push(name);
+    });
+  }
+
+  let plaintext = null;
+  if (keysFile && fs.existsSync(keysFile)) {
+    plaintext = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+    Object.entries(plaintext).forEach(([name, value]) => {
+      if (isSecretName(name) && isConfigured(value)) found.set(name, { value, source: path.basename(keysFile) });
+    });
+  }
+
+  const result = { imported: [], unchanged: [], envNames, stripped: false };
+  found.forEach(({ value, source }, name) => {
+    if (vault.get(name) === value.trim()) {
+      result.unchanged.push(name);
+      return;
+    }
+    const rotated = vault.has(name);
+    vault.set(name, value);
+    result.imported.push({ name, source, rotated });
+  });
+
+  if (plaintext) {
+    const remaining = Object.fromEntries(Object.entries(plaintext).filter(([name]) => !found.has(name)));
+    if (Object.keys(remaining).length !== Object.keys(plaintext).length) {
+      fs.writeFileSync(keysFile, JSON.stringify(remaining, null, 2) + '\n');
+      result.stripped = true;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  VaultError,
+  KeyVault,
+  isSecretName,
+  fingerprint,
+  maskKey,
+  parseEnvFile,
+  migrateToVault
+};
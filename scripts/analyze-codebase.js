@@ -6,8 +6,35 @@
 
 const fs = require('fs');
 const path = require('path');
-const { promisify } = require('util');
-const glob = promisify(require('glob').glob);
+
+const SOURCE_EXTENSIONS = ['js', 'ts', 'jsx', 'tsx'];
+
+/**
+ * Files under target with one of the extensions, sorted. Skips node_modules,
+ * dot files and dot directories and does not follow symlinks; a missing target
+ * has no files.
+ */
+async function findSourceFiles(target, extensions = SOURCE_EXTENSIONS) {
+  const pattern = new RegExp(`\\.(${extensions.join('|')})$`);
+  const files = [];
+  const walk = async dir => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) await walk(full);
+      else if (entry.isFile() && pattern.test(entry.name)) files.push(full);
+    }
+  };
+  await walk(target);
+  return files.sort();
+}
 
 class DeepAnalyzer {
   constructor(options = {}) {
@@ -15,6 +42,9 @@ class DeepAnalyzer {
     this.output = options.output || './analysis-report.md';
     this.depth = options.depth || 'standard'; // standard, deep, uncensored
     this.includeTests = options.includeTests || false;
+    // The backend's analysis jobs run quietly, with paths relative to their root
+    this.quiet = !!options.quiet;
+    this.relativeTo = options.relativeTo || process.cwd();
     this.findings = {
       architecture: [],
       bugs: [],
@@ -24,11 +54,15 @@ class DeepAnalyzer {
     };
   }
 
+  log(...args) {
+    if (!this.quiet) console.log(...args);
+  }
+
   async analyze() {
-    console.log('?? NEMO Deep Analyzer');
-    console.log(`Target: ${this.target}`);
-    console.log(`Depth: ${this.depth.toUpperCase()}`);
-    console.log('-'.repeat(50));
+    this.log('?? NEMO Deep Analyzer');
+    this.log(`Target: ${this.target}`);
+    this.log(`Depth: ${this.depth.toUpperCase()}`);
+    this.log('-'.repeat(50));
 
     // 1. Architecture Analysis
     await this.analyzeArchitecture();
@@ -45,11 +79,11 @@ class DeepAnalyzer {
     // 5. Generate Report
     await this.generateReport();
     
-    console.log(`\n? Analysis complete: ${this.output}`);
+    this.log(`\n? Analysis complete: ${this.output}`);
   }
 
   async analyzeArchitecture() {
-    console.log('\n???  Architecture Analysis...');
+    this.log('\n???  Architecture Analysis...');
     
     const patterns = {
       imports: /(?:import|require)\s*\(?['"]([^'"]+)['"]\)?/g,
@@ -65,7 +99,7 @@ class DeepAnalyzer {
 
     for (const file of files) {
       const content = fs.readFileSync(file, 'utf8');
-      const relPath = path.relative(process.cwd(), file);
+      const relPath = path.relative(this.relativeTo, file);
       
       // Extract imports
       let match;
@@ -93,12 +127,12 @@ class DeepAnalyzer {
       patterns: this.detectPatterns(files)
     };
 
-    console.log(`  ? Found ${files.length} source files`);
-    console.log(`  ? ${dependencies.size} external dependencies`);
+    this.log(`  ? Found ${files.length} source files`);
+    this.log(`  ? ${dependencies.size} external dependencies`);
   }
 
   async detectBugs() {
-    console.log('\n?? Bug Detection...');
+    this.log('\n?? Bug Detection...');
     
     const bugPatterns = [
       {
@@ -147,7 +181,7 @@ class DeepAnalyzer {
         while ((match = regex.exec(content)) !== null) {
           const lineNum = content.substring(0, match.index).split('\n').length;
           bugs.push({
-            file: path.relative(process.cwd(), file),
+            file: path.relative(this.relativeTo, file),
             line: lineNum,
             severity: bugPattern.severity,
             message: bugPattern.message,
@@ -158,16 +192,16 @@ class DeepAnalyzer {
     }
 
     this.findings.bugs = bugs;
-    console.log(`  ? Found ${bugs.length} potential issues`);
+    this.log(`  ? Found ${bugs.length} potential issues`);
     
     const critical = bugs.filter(b => b.severity === 'high').length;
     if (critical > 0) {
-      console.log(`  ? ${critical} critical issues detected`);
+      this.log(`  ? ${critical} critical issues detected`);
     }
   }
 
   async scanSecurity() {
-    console.log('\n?? Security Scan...');
+    this.log('\n?? Security Scan...');
     
     const securityPatterns = [
       {
@@ -210,7 +244,7 @@ class DeepAnalyzer {
         while ((match = regex.exec(content)) !== null) {
           const lineNum = content.substring(0, match.index).split('\n').length;
           issues.push({
-            file: path.relative(process.cwd(), file),
+            file: path.relative(this.relativeTo, file),
             line: lineNum,
             risk: secPattern.risk,
             message: secPattern.message
@@ -220,16 +254,16 @@ class DeepAnalyzer {
     }
 
     this.findings.security = issues;
-    console.log(`  ? Found ${issues.length} security concerns`);
+    this.log(`  ? Found ${issues.length} security concerns`);
     
     const critical = issues.filter(i => i.risk === 'critical').length;
     if (critical > 0) {
-      console.log(`  ?? ${critical} CRITICAL security issues!`);
+      this.log(`  ?? ${critical} CRITICAL security issues!`);
     }
   }
 
   async analyzeDocumentation() {
-    console.log('\n?? Documentation Analysis...');
+    this.log('\n?? Documentation Analysis...');
     
     const files = await this.getSourceFiles();
     let documented = 0;
@@ -262,8 +296,8 @@ class DeepAnalyzer {
       hasReadme
     };
 
-    console.log(`  ? ${documented}/${files.length} files have documentation`);
-    console.log(`  ? Documentation coverage: ${this.findings.documentation.coverage}%`);
+    this.log(`  ? ${documented}/${files.length} files have documentation`);
+    this.log(`  ? Documentation coverage: ${this.findings.documentation.coverage}%`);
   }
 
   detectPatterns(files) {
@@ -285,14 +319,8 @@ class DeepAnalyzer {
   }
 
   async getSourceFiles() {
-    const extensions = ['js', 'ts', 'jsx', 'tsx'];
-    const files = [];
-    
-    for (const ext of extensions) {
-      const matches = await glob(`${this.target}/**/*.${ext}`);
-      files.push(...matches);
-    }
-    
+    const files = await findSourceFiles(this.target);
+
     if (!this.includeTests) {
       return files.filter(f => !f.includes('.test.') && !f.includes('.spec.') && !f.includes('__tests__'));
     }
@@ -301,7 +329,12 @@ class DeepAnalyzer {
   }
 
   async generateReport() {
-    const report = `# NEMO Deep Analysis Report
+    fs.writeFileSync(this.output, this.renderReport());
+  }
+
+  // The Markdown report of the findings so far
+  renderReport() {
+    return `# NEMO Deep Analysis Report
 
 **Generated:** ${new Date().toISOString()}
 **Target:** ${this.target}
@@ -363,8 +396,6 @@ ${this.findings.security.length === 0 ? '? No security issues detected.' :
 
 *Report generated by NEMO Conductor v3.1*
 `;
-
-    fs.writeFileSync(this.output, report);
   }
 }
 
@@ -414,4 +445,4 @@ if (require.main === module) {
   main().catch(console.error);
 }
 
-module.exports = { DeepAnalyzer };
+module.exports = { DeepAnalyzer, findSourceFiles };
@@ -6,26 +6,37 @@
 
 const fs = require('fs');
 const path = require('path');
-const glob = require('glob');
+const { findSourceFiles } = require('./analyze-codebase');
 
 class LoopDetector {
   constructor(options = {}) {
     this.target = options.target || './src';
     this.output = options.output;
+    // In-process callers (the backend's loop jobs) run quietly and follow progress
+    this.quiet = !!options.quiet;
+    this.relativeTo = options.relativeTo || process.cwd();
+    this.onProgress = options.onProgress || null;
+    this.shouldStop = options.shouldStop || (() => false);
     this.findings = [];
   }
 
+  log(...args) {
+    if (!this.quiet) console.log(...args);
+  }
+
   async detect() {
-    console.log('?? NEMO Loop Detector');
-    console.log(`Target: ${this.target}`);
-    console.log('-'.repeat(50));
+    this.log('?? NEMO Loop Detector');
+    this.log(`Target: ${this.target}`);
+    this.log('-'.repeat(50));
 
     const files = await this.getSourceFiles();
-    console.log(`Scanning ${files.length} files...\n`);
+    this.log(`Scanning ${files.length} files...\n`);
+    if (this.onProgress) this.onProgress({ scanned: 0, total: files.length, file: null });
 
-    for (const file of files) {
+    for (const [index, file] of files.entries()) {
+      if (this.shouldStop()) break;
       const content = fs.readFileSync(file, 'utf8');
-      const relPath = path.relative(process.cwd(), file);
+      const relPath = path.relative(this.relativeTo, file);
 
       // Run all detection patterns
       this.detectInfiniteWhile(content, relPath);
@@ -34,9 +45,15 @@ class LoopDetector {
       this.detectBlockingPatterns(content, relPath);
       this.detectPromiseDeadlocks(content, relPath);
       this.detectEventEmitterLeaks(content, relPath);
+
+      if (this.onProgress) {
+        this.onProgress({ scanned: index + 1, total: files.length, file: relPath });
+        // Let a hosting server answer requests between files
+        await new Promise(resolve => setImmediate(resolve));
+      }
     }
 
-    this.report();
+    if (!this.quiet) this.report();
     
     if (this.output) {
       this.saveReport();
@@ -291,15 +308,7 @@ class LoopDetector {
   }
 
   async getSourceFiles() {
-    const extensions = ['js', 'ts', 'jsx', 'tsx'];
-    const files = [];
-    
-    for (const ext of extensions) {
-      const matches = glob.sync(`${this.target}/**/*.${ext}`);
-      files.push(...matches);
-    }
-    
-    return files.filter(f => !f.includes('node_modules'));
+    return findSourceFiles(this.target);
   }
 
   report() {
@@ -340,22 +349,26 @@ class LoopDetector {
     if (f.suggestion) console.log(`  ?? ${f.suggestion}`);
   }
 
+  summary() {
+    return {
+      total: this.findings.length,
+      critical: this.findings.filter(f => f.severity === 'critical').length,
+      high: this.findings.filter(f => f.severity === 'high').length,
+      medium: this.findings.filter(f => f.severity === 'medium').length,
+      low: this.findings.filter(f => f.severity === 'low').length
+    };
+  }
+
   saveReport() {
     const report = {
       generated: new Date().toISOString(),
       target: this.target,
       findings: this.findings,
-      summary: {
-        total: this.findings.length,
-        critical: this.findings.filter(f => f.severity === 'critical').length,
-        high: this.findings.filter(f => f.severity === 'high').length,
-        medium: this.findings.filter(f => f.severity === 'medium').length,
-        low: this.findings.filter(f => f.severity === 'low').length
-      }
+      summary: this.summary()
     };
 
     fs.writeFileSync(this.output, JSON.stringify(report, null, 2));
-    console.log(`\n? Report saved to ${this.output}`);
+    this.log(`\n? Report saved to ${this.output}`);
   }
 }
 
@@ -6,20 +6,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_MEMBERS, describeCouncil } = require('../lib/nemo-council');
+const { loadBuiltinTemplate, renderTemplate } = require('../lib/nemo-prompts');
 
 const MEMORY_BLOCKS = {
   persona: {
     label: 'persona',
     description: 'NEMO Conductor identity - orchestrates the 5-Key Council for deep codebase analysis and autonomous operations',
-    value: `You are NEMO Conductor, an orchestration system managing the 5-Key Council:
-- THE GHOST: Predictive intent (O(1) patterns)
-- THE ARCHITECT: System design, toolbox management
-- THE MONK: Deep reasoning, loop protection  
-- THE SHADOW: Chi aesthetic, UI styling
-- THE OBSERVER: Browser sync, monitoring
-
-You operate in HYBRID_SYNC mode, bridging cloud reasoning with local CLI execution.
-Your purpose is to coordinate deep, uncensored codebase analysis while preventing infinite loops and optimizing for the detected memory tier.`
+    // Rendered from prompts/conductor.md so the roster matches the council registry
+    value: renderTemplate(loadBuiltinTemplate('conductor'), { council: describeCouncil(DEFAULT_MEMBERS) })
   },
   
   research_plan: {
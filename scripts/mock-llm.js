@@ -0,0 +1,446 @@
+#!/usr/bin/env node
+/**
+ * NEMO Mock LLM Server
+ * A local stand-in for the OpenAI/OpenRouter chat-completions API and the
+ * Ollama API, so the backend's provider, retry, fallback and streaming paths
+ * can be exercised end to end on an offline machine.
+ *
+ * Endpoints:
+ *   POST .../chat/completions   OpenAI / OpenRouter (any prefix: /v1, /api/v1)
+ *   GET  .../models             OpenAI model list
+ *   POST /api/chat              Ollama chat (NDJSON when streaming)
+ *   POST /api/embed             Ollama embeddings (deterministic vectors)
+ *   GET  /api/tags              Ollama model list
+ *   GET  /_mock/requests        Requests received so far
+ *   PUT  /_mock/script          Replace the script
+ *   POST /_mock/reset           Clear the request log, rule counters and rate limit
+ *
+ * A script is { "rules": [...] }; the first rule whose `match` fits a request
+ * answers it:
+ *   {
+ *     "match": { "contains": "retry", "system": "THE MONK", "model": "gpt-4o-mini", "api": "openai", "stream": true },
+ *     "response": "Text ({{query}} is the question)" | { "content": "...", "toolCalls": [{ "name", "arguments" }] },
+ *     "status": 429, "error": "Slow down", "retryAfter": 1,
+ *     "latencyMs": 2000, "chunkDelayMs": 50, "failAfterChunks": 3, "logprob": -0.1, "times": 2
+ *   }
+ * `times` limits how many requests a rule answers, so "fail twice, then
+ * succeed" is a limited error rule followed by a normal one. Unmatched
+ * requests are answered with an echo of the question (or, when a JSON schema
+ * is requested, the smallest value that satisfies it).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const { sampleFromSchema } = require('../lib/nemo-structured');
+
+const DEFAULT_PORT = 7791;
+const EMBEDDING_DIMENSIONS = 64;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Roughly 4 characters per token, like the backend's own estimate
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil(String(text || '').length / 4));
+}
+
+// OpenAI content may be a string or a list of parts
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(part => part.text || part.content || '').join('');
+  return '';
+}
+
+function lastUserMessage(messages) {
+  const users = (messages || []).filter(m => m.role === 'user');
+  return users.length ? messageText(users[users.length - 1].content) : '';
+}
+
+function systemPrompt(messages) {
+  return (messages || []).filter(m => m.role === 'system').map(m => messageText(m.content)).join('\n');
+}
+
+// Word-sized chunks, the way providers stream
+function splitChunks(text) {
+  return text.match(/\S+\s*|\s+/g) || [];
+}
+
+// Bag-of-words vector, normalized; the same text always gets the same vector
+function embedText(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  (String(text).toLowerCase().match(/[a-z0-9]+/g) || []).forEach(word => {
+    const slot = crypto.createHash('md5').update(word).digest().readUInt32BE(0) % EMBEDDING_DIMENSIONS;
+    vector[slot] += 1;
+  });
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+class MockLLMServer {
+  /**
+   * @param {Object} options - { port, script, latencyMs, chunkDelayMs, rateLimit: { requests, windowMs } }
+   */
+  constructor(options = {}) {
+    this.port = options.port === undefined ? DEFAULT_PORT : options.port;
+    this.latencyMs = options.latencyMs || 0;
+    this.chunkDelayMs = options.chunkDelayMs === undefined ? 10 : options.chunkDelayMs;
+    this.rateLimit = options.rateLimit || null;
+    this.requests = [];
+    this.recent = [];
+    this.server = null;
+    this.setScript(options.script || {});
+  }
+
+  // A script is { rules: [...] } or a bare list of rules
+  setScript(script) {
+    const rules = Array.isArray(script) ? script : script.rules || [];
+    this.rules = rules.map(rule => ({ ...rule, used: 0 }));
+  }
+
+  reset() {
+    this.requests = [];
+    this.recent = [];
+    this.rules.forEach(rule => { rule.used = 0; });
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(err => {
+        console.error('Mock LLM error:', err.message);
+        if (!res.headersSent) sendJson(res, 500, { error: { message: err.message } });
+        else res.destroy();
+      });
+    });
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  async readBody(req) {
+    let text = '';
+    for await (const chunk of req) text += chunk;
+    if (!text) return {};
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const body = await this.readBody(req);
+    if (body === null) return sendJson(res, 400, { error: { message: 'Request body is not valid JSON' } });
+
+    if (pathname === '/_mock/requests' && req.method === 'GET') {
+      return sendJson(res, 200, { requests: this.requests });
+    }
+    if (pathname === '/_mock/script' && req.method === 'PUT') {
+      this.setScript(body);
+      return sendJson(res, 200, { rules: this.rules.length });
+    }
+    if (pathname === '/_mock/reset' && req.method === 'POST') {
+      this.reset();
+      return sendJson(res, 200, { reset: true });
+    }
+
+    if (req.method === 'GET' && pathname.endsWith('/models')) {
+      return sendJson(res, 200, { object: 'list', data: [{ id: 'mock-model', object: 'model', owned_by: 'nemo-mock' }] });
+    }
+    if (req.method === 'GET' && pathname === '/api/tags') {
+      return sendJson(res, 200, { models: [{ name: 'mock-model', model: 'mock-model' }] });
+    }
+    if (req.method === 'POST' && pathname === '/api/embed') {
+      const input = [].concat(body.input || []);
+      return sendJson(res, 200, { model: body.model, embeddings: input.map(embedText) });
+    }
+
+    let api = null;
+    if (req.method === 'POST' && pathname.endsWith('/chat/completions')) api = 'openai';
+    if (req.method === 'POST' && pathname === '/api/chat') api = 'ollama';
+    if (!api) return sendJson(res, 404, { error: { message: `No mock for ${req.method} ${pathname}` } });
+
+    return this.answer(api, body, req, res);
+  }
+
+  // Sliding window over the last windowMs; returns seconds until a slot frees up, or 0
+  rateLimited() {
+    if (!this.rateLimit) return 0;
+    const now = Date.now();
+    this.recent = this.recent.filter(at => now - at < this.rateLimit.windowMs);
+    if (this.recent.length >= this.rateLimit.requests) {
+      return Math.ceil((this.rateLimit.windowMs - (now - this.recent[0])) / 1000);
+    }
+    this.recent.push(now);
+    return 0;
+  }
+
+  findRule(request) {
+    const rule = this.rules.find(candidate => {
+      if (candidate.times !== undefined && candidate.used >= candidate.times) return false;
+      const match = candidate.match || {};
+      if (match.api && match.api !== request.api) return false;
+      if (match.model && match.model !== request.model) return false;
+      if (match.stream !== undefined && match.stream !== request.stream) return false;
+      if (match.contains && !request.query.toLowerCase().includes(match.contains.toLowerCase())) return false;
+      if (match.system && !request.system.toLowerCase().includes(match.system.toLowerCase())) return false;
+      return true;
+    });
+    if (rule) rule.used++;
+    return rule || {};
+  }
+
+  // { content, toolCalls } for a request; unmatched requests echo the question
+  reply(rule, request, schema) {
+    const response = rule.response;
+    if (response && typeof response === 'object') {
+      return { content: response.content || '', toolCalls: response.toolCalls };
+    }
+    if (typeof response === 'string') return { content: response.replace(/\{\{query\}\}/g, request.query) };
+    if (schema) return { content: JSON.stringify(sampleFromSchema(schema)) };
+    return { content: `Mock answer to: ${request.query}` };
+  }
+
+  async answer(api, body, req, res) {
+    const stream = api === 'ollama' ? body.stream !== false : !!body.stream;
+    const request = {
+      api,
+      path: req.url,
+      model: body.model,
+      stream,
+      query: lastUserMessage(body.messages),
+      system: systemPrompt(body.messages),
+      tools: (body.tools || []).map(tool => (tool.function ? tool.function.name : tool.name)),
+      receivedAt: new Date().toISOString()
+    };
+    this.requests.push({ ...request, system: request.system.slice(0, 200) });
+
+    const retryAfter = this.rateLimited();
+    if (retryAfter) {
+      return this.sendError(api, res, { status: 429, error: 'Rate limit exceeded (mock)', retryAfter });
+    }
+
+    const rule = this.findRule(request);
+    await sleep(rule.latencyMs === undefined ? this.latencyMs : rule.latencyMs);
+
+    if (rule.status && rule.status >= 400) return this.sendError(api, res, rule);
+
+    const schema = api === 'openai'
+      ? body.response_format && body.response_format.json_schema && body.response_format.json_schema.schema
+      : body.format && typeof body.format === 'object' ? body.format : null;
+    const { content, toolCalls } = this.reply(rule, request, schema);
+    const usage = {
+      promptTokens: (body.messages || []).reduce((sum, m) => sum + estimateTokens(messageText(m.content)), 0),
+      completionTokens: estimateTokens(content)
+    };
+    const options = {
+      model: body.model || 'mock-model',
+      logprob: rule.logprob === undefined ? -0.05 : rule.logprob,
+      logprobs: !!body.logprobs,
+      includeUsage: !!(body.stream_options && body.stream_options.include_usage),
+      chunkDelayMs: rule.chunkDelayMs === undefined ? this.chunkDelayMs : rule.chunkDelayMs,
+      failAfterChunks: rule.failAfterChunks
+    };
+
+    if (api === 'openai') {
+      return stream
+        ? this.streamOpenAI(res, content, usage, options)
+        : sendJson(res, 200, this.openAIResponse(content, toolCalls, usage, options));
+    }
+    return stream
+      ? this.streamOllama(res, content, usage, options)
+      : sendJson(res, 200, this.ollamaResponse(content, toolCalls, usage, options));
+  }
+
+  sendError(api, res, rule) {
+    const status = rule.status;
+    const message = rule.error || `Mock error ${status}`;
+    const headers = rule.retryAfter !== undefined ? { 'Retry-After': String(rule.retryAfter) } : {};
+    if (api === 'ollama') return sendJson(res, status, { error: message }, headers);
+    const type = status === 429 ? 'rate_limit_exceeded' : status >= 500 ? 'server_error' : 'invalid_request_error';
+    return sendJson(res, status, { error: { message, type, code: status } }, headers);
+  }
+
+  tokenLogprobs(content, options) {
+    return { content: splitChunks(content).map(token => ({ token, logprob: options.logprob })) };
+  }
+
+  openAIResponse(content, toolCalls, usage, options) {
+    const message = { role: 'assistant', content: toolCalls ? content || null : content };
+    if (toolCalls) {
+      message.tool_calls = toolCalls.map((call, i) => ({
+        id: `call_mock_${i}`,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+      }));
+    }
+    return {
+      id: `chatcmpl-mock-${this.requests.length}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: options.model,
+      choices: [{
+        index: 0,
+        message,
+        logprobs: options.logprobs ? this.tokenLogprobs(content, options) : null,
+        finish_reason: toolCalls ? 'tool_calls' : 'stop'
+      }],
+      usage: {
+        prompt_tokens: usage.promptTokens,
+        completion_tokens: usage.completionTokens,
+        total_tokens: usage.promptTokens + usage.completionTokens
+      }
+    };
+  }
+
+  /**
+   * Write chunks with chunkDelayMs between them. With failAfterChunks the
+   * connection is dropped after that many chunks, as a provider that dies
+   * mid-answer would. Returns false when the stream was cut.
+   */
+  async writeChunks(res, chunks, options, format) {
+    for (let i = 0; i < chunks.length; i++) {
+      if (res.destroyed) return false;
+      if (options.failAfterChunks !== undefined && i >= options.failAfterChunks) {
+        res.destroy();
+        return false;
+      }
+      res.write(format(chunks[i]));
+      if (options.chunkDelayMs) await sleep(options.chunkDelayMs);
+    }
+    return !res.destroyed;
+  }
+
+  async streamOpenAI(res, content, usage, options) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const id = `chatcmpl-mock-${this.requests.length}`;
+    const event = data => `data: ${JSON.stringify({ id, object: 'chat.completion.chunk', model: options.model, ...data })}\n\n`;
+
+    const complete = await this.writeChunks(res, splitChunks(content), options, chunk => event({
+      choices: [{
+        index: 0,
+        delta: { content: chunk },
+        logprobs: options.logprobs ? { content: [{ token: chunk, logprob: options.logprob }] } : null
+      }]
+    }));
+    if (!complete) return;
+
+    res.write(event({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }));
+    if (options.includeUsage) {
+      res.write(event({
+        choices: [],
+        usage: {
+          prompt_tokens: usage.promptTokens,
+          completion_tokens: usage.completionTokens,
+          total_tokens: usage.promptTokens + usage.completionTokens
+        }
+      }));
+    }
+    res.end('data: [DONE]\n\n');
+  }
+
+  ollamaResponse(content, toolCalls, usage, options) {
+    const message = { role: 'assistant', content };
+    if (toolCalls) {
+      message.tool_calls = toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments || {} } }));
+    }
+    return {
+      model: options.model,
+      created_at: new Date().toISOString(),
+      message,
+      done: true,
+      done_reason: 'stop',
+      prompt_eval_count: usage.promptTokens,
+      eval_count: usage.completionTokens
+    };
+  }
+
+  async streamOllama(res, content, usage, options) {
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    const line = data => `${JSON.stringify({ model: options.model, created_at: new Date().toISOString(), ...data })}\n`;
+
+    const complete = await this.writeChunks(res, splitChunks(content), options, chunk => line({
+      message: { role: 'assistant', content: chunk },
+      done: false
+    }));
+    if (!complete) return;
+
+    res.end(line({
+      message: { role: 'assistant', content: '' },
+      done: true,
+      done_reason: 'stop',
+      prompt_eval_count: usage.promptTokens,
+      eval_count: usage.completionTokens
+    }));
+  }
+}
+
+// CLI
+async function main() {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--port=')) {
+      options.port = parseInt(arg.split('=')[1], 10);
+    } else if (arg.startsWith('--script=')) {
+      options.script = JSON.parse(fs.readFileSync(arg.split('=')[1], 'utf8'));
+    } else if (arg.startsWith('--latency=')) {
+      options.latencyMs = parseInt(arg.split('=')[1], 10);
+    } else if (arg.startsWith('--chunk-delay=')) {
+      options.chunkDelayMs = parseInt(arg.split('=')[1], 10);
+    } else if (arg.startsWith('--rate-limit=')) {
+      const [requests, windowMs] = arg.split('=')[1].split('/').map(n => parseInt(n, 10));
+      options.rateLimit = { requests, windowMs: windowMs || 60000 };
+    } else if (arg === '--help' || arg === '-h') {
+      console.log(`
+NEMO Mock LLM Server
+
+Usage: node mock-llm.js [options]
+
+Options:
+  --port=7791                 Port to listen on (default: 7791)
+  --script=./mock-script.json Scripted responses ({ "rules": [...] }, see the file header)
+  --latency=250               Delay before every answer, in ms (default: 0)
+  --chunk-delay=10            Delay between streamed chunks, in ms (default: 10)
+  --rate-limit=10/60000       Answer 429 beyond 10 requests per 60s window
+  --help, -h                  Show this help
+
+Point a member at it in council-routing.json:
+  "MONK": { "provider": "openai", "baseUrl": "http://localhost:7791/v1" }
+  "MONK": { "provider": "ollama", "baseUrl": "http://localhost:7791" }
+      `);
+      process.exit(0);
+    }
+  }
+
+  const server = new MockLLMServer(options);
+  const port = await server.start();
+  console.log(`🧪 NEMO mock LLM listening on http://localhost:${port}`);
+  console.log(`   OpenAI/OpenRouter base URL: http://localhost:${port}/v1`);
+  console.log(`   Ollama base URL:            http://localhost:${port}`);
+  console.log(`   Rules loaded: ${server.rules.length}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { MockLLMServer, DEFAULT_PORT };
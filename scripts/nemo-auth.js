@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * NEMO Accounts CLI
+ * Manage backend accounts and API tokens (.nemo/auth/users.json, see lib/nemo-auth.js)
+ *
+ * Passwords are read from NEMO_AUTH_PASSWORD, or prompted for. A running
+ * backend picks up changes without a restart.
+ */
+
+const path = require('path');
+const { ROLES, AuthStore, AuthError } = require('../lib/nemo-auth');
+const { prompt } = require('./nemo-vault');
+
+const DEFAULT_STORE = './.nemo/auth/users.json';
+
+async function password(confirm = false) {
+  if (process.env.NEMO_AUTH_PASSWORD) return process.env.NEMO_AUTH_PASSWORD;
+  const first = await prompt('Password: ', true);
+  if (confirm && (await prompt('Repeat password: ', true)) !== first) {
+    throw new AuthError('Passwords do not match');
+  }
+  return first;
+}
+
+// CLI
+async function main() {
+  const args = process.argv.slice(2);
+  const options = {
+    store: DEFAULT_STORE,
+    role: null
+  };
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--store=')) {
+      options.store = arg.split('=')[1];
+    } else if (arg.startsWith('--role=')) {
+      options.role = arg.split('=')[1];
+    } else if (arg === '--help' || arg === '-h') {
+      console.log(`
+NEMO Accounts
+
+Usage: node nemo-auth.js <command> [options]
+
+Commands:
+  users                      List accounts
+  add-user NAME --role=ROLE  Create an account (prompts for the password)
+  passwd NAME                Set a new password
+  role NAME ROLE             Change an account's role
+  remove-user NAME           Delete an account
+  tokens                     List API tokens
+  token NAME --role=ROLE     Create an API token (printed once)
+  revoke ID                  Revoke an API token
+
+Options:
+  --store=${DEFAULT_STORE}    Accounts file
+  --role=${ROLES.join('|')}       Role for add-user and token (default: viewer)
+  --help, -h                        Show this help
+
+Passwords are read from NEMO_AUTH_PASSWORD, or prompted for.
+      `);
+      process.exit(0);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  const [command, name, extra] = positional;
+  const store = new AuthStore(path.resolve(options.store));
+  const requireName = usage => {
+    if (!name) throw new AuthError(`Usage: ${usage}`);
+  };
+
+  if (command === 'users') {
+    const users = store.listUsers();
+    if (users.length === 0) console.log('  (no accounts)');
+    users.forEach(user => console.log(`  ${user.username.padEnd(20)} ${user.role.padEnd(9)} created ${user.createdAt.slice(0, 10)}`));
+  } else if (command === 'add-user') {
+    requireName('add-user NAME --role=ROLE');
+    const user = store.createUser(name, await password(true), options.role || 'viewer');
+    console.log(`✓ Created ${user.username} (${user.role})`);
+  } else if (command === 'passwd') {
+    requireName('passwd NAME');
+    store.requireUser(name);
+    store.updateUser(name, { password: await password(true) });
+    console.log(`✓ Password changed for ${name}`);
+  } else if (command === 'role') {
+    requireName('role NAME ROLE');
+    const user = store.updateUser(name, { role: extra });
+    console.log(`✓ ${user.username} is now ${user.role}`);
+  } else if (command === 'remove-user') {
+    requireName('remove-user NAME');
+    store.removeUser(name);
+    console.log(`✓ Removed ${name}`);
+  } else if (command === 'tokens') {
+    const tokens = store.listTokens();
+    if (tokens.length === 0) console.log('  (no tokens)');
+    tokens.forEach(token => {
+      const used = token.lastUsedAt ? `last used ${token.lastUsedAt.slice(0, 10)}` : 'never used';
+      console.log(`  ${token.id}  ${token.name.padEnd(20)} ${token.role.padEnd(9)} ${used}`);
+    });
+  } else if (command === 'token') {
+    requireName('token NAME --role=ROLE');
+    const token = store.createToken({ name, role: options.role || 'viewer', createdBy: 'cli' });
+    console.log(`✓ Token ${token.id} (${token.role}) - copy it now, it is not shown again:`);
+    console.log(`  ${token.token}`);
+  } else if (command === 'revoke') {
+    requireName('revoke ID');
+    if (!store.revokeToken(name)) throw new AuthError(`Token not found: ${name}`, 404);
+    console.log(`✓ Revoked ${name}`);
+  } else {
+    throw new AuthError(command ? `Unknown command: ${command}` : 'No command given (see --help)');
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
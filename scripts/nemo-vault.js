@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * NEMO Key Vault CLI
+ * Manage the encrypted key vault (.nemo/vault/keys.json, see lib/nemo-vault.js)
+ *
+ * The passphrase comes from NEMO_VAULT_KEY, or is prompted for. Key values
+ * are prompted for when left off the command line, so they stay out of shell
+ * history.
+ */
+
+const path = require('path');
+const readline = require('readline');
+const { KeyVault, VaultError, migrateToVault } = require('../lib/nemo-vault');
+
+const DEFAULT_VAULT = './.nemo/vault/keys.json';
+
+// Read one line from the terminal; hidden input is not echoed
+function prompt(question, hidden = false) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    if (hidden) {
+      rl._writeToOutput = text => {
+        if (text.startsWith(question)) rl.output.write(question);
+      };
+    }
+    rl.question(question, answer => {
+      if (hidden && process.stdin.isTTY) rl.output.write('\n');
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+async function passphrase(confirm = false, envName = 'NEMO_VAULT_KEY', label = 'Vault passphrase') {
+  if (process.env[envName]) return process.env[envName];
+  const first = await prompt(`${label}: `, true);
+  if (confirm && (await prompt('Repeat passphrase: ', true)) !== first) {
+    throw new VaultError('Passphrases do not match');
+  }
+  return first;
+}
+
+async function openVault(file) {
+  const vault = new KeyVault(file);
+  if (!vault.exists()) throw new VaultError(`No vault at ${file} - run "init" or "migrate" first`, 404);
+  return vault.unlock(await passphrase());
+}
+
+function printKeys(vault) {
+  const keys = vault.list();
+  if (keys.length === 0) {
+    console.log('  (no keys)');
+    return;
+  }
+  keys.forEach(key => {
+    const rotated = key.rotatedAt ? `rotated ${key.rotatedAt.slice(0, 10)}` : `added ${key.addedAt.slice(0, 10)}`;
+    console.log(`  ${key.name.padEnd(24)} ${key.masked.padEnd(10)} ${key.fingerprint}  ${rotated}`);
+  });
+}
+
+// CLI
+async function main() {
+  const args = process.argv.slice(2);
+  const options = {
+    vault: DEFAULT_VAULT,
+    keys: './council-keys.json',
+    env: './.env'
+  };
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--vault=')) {
+      options.vault = arg.split('=')[1];
+    } else if (arg.startsWith('--keys=')) {
+      options.keys = arg.split('=')[1];
+    } else if (arg.startsWith('--env=')) {
+      options.env = arg.split('=')[1];
+    } else if (arg === '--help' || arg === '-h') {
+      console.log(`
+NEMO Key Vault
+
+Usage: node nemo-vault.js <command> [options]
+
+Commands:
+  init                 Create an empty vault
+  list                 Show stored keys (masked, with fingerprints)
+  add NAME [VALUE]     Store a new key
+  rotate NAME [VALUE]  Replace the value of a stored key
+  remove NAME          Delete a key
+  migrate              Import keys from council-keys.json and .env
+  passwd               Change the vault passphrase
+
+Options:
+  --vault=${DEFAULT_VAULT}     Vault file
+  --keys=./council-keys.json        Plaintext keys file for migrate
+  --env=./.env                      Env file for migrate
+  --help, -h                        Show this help
+
+The passphrase is read from NEMO_VAULT_KEY (passwd: the new one from
+NEMO_VAULT_NEW_KEY), or prompted for.
+The backend unlocks the vault with the same NEMO_VAULT_KEY.
+      `);
+      process.exit(0);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  const [command, name, value] = positional;
+  const file = path.resolve(options.vault);
+
+  if (command === 'init') {
+    new KeyVault(file).create(await passphrase(true));
+    console.log(`✓ Created vault ${file}`);
+  } else if (command === 'list') {
+    const vault = await openVault(file);
+    console.log(`Vault ${file}:`);
+    printKeys(vault);
+  } else if (command === 'add' || command === 'rotate') {
+    if (!name) throw new VaultError(`Usage: ${command} NAME [VALUE]`);
+    const vault = await openVault(file);
+    if (command === 'add' && vault.has(name)) throw new VaultError(`${name} is already stored - use "rotate"`, 409);
+    if (command === 'rotate' && !vault.has(name)) throw new VaultError(`${name} is not stored - use "add"`, 404);
+    const entry = vault.set(name, value || await prompt(`Value for ${name}: `, true));
+    console.log(`✓ ${command === 'add' ? 'Added' : 'Rotated'} ${name} (${entry.masked}, ${entry.fingerprint})`);
+  } else if (command === 'remove') {
+    if (!name) throw new VaultError('Usage: remove NAME');
+    const vault = await openVault(file);
+    if (!vault.remove(name)) throw new VaultError(`${name} is not stored`, 404);
+    console.log(`✓ Removed ${name}`);
+  } else if (command === 'migrate') {
+    const vault = new KeyVault(file);
+    if (vault.exists()) vault.unlock(await passphrase());
+    else vault.create(await passphrase(true));
+
+    const result = migrateToVault(vault, { keysFile: path.resolve(options.keys), envFile: path.resolve(options.env) });
+    result.imported.forEach(({ name: key, source, rotated }) => {
+      console.log(`  ${rotated ? 'Rotated' : 'Imported'} ${key} from ${source}`);
+    });
+    if (result.unchanged.length) console.log(`  Already stored: ${result.unchanged.join(', ')}`);
+    console.log(`✓ Vault ${file} holds ${vault.list().length} keys`);
+    if (result.stripped) console.log(`  Plaintext keys removed from ${options.keys}`);
+    if (result.envNames.length) {
+      console.log(`  ${options.env} still holds ${result.envNames.join(', ')} - delete those lines once the vault works`);
+    }
+  } else if (command === 'passwd') {
+    const vault = await openVault(file);
+    vault.changePassphrase(await passphrase(true, 'NEMO_VAULT_NEW_KEY', 'New passphrase'));
+    console.log('✓ Passphrase changed - update NEMO_VAULT_KEY wherever the backend runs');
+  } else {
+    throw new VaultError(command ? `Unknown command: ${command}` : 'No command given (see --help)');
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, prompt };
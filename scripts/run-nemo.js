@@ -7,23 +7,14 @@
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
+const { createProvider, envKeyFor } = require('../lib/nemo-providers');
+const { loadRouting, resolveRoute } = require('../lib/nemo-routing');
+const { DEFAULT_MEMBERS, loadCouncil, describeCouncil } = require('../lib/nemo-council');
+const { PromptStore, renderTemplate } = require('../lib/nemo-prompts');
+const { KeyVault } = require('../lib/nemo-vault');
 
-// Council Configuration
-const COUNCIL_KEYS = [
-  'GHOST_API_KEY',
-  'ARCHITECT_API_KEY', 
-  'MONK_API_KEY',
-  'SHADOW_API_KEY',
-  'OBSERVER_API_KEY'
-];
-
-const COUNCIL_NAMES = {
-  GHOST_API_KEY: 'THE GHOST',
-  ARCHITECT_API_KEY: 'THE ARCHITECT',
-  MONK_API_KEY: 'THE MONK',
-  SHADOW_API_KEY: 'THE SHADOW',
-  OBSERVER_API_KEY: 'THE OBSERVER'
-};
+// Council Configuration (key env vars of the built-in members; see council-members.json)
+const COUNCIL_KEYS = DEFAULT_MEMBERS.map(member => `${member.key}_API_KEY`);
 
 // Tier Configuration
 const TIERS = {
@@ -37,6 +28,11 @@ class NEMOConductor {
     this.tier = options.tier || 'efficient';
     this.mode = options.mode || 'HYBRID_SYNC';
     this.keysPath = options.keys || './council-keys.json';
+    this.vaultPath = options.vault || './.nemo/vault/keys.json';
+    this.routingPath = options.routing || './council-routing.json';
+    this.members = loadCouncil(options.council || './council-members.json');
+    this.prompts = new PromptStore(options.prompts || './.nemo/prompts');
+    this.keys = {};
     this.council = new Map();
     this.status = 'idle';
   }
@@ -62,9 +58,10 @@ class NEMOConductor {
     try {
       if (fs.existsSync(this.keysPath)) {
         const keys = JSON.parse(fs.readFileSync(this.keysPath, 'utf8'));
-        COUNCIL_KEYS.forEach(key => {
-          if (keys[key]) {
-            process.env[key] = keys[key];
+        this.keys = keys;
+        this.members.forEach(({ keyEnv }) => {
+          if (keys[keyEnv]) {
+            process.env[keyEnv] = keys[keyEnv];
           }
         });
         console.log('? Council keys loaded');
@@ -74,25 +71,40 @@ class NEMOConductor {
     } catch (err) {
       console.error('? Failed to load keys:', err.message);
     }
+
+    // Keys in the encrypted vault win over the plaintext file
+    const vault = new KeyVault(this.vaultPath);
+    if (!vault.exists()) return;
+    try {
+      const secrets = vault.unlock(process.env.NEMO_VAULT_KEY).secrets();
+      this.keys = { ...this.keys, ...secrets };
+      this.members.forEach(({ keyEnv }) => {
+        if (secrets[keyEnv]) {
+          process.env[keyEnv] = secrets[keyEnv];
+        }
+      });
+      console.log(`? Key vault unlocked (${Object.keys(secrets).length} keys)`);
+    } catch (err) {
+      console.error('? Key vault locked:', err.message);
+    }
   }
 
   async initCouncil() {
-    console.log('\n???  Initializing 5-Key Council:\n');
+    console.log(`\n???  Initializing ${this.members.length}-Key Council:\n`);
     
-    COUNCIL_KEYS.forEach((key, idx) => {
-      const name = COUNCIL_NAMES[key];
-      const status = process.env[key] ? '?? Ready' : '?? Missing';
-      console.log(`  ${idx + 1}. ${name.padEnd(12)} ${status}`);
+    this.members.forEach((member, idx) => {
+      const status = process.env[member.keyEnv] ? '?? Ready' : '?? Missing';
+      console.log(`  ${idx + 1}. ${member.name.padEnd(12)} ${status}`);
       
-      this.council.set(key, {
-        name,
-        active: !!process.env[key],
-        key: key
+      this.council.set(member.key, {
+        name: member.name,
+        active: !!process.env[member.keyEnv],
+        key: member.keyEnv
       });
     });
     
     const activeCount = Array.from(this.council.values()).filter(k => k.active).length;
-    console.log(`\n? ${activeCount}/5 keys active`);
+    console.log(`\n? ${activeCount}/${this.members.length} keys active`);
   }
 
   tierCheck() {
@@ -109,6 +121,48 @@ class NEMOConductor {
     console.log(`  System: ${freeMem.toFixed(2)}GB free / ${totalMem.toFixed(2)}GB total`);
   }
 
+  // Ask one council member through the same provider adapters the backend uses
+  async ask(key, query, options = {}) {
+    const memberKey = key.replace(/_API_KEY$/, '');
+    const member = this.members.find(m => m.key === memberKey);
+    if (!member) throw new Error(`Unknown council member: ${memberKey}`);
+
+    const apiKey = process.env[member.keyEnv];
+    const route = resolveRoute(member.key, options.complexity || 'standard', {
+      routing: loadRouting(this.routingPath),
+      keys: this.keys,
+      apiKey,
+      memberRoute: { model: member.model }
+    });
+    const provider = createProvider(route.provider, {
+      apiKey: apiKey || envKeyFor(route.provider),
+      baseUrl: route.baseUrl
+    });
+
+    console.log(`\n?? ${member.name} via ${route.provider}/${route.model}`);
+
+    // Same active prompt version the backend uses
+    const { template } = this.prompts.resolve(member.key, member.prompt);
+    const system = options.system || renderTemplate(template, {
+      member: member.name,
+      complexity: options.complexity || 'standard',
+      project: path.basename(process.cwd()),
+      tier: this.tier,
+      council: describeCouncil(this.members),
+      date: new Date().toISOString().slice(0, 10)
+    });
+
+    return provider.complete({
+      model: route.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: query }
+      ],
+      maxTokens: route.maxTokens,
+      temperature: route.temperature
+    });
+  }
+
   async runCommand(command, args = []) {
     console.log(`\n?? Executing: ${command} ${args.join(' ')}`);
     
@@ -140,8 +194,12 @@ async function main() {
   const options = {
     tier: 'efficient',
     mode: 'HYBRID_SYNC',
-    keys: './council-keys.json'
+    keys: './council-keys.json',
+    routing: './council-routing.json',
+    council: './council-members.json'
   };
+  let ask = null;
+  let member = 'MONK';
 
   // Parse arguments
   for (let i = 0; i < args.length; i++) {
@@ -152,6 +210,16 @@ async function main() {
       options.mode = arg.split('=')[1];
     } else if (arg.startsWith('--keys=')) {
       options.keys = arg.split('=')[1];
+    } else if (arg.startsWith('--vault=')) {
+      options.vault = arg.split('=')[1];
+    } else if (arg.startsWith('--routing=')) {
+      options.routing = arg.split('=')[1];
+    } else if (arg.startsWith('--council=')) {
+      options.council = arg.split('=')[1];
+    } else if (arg.startsWith('--ask=')) {
+      ask = arg.slice('--ask='.length);
+    } else if (arg.startsWith('--member=')) {
+      member = arg.split('=')[1].toUpperCase();
     } else if (arg === '--help' || arg === '-h') {
       console.log(`
 NEMO Conductor v3.1
@@ -162,11 +230,17 @@ Options:
   --tier=efficient|performance|ascension    Memory tier (default: efficient)
   --mode=HYBRID_SYNC|LOCAL|CLOUD            Operation mode (default: HYBRID_SYNC)
   --keys=./council-keys.json                Path to API keys file
+  --vault=./.nemo/vault/keys.json           Encrypted key vault (unlocked with NEMO_VAULT_KEY)
+  --routing=./council-routing.json          Path to model routing file
+  --council=./council-members.json          Path to council member registry
+  --ask="question"                          Ask one council member
+  --member=MONK                             Member for --ask (default: MONK)
   --help, -h                                Show this help
 
 Examples:
   node run-nemo.js --tier=efficient
   node run-nemo.js --tier=performance --keys=./my-keys.json
+  node run-nemo.js --member=ARCHITECT --ask="How should I split this module?"
       `);
       process.exit(0);
     }
@@ -175,6 +249,12 @@ Examples:
   const conductor = new NEMOConductor(options);
   await conductor.initialize();
   conductor.statusReport();
+
+  if (ask) {
+    const result = await conductor.ask(member, ask);
+    console.log(`\n${result.content}`);
+    console.log(`\n  Tokens: ${result.usage.totalTokens} (${result.usage.promptTokens} in / ${result.usage.completionTokens} out)`);
+  }
   
   console.log('\n? NEMO Conductor ready\n');
 }